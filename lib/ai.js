@@ -0,0 +1,346 @@
+// ==================================
+// AI.JS - Server-side Othello engine
+// ==================================
+// Negamax search with alpha-beta pruning. The engine never re-implements the
+// rules: it searches on bitboards with shared/bitboard.js, the move generator
+// behind shared/rules.js. The room's board is converted once per search and
+// every move is played and taken back in place (see toggleMove), so the
+// search never builds or copies a board of rows.
+const bitboard = require('../shared/bitboard');
+const { VARIANTS, determineWinner } = require('./variants');
+
+const AI_LEVELS = {
+    easy: { label: 'Dễ', depth: 1, timeLimit: 200, randomness: 0.4, heuristics: ['position'] },
+    medium: { label: 'Trung bình', depth: 2, timeLimit: 500, randomness: 0, heuristics: ['position', 'corners'] },
+    hard: { label: 'Khó', depth: 4, timeLimit: 1500, randomness: 0, heuristics: ['position', 'mobility', 'corners'] },
+    expert: { label: 'Chuyên gia', depth: 6, timeLimit: 3000, randomness: 0, heuristics: ['position', 'mobility', 'corners'], endgameEmpties: 12 }
+};
+
+const DEFAULT_AI_LEVEL = 'medium';
+const WIN_SCORE = 100000;
+
+const weightCache = new Map();
+
+// Classic square weights, derived from the board size so the table also fits
+// non-8x8 boards: corners are gold, the squares next to them are poison.
+function getPositionWeights(size) {
+    if (weightCache.has(size)) return weightCache.get(size);
+
+    const last = size - 1;
+    const weights = Array(size).fill(0).map(() => Array(size).fill(-1));
+    for (let r = 0; r < size; r++) {
+        for (let c = 0; c < size; c++) {
+            const edgeR = r === 0 || r === last;
+            const edgeC = c === 0 || c === last;
+            const nearR = r === 1 || r === last - 1;
+            const nearC = c === 1 || c === last - 1;
+
+            if (edgeR && edgeC) weights[r][c] = 100;          // Corner
+            else if (nearR && nearC) weights[r][c] = -50;     // X-square
+            else if ((edgeR && nearC) || (nearR && edgeC)) weights[r][c] = -20; // C-square
+            else if (edgeR || edgeC) weights[r][c] = 5;       // Edge
+            else if (nearR || nearC) weights[r][c] = -2;      // Ring next to edge
+        }
+    }
+    // The squares two away from a corner along the edges are strong too
+    [[0, 2], [2, 0], [0, last - 2], [2, last], [last, 2], [last - 2, 0], [last, last - 2], [last - 2, last]]
+        .forEach(([r, c]) => { weights[r][c] = 10; });
+
+    weightCache.set(size, weights);
+    return weights;
+}
+
+const flatWeightCache = new Map();
+
+// The same weights indexed by square (r * size + c), as the search uses them
+function getSquareWeights(size) {
+    if (!flatWeightCache.has(size)) {
+        flatWeightCache.set(size, Int32Array.from(getPositionWeights(size).flat()));
+    }
+    return flatWeightCache.get(size);
+}
+
+// Sum of `weights` over the squares set in `bits`
+function weightOf(bits, weights) {
+    let sum = 0;
+    for (let w = 0; w < bits.length; w++) {
+        let word = bits[w];
+        while (word) {
+            const lowest = word & -word;
+            sum += weights[w * 32 + 31 - Math.clz32(lowest)];
+            word ^= lowest;
+        }
+    }
+    return sum;
+}
+
+function hasSquare(bits, index) {
+    return (bits[index >>> 5] & (1 << (index & 31))) !== 0;
+}
+
+class SearchTimeout extends Error {}
+
+// Squash a search score into -1..1 for an evaluation bar. Solved positions
+// (any score past WIN_SCORE) are pinned to the ends.
+function scoreToEvaluation(score) {
+    if (Math.abs(score) >= WIN_SCORE) return Math.sign(score);
+    return Math.round(Math.tanh(score / 150) * 1000) / 1000;
+}
+
+// The final disc margin behind a score from a search that reached the end of
+// the game: positive when won, 0 for a draw
+function scoreToMargin(score) {
+    if (score === 0) return 0;
+    return Math.sign(score) * (Math.abs(score) - WIN_SCORE);
+}
+
+class OthelloAI {
+    // `overrides` replace single settings of the level, e.g. the time limit
+    constructor(level = DEFAULT_AI_LEVEL, overrides = {}) {
+        this.level = AI_LEVELS[level] ? level : DEFAULT_AI_LEVEL;
+        this.settings = { ...AI_LEVELS[this.level], ...overrides };
+        this.deadline = 0;
+        this.nodes = 0;
+    }
+
+    // Pick a move for `color` in `room`. Returns { r, c } or null when the
+    // side to move has to pass.
+    chooseMove(room, color) {
+        const rootMoves = room.getValidMoves(color);
+        if (rootMoves.length === 0) return null;
+        if (rootMoves.length === 1) return rootMoves[0];
+
+        if (this.settings.randomness > 0 && Math.random() < this.settings.randomness) {
+            return rootMoves[Math.floor(Math.random() * rootMoves.length)];
+        }
+
+        const { move } = this.search(room, color, rootMoves);
+        return { r: move.r, c: move.c };
+    }
+
+    // Best move for `color` and how the position looks, without playing
+    // anything. `score` and `evaluation` are from black's side: evaluation
+    // runs from -1 (white is winning) to 1 (black is winning). Returns null
+    // when `color` has to pass.
+    analyze(room, color) {
+        const rootMoves = room.getValidMoves(color);
+        if (rootMoves.length === 0) return null;
+
+        const { move, score } = this.search(room, color, rootMoves);
+        const blackScore = color === 1 ? score : -score;
+        return {
+            bestMove: { r: move.r, c: move.c },
+            score: blackScore,
+            evaluation: scoreToEvaluation(blackScore)
+        };
+    }
+
+    // Every legal move for `color` with its score from `color`'s point of
+    // view, best first. Unlike search() each move gets a full window, so the
+    // scores compare. `exact` is set when the search reached the end of the
+    // game before the time limit; the scores are then final disc margins
+    // (see scoreToMargin). Returns null when `color` has to pass.
+    rankMoves(room, color) {
+        const rootMoves = room.getValidMoves(color);
+        if (rootMoves.length === 0) return null;
+
+        const state = this.createSearchState(room);
+        const empties = this.countEmpties(state);
+        const solving = Boolean(this.settings.endgameEmpties) && empties <= this.settings.endgameEmpties;
+        const maxDepth = solving ? empties : this.settings.depth;
+
+        this.deadline = Date.now() + this.settings.timeLimit;
+        this.nodes = 0;
+
+        // A solve jumps from the level's depth straight to the end of the game
+        const depths = [];
+        for (let depth = 1; depth <= Math.min(this.settings.depth, maxDepth); depth++) depths.push(depth);
+        if (maxDepth > this.settings.depth) depths.push(maxDepth);
+
+        const squares = new Map(rootMoves.map(move => [move.r * state.size + move.c, move]));
+        let ranked = this.orderMoves(state, Array.from(squares.keys())).map(index => ({ index, score: 0 }));
+        let depthReached = 0;
+        for (const depth of depths) {
+            try {
+                ranked = ranked.map(({ index }) => {
+                    const flips = this.playSquare(state, index, color);
+                    const score = -this.negamax(state, 3 - color, depth - 1, -Infinity, Infinity, false);
+                    bitboard.toggleMove(state.position, color, index, flips);
+                    return { index, score };
+                }).sort((a, b) => b.score - a.score);
+                depthReached = depth;
+            } catch (error) {
+                // The scratch position is left mid-search; nothing reads it again
+                if (error instanceof SearchTimeout) break;
+                throw error;
+            }
+        }
+
+        return {
+            moves: ranked.map(({ index, score }) => ({ move: squares.get(index), score })),
+            depth: depthReached,
+            exact: solving && depthReached === maxDepth
+        };
+    }
+
+    // Iterative deepening search from `color`'s point of view. Returns the
+    // best of `rootMoves` and its score.
+    search(room, color, rootMoves) {
+        const state = this.createSearchState(room);
+        const empties = this.countEmpties(state);
+        let maxDepth = this.settings.depth;
+        if (this.settings.endgameEmpties && empties <= this.settings.endgameEmpties) {
+            maxDepth = empties;
+        }
+
+        this.deadline = Date.now() + this.settings.timeLimit;
+        this.nodes = 0;
+
+        const squares = new Map(rootMoves.map(move => [move.r * state.size + move.c, move]));
+        let orderedMoves = this.orderMoves(state, Array.from(squares.keys()));
+        let best = { index: orderedMoves[0], score: 0 };
+
+        // Iterative deepening: keep the best move of the deepest completed
+        // iteration so a timeout never leaves us with a half-searched answer.
+        for (let depth = 1; depth <= maxDepth; depth++) {
+            try {
+                const result = this.searchRoot(state, color, depth, orderedMoves);
+                best = result;
+                orderedMoves = [result.index, ...orderedMoves.filter(index => index !== result.index)];
+                if (Math.abs(result.score) >= WIN_SCORE) break;
+            } catch (error) {
+                if (error instanceof SearchTimeout) break;
+                throw error;
+            }
+        }
+
+        return { move: squares.get(best.index), score: best.score };
+    }
+
+    // The room's board as bitboards (see shared/bitboard.js), searched in
+    // place; the room itself is never touched
+    createSearchState(room) {
+        return {
+            position: bitboard.fromBoard(room.board),
+            size: room.board.length,
+            variant: room.variant
+        };
+    }
+
+    // Play `color` on square `index` of the search position. Returns the
+    // flips, which take the move back when toggled again.
+    playSquare(state, index, color) {
+        const flips = bitboard.flipMask(state.position, color, index);
+        bitboard.toggleMove(state.position, color, index, flips);
+        return flips;
+    }
+
+    searchRoot(state, color, depth, moves) {
+        let alpha = -Infinity;
+        let best = null;
+        for (const index of moves) {
+            const flips = this.playSquare(state, index, color);
+            const score = -this.negamax(state, 3 - color, depth - 1, -Infinity, -alpha, false);
+            bitboard.toggleMove(state.position, color, index, flips);
+            if (best === null || score > alpha) {
+                alpha = score;
+                best = { index, score };
+            }
+        }
+        return best;
+    }
+
+    negamax(state, color, depth, alpha, beta, passed) {
+        if ((++this.nodes & 255) === 0 && Date.now() > this.deadline) {
+            throw new SearchTimeout();
+        }
+
+        const moves = bitboard.moveMask(state.position, color);
+        if (bitboard.isEmpty(moves)) {
+            if (passed) return this.finalScore(state, color);
+            return -this.negamax(state, 3 - color, depth, -beta, -alpha, true);
+        }
+        if (depth <= 0) return this.evaluate(state, color, bitboard.popcount(moves));
+
+        let bestScore = -Infinity;
+        for (const index of this.orderMoves(state, bitboard.toIndices(moves))) {
+            const flips = this.playSquare(state, index, color);
+            const score = -this.negamax(state, 3 - color, depth - 1, -beta, -alpha, false);
+            bitboard.toggleMove(state.position, color, index, flips);
+
+            if (score > bestScore) bestScore = score;
+            if (score > alpha) alpha = score;
+            if (alpha >= beta) break;
+        }
+        return bestScore;
+    }
+
+    // Square indices, best squares first (ties keep their board order)
+    orderMoves(state, moves) {
+        const weights = getSquareWeights(state.size);
+        return moves.slice().sort((a, b) => weights[b] - weights[a]);
+    }
+
+    countEmpties(state) {
+        return bitboard.popcount(state.position.empty);
+    }
+
+    countDiscs(state, color) {
+        const { black, white } = state.position;
+        const mine = bitboard.popcount(color === 1 ? black : white);
+        const theirs = bitboard.popcount(color === 1 ? white : black);
+        return { mine, theirs };
+    }
+
+    // Game over: the disc difference is all that matters, scaled so any win
+    // outranks every heuristic score.
+    finalScore(state, color) {
+        const { mine, theirs } = this.countDiscs(state, color);
+        const winner = determineWinner({ [color]: mine, [3 - color]: theirs }, state.variant);
+        if (winner === 0) return 0;
+        const margin = Math.abs(mine - theirs);
+        return winner === color ? WIN_SCORE + margin : -WIN_SCORE - margin;
+    }
+
+    evaluate(state, color, mobility) {
+        const heuristics = this.settings.heuristics;
+        const { position, size } = state;
+        const own = color === 1 ? position.black : position.white;
+        const opponent = color === 1 ? position.white : position.black;
+        const opponentColor = 3 - color;
+        // In anti-Othello owning squares is a liability, so material terms flip
+        const materialSign = VARIANTS[state.variant]?.fewestDiscsWins ? -1 : 1;
+        let score = 0;
+
+        if (heuristics.includes('position')) {
+            const weights = getSquareWeights(size);
+            score += materialSign * (weightOf(own, weights) - weightOf(opponent, weights));
+        }
+
+        if (heuristics.includes('mobility')) {
+            const opponentMobility = bitboard.popcount(bitboard.moveMask(position, opponentColor));
+            if (mobility + opponentMobility > 0) {
+                score += Math.round(100 * (mobility - opponentMobility) / (mobility + opponentMobility));
+            }
+        }
+
+        if (heuristics.includes('corners')) {
+            const last = size - 1;
+            for (const index of [0, last, last * size, last * size + last]) {
+                if (hasSquare(own, index)) score += materialSign * 25;
+                else if (hasSquare(opponent, index)) score -= materialSign * 25;
+            }
+        }
+
+        return score;
+    }
+}
+
+module.exports = {
+    AI_LEVELS,
+    DEFAULT_AI_LEVEL,
+    OthelloAI,
+    getPositionWeights,
+    scoreToEvaluation,
+    scoreToMargin
+};
@@ -0,0 +1,135 @@
+// ==================================
+// ANALYSIS.JS - Position analysis for hints and the analysis API
+// ==================================
+// Pure helpers only; server.js owns the rooms and the game archive and
+// decides who may ask.
+//
+// An analysis:
+//   { sideToMove, passed, gameOver, scores, discDifferential, evaluation,
+//     depth, exact, moves: [{ rank, r, c, score, margin }] }
+// `discDifferential` is black's discs minus white's on the board now and
+// `evaluation` runs from -1 (white is winning) to 1 (black is winning), as
+// in the spectators' analysis. Move scores are from the side to move's point
+// of view, best first. With few empty squares left the engine searches to
+// the end of the game; `exact` is then set and `margin` is the final disc
+// margin each move leads to with best play (negative when it loses).
+const { OthelloAI, scoreToEvaluation, scoreToMargin } = require('./ai');
+const { BOARD_SIZES, HOLE, VARIANTS, createStartingBoard, determineWinner } = require('./variants');
+const rules = require('../shared/rules');
+
+const ANALYSIS_CONFIG = {
+    level: 'hard',
+    timeLimit: parseInt(process.env.ANALYSIS_TIME_LIMIT) || 1500,
+    // Positions with this many empty squares or fewer are solved exactly
+    exactEmpties: parseInt(process.env.ANALYSIS_EXACT_EMPTIES) || 12,
+    maxCandidates: 10
+};
+
+const CELL_VALUES = [0, 1, 2, HOLE];
+
+function isValidBoard(board) {
+    return Array.isArray(board) &&
+        BOARD_SIZES.includes(board.length) &&
+        board.every(row => Array.isArray(row) &&
+            row.length === board.length &&
+            row.every(cell => CELL_VALUES.includes(cell)));
+}
+
+function isValidVariant(variant) {
+    return Object.prototype.hasOwnProperty.call(VARIANTS, variant);
+}
+
+// Just enough of a room for the engine to search: the board, the variant
+// and the rules
+function createPosition(board, variant) {
+    return {
+        board,
+        variant,
+        moveHistory: [],
+        lastActivity: 0,
+        getValidMoves(color) {
+            return rules.getValidMoves(this.board, color);
+        },
+        makeMove(r, c, color) {
+            const flippedPieces = rules.playMove(this.board, r, c, color);
+            this.moveHistory.push({ player: color, position: { r, c }, flippedPieces });
+            return { success: true, flippedPieces };
+        }
+    };
+}
+
+// The board of an archived game after its first `moveNumber` moves and the
+// color due to move there, or null when the game has no such move
+function positionAtMove(record, moveNumber) {
+    if (!Number.isInteger(moveNumber) || moveNumber < 0 || moveNumber > record.moves.length) {
+        return null;
+    }
+    const start = record.startingBoard || createStartingBoard(record.boardSize || 8, 'standard');
+    const board = start.map(row => row.slice());
+    record.moves.slice(0, moveNumber).forEach(move => {
+        board[move.position.r][move.position.c] = move.player;
+        move.flippedPieces.forEach(({ r, c }) => {
+            board[r][c] = move.player;
+        });
+    });
+    const lastMove = record.moves[moveNumber - 1];
+    return { board, color: lastMove ? rules.opponentOf(lastMove.player) : 1 };
+}
+
+// Analyse `board` with `color` due to move. When that side has to pass the
+// opponent's moves are ranked instead (`passed` is set).
+function analyzePosition(board, color, variant = 'standard') {
+    const scores = rules.countDiscs(board);
+    const turn = rules.resolveTurn(board, color);
+    const base = {
+        scores,
+        discDifferential: scores[1] - scores[2],
+        passed: turn.passed
+    };
+
+    if (turn.gameOver) {
+        const winner = determineWinner(scores, variant);
+        return {
+            ...base,
+            sideToMove: null,
+            gameOver: true,
+            evaluation: winner === 1 ? 1 : winner === 2 ? -1 : 0,
+            depth: 0,
+            exact: true,
+            moves: []
+        };
+    }
+
+    const engine = new OthelloAI(ANALYSIS_CONFIG.level, {
+        timeLimit: ANALYSIS_CONFIG.timeLimit,
+        endgameEmpties: ANALYSIS_CONFIG.exactEmpties
+    });
+    const position = createPosition(board.map(row => row.slice()), variant);
+    const { moves, depth, exact } = engine.rankMoves(position, turn.player);
+    const sign = turn.player === 1 ? 1 : -1;
+
+    return {
+        ...base,
+        sideToMove: turn.player,
+        gameOver: false,
+        evaluation: scoreToEvaluation(sign * moves[0].score),
+        depth,
+        exact,
+        moves: moves.slice(0, ANALYSIS_CONFIG.maxCandidates).map(({ move, score }, index) => ({
+            rank: index + 1,
+            r: move.r,
+            c: move.c,
+            score,
+            margin: exact ? scoreToMargin(score) : null
+        }))
+    };
+}
+
+module.exports = {
+    ANALYSIS_CONFIG,
+    analyzePosition,
+    createPosition,
+    isValidBoard,
+    isValidVariant,
+    positionAtMove
+};
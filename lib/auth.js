@@ -0,0 +1,93 @@
+// ==================================
+// AUTH.JS - Accounts, passwords and sessions
+// ==================================
+// Pure helpers only; server.js owns the users/sessions maps and persistence.
+const crypto = require('crypto');
+
+const AUTH_CONFIG = {
+    sessionCookie: 'othello_session',
+    sessionTtl: 30 * 24 * 60 * 60 * 1000, // 30 days
+    minPasswordLength: 6,
+    maxPasswordLength: 128,
+    scryptKeyLength: 64
+};
+
+const USERNAME_PATTERN = /^[\p{L}\p{N}_]{3,20}$/u;
+
+function normalizeUsername(username) {
+    return String(username).trim().toLowerCase();
+}
+
+function validateCredentials(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim())) {
+        return { success: false, reason: 'Tên đăng nhập phải dài 3-20 ký tự, chỉ gồm chữ, số và dấu gạch dưới.' };
+    }
+    if (typeof password !== 'string' ||
+        password.length < AUTH_CONFIG.minPasswordLength ||
+        password.length > AUTH_CONFIG.maxPasswordLength) {
+        return { success: false, reason: `Mật khẩu phải có ít nhất ${AUTH_CONFIG.minPasswordLength} ký tự.` };
+    }
+    return { success: true };
+}
+
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, AUTH_CONFIG.scryptKeyLength, (error, derivedKey) => {
+            if (error) return reject(error);
+            resolve(`scrypt:${salt}:${derivedKey.toString('hex')}`);
+        });
+    });
+}
+
+function verifyPassword(password, passwordHash) {
+    return new Promise((resolve, reject) => {
+        const [scheme, salt, expected] = String(passwordHash).split(':');
+        if (scheme !== 'scrypt' || !salt || !expected) return resolve(false);
+
+        crypto.scrypt(password, salt, AUTH_CONFIG.scryptKeyLength, (error, derivedKey) => {
+            if (error) return reject(error);
+            const expectedBuffer = Buffer.from(expected, 'hex');
+            resolve(expectedBuffer.length === derivedKey.length &&
+                crypto.timingSafeEqual(expectedBuffer, derivedKey));
+        });
+    });
+}
+
+// Opaque tokens (sessions, seat rejoin) are handed to the client; only
+// their hash is stored server-side
+function createToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        const key = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[key] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[key] = value;
+        }
+    });
+    return cookies;
+}
+
+module.exports = {
+    AUTH_CONFIG,
+    createToken,
+    hashPassword,
+    hashToken,
+    normalizeUsername,
+    parseCookies,
+    validateCredentials,
+    verifyPassword
+};
@@ -0,0 +1,101 @@
+// ==================================
+// ENGINEPOOL.JS - Engine searches on worker threads
+// ==================================
+// A search runs for up to its level's time limit (3 s for the expert
+// engine), so none of them run on the thread that serves the sockets. The
+// pool hands each task to a free worker (lib/engineWorker.js) and queues the
+// rest; a worker that dies fails its task and is replaced. Idle workers do
+// not keep the process alive.
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const ENGINE_POOL_CONFIG = {
+    // One core is left for the sockets
+    size: parseInt(process.env.ENGINE_WORKERS) || Math.max(1, os.cpus().length - 1)
+};
+
+const WORKER_FILE = path.join(__dirname, 'engineWorker.js');
+
+function createEnginePool(size = ENGINE_POOL_CONFIG.size) {
+    const workers = new Set();
+    const idle = [];
+    const busy = new Map(); // worker -> task it is running
+    const queue = [];
+    let closed = false;
+
+    function dispatch() {
+        while (idle.length > 0 && queue.length > 0) {
+            const worker = idle.shift();
+            const task = queue.shift();
+            busy.set(worker, task);
+            worker.ref();
+            worker.postMessage({ type: task.type, payload: task.payload });
+        }
+    }
+
+    function release(worker) {
+        worker.unref();
+        idle.push(worker);
+        dispatch();
+    }
+
+    function spawn() {
+        const worker = new Worker(WORKER_FILE);
+        workers.add(worker);
+
+        worker.on('message', ({ result, error }) => {
+            const task = busy.get(worker);
+            busy.delete(worker);
+            if (error) task.reject(new Error(error));
+            else task.resolve(result);
+            release(worker);
+        });
+
+        worker.on('error', error => {
+            const task = busy.get(worker);
+            busy.delete(worker);
+            if (task) task.reject(error);
+        });
+
+        worker.on('exit', () => {
+            workers.delete(worker);
+            const index = idle.indexOf(worker);
+            if (index !== -1) idle.splice(index, 1);
+            const task = busy.get(worker);
+            busy.delete(worker);
+            if (task) task.reject(new Error('Engine worker stopped'));
+            if (!closed) spawn();
+        });
+
+        release(worker);
+    }
+
+    for (let i = 0; i < size; i++) spawn();
+
+    return {
+        // Run an engine task (see TASKS in lib/engineWorker.js). `urgent`
+        // tasks - moves of games in progress - go before queued analyses.
+        run(type, payload, { urgent = false } = {}) {
+            if (closed) return Promise.reject(new Error('Engine pool is closed'));
+            return new Promise((resolve, reject) => {
+                const task = { type, payload, resolve, reject };
+                if (urgent) queue.unshift(task);
+                else queue.push(task);
+                dispatch();
+            });
+        },
+
+        // Queued tasks fail; running ones are cut short
+        async close() {
+            closed = true;
+            queue.splice(0).forEach(task => task.reject(new Error('Engine pool is closed')));
+            await Promise.all(Array.from(workers, worker => worker.terminate()));
+        }
+    };
+}
+
+module.exports = {
+    ENGINE_POOL_CONFIG,
+    createEnginePool
+};
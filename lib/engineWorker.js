@@ -0,0 +1,37 @@
+// ==================================
+// ENGINEWORKER.JS - Worker thread entry point for engine searches
+// ==================================
+// Started by lib/enginePool.js. Each message is one search on a plain board
+// ({ type, payload }); the answer is { result } or { error }. Searches run
+// for up to their level's time limit, which is why they live here and not
+// on the thread that serves the sockets.
+const { parentPort } = require('worker_threads');
+const { OthelloAI } = require('./ai');
+const { analyzePosition, createPosition } = require('./analysis');
+const { rankPosition } = require('./review');
+
+const TASKS = {
+    // The engine's move for a game: { r, c }, or null when it has to pass
+    chooseMove: ({ level, board, variant, color }) =>
+        new OthelloAI(level).chooseMove(createPosition(board, variant), color),
+
+    // Best move and evaluation for the spectators' analysis (see
+    // OthelloAI.analyze)
+    analyze: ({ level, board, variant, color }) =>
+        new OthelloAI(level).analyze(createPosition(board, variant), color),
+
+    // Hints and the analysis API (see lib/analysis.js)
+    analyzePosition: ({ board, color, variant }) => analyzePosition(board, color, variant),
+
+    // One move of a game review (see lib/review.js)
+    rankPosition: ({ board, variant, color }) => rankPosition(board, variant, color)
+};
+
+parentPort.on('message', ({ type, payload }) => {
+    try {
+        if (!TASKS[type]) throw new Error(`Unknown engine task: ${type}`);
+        parentPort.postMessage({ result: TASKS[type](payload) });
+    } catch (error) {
+        parentPort.postMessage({ error: error.message });
+    }
+});
@@ -0,0 +1,62 @@
+// ==================================
+// MATCHMAKING.JS - Rating-based pairing for the matchmaking queue
+// ==================================
+// Pure helpers only; server.js owns the queue, creates the rooms and tells
+// the players.
+
+const MATCHMAKING_CONFIG = {
+    // Rating difference accepted right after joining the queue
+    initialWindow: parseInt(process.env.MATCHMAKING_INITIAL_WINDOW) || 100,
+    // The window widens by this many points per second of waiting...
+    widenPerSecond: parseFloat(process.env.MATCHMAKING_WINDOW_GROWTH) || 10,
+    // ...up to this limit
+    maxWindow: parseInt(process.env.MATCHMAKING_MAX_WINDOW) || 1000,
+    pairInterval: 1000,
+    // Recent matches the average wait is computed over
+    waitSampleSize: 50
+};
+
+// Largest rating difference `entry` accepts after waiting until `now`
+function searchWindow(entry, now = Date.now()) {
+    const waitedSeconds = Math.max(0, now - entry.joinedAt) / 1000;
+    return Math.min(
+        MATCHMAKING_CONFIG.maxWindow,
+        Math.round(MATCHMAKING_CONFIG.initialWindow + waitedSeconds * MATCHMAKING_CONFIG.widenPerSecond)
+    );
+}
+
+// Pair queue entries ({ rating, joinedAt, ... }). Whoever waited longest
+// picks first and takes the closest rating both windows accept, so a player
+// who just joined is not pulled into someone else's wide window. Returns
+// [[a, b], ...]; unpaired entries are left out.
+function findMatches(entries, now = Date.now()) {
+    const waiting = [...entries].sort((a, b) => a.joinedAt - b.joinedAt);
+    const paired = new Set();
+    const matches = [];
+
+    waiting.forEach(entry => {
+        if (paired.has(entry)) return;
+        let best = null;
+        let bestGap = Infinity;
+        waiting.forEach(candidate => {
+            if (candidate === entry || paired.has(candidate)) return;
+            const gap = Math.abs(entry.rating - candidate.rating);
+            if (gap <= Math.min(searchWindow(entry, now), searchWindow(candidate, now)) && gap < bestGap) {
+                best = candidate;
+                bestGap = gap;
+            }
+        });
+        if (best) {
+            paired.add(entry);
+            paired.add(best);
+            matches.push([entry, best]);
+        }
+    });
+    return matches;
+}
+
+module.exports = {
+    MATCHMAKING_CONFIG,
+    findMatches,
+    searchWindow
+};
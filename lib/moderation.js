@@ -0,0 +1,114 @@
+// ==================================
+// MODERATION.JS - Chat word filter and message reports
+// ==================================
+// Pure helpers only; server.js owns the reports map and persistence.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MODERATION_CONFIG = {
+    wordListFile: process.env.CHAT_FILTER_FILE || path.join(__dirname, '..', 'config', 'banned-words.txt'),
+    // Usernames (accounts) allowed to review reports
+    adminUsers: (process.env.ADMIN_USERS || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean),
+    reportContextSize: 10,
+    maxReasonLength: 200
+};
+
+// One word or phrase per line; blank lines and lines starting with # are
+// skipped. A missing file just disables the filter.
+function loadWordList(file = MODERATION_CONFIG.wordListFile) {
+    try {
+        return fs.readFileSync(file, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.trim().toLowerCase())
+            .filter(line => line && !line.startsWith('#'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading chat word list ${file}:`, error);
+        }
+        return [];
+    }
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Masks listed words with asterisks. Words only match whole: "class" is
+// not touched by "ass".
+function createWordFilter(words) {
+    if (words.length === 0) {
+        return { clean: text => ({ text, flagged: false }) };
+    }
+
+    // Longest first so phrases win over the single words they contain
+    const alternatives = [...new Set(words)]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp)
+        .join('|');
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+
+    return {
+        clean(text) {
+            let flagged = false;
+            const cleaned = text.replace(pattern, match => {
+                flagged = true;
+                return '*'.repeat([...match].length);
+            });
+            return { text: cleaned, flagged };
+        }
+    };
+}
+
+function isAdmin(user) {
+    return !!user && MODERATION_CONFIG.adminUsers.includes(user.username.toLowerCase());
+}
+
+// Report of one chat message with the conversation leading up to it.
+// Moderators see what was actually typed (`originalMessage`, kept on the
+// room's messages when the word filter masked something) and, for masked
+// messages, what the room was shown (`shownMessage`).
+function createReport(room, chatMessage, reporter, reason) {
+    const index = room.chatMessages.indexOf(chatMessage);
+    const context = room.chatMessages
+        .slice(Math.max(0, index - MODERATION_CONFIG.reportContextSize), index)
+        .map(({ sender, message, originalMessage, timestamp, type }) => ({
+            sender,
+            message: originalMessage || message,
+            timestamp,
+            type
+        }));
+
+    return {
+        id: crypto.randomUUID(),
+        roomId: room.id,
+        roomName: room.roomName,
+        message: {
+            id: chatMessage.id,
+            sender: chatMessage.sender,
+            senderRole: chatMessage.senderRole || null,
+            message: chatMessage.originalMessage || chatMessage.message,
+            shownMessage: chatMessage.originalMessage ? chatMessage.message : null,
+            timestamp: chatMessage.timestamp
+        },
+        context,
+        reportedBy: reporter.playerName,
+        reporterAccount: reporter.account || null,
+        reason: reason ? reason.slice(0, MODERATION_CONFIG.maxReasonLength) : null,
+        status: 'open',
+        createdAt: Date.now(),
+        resolvedAt: null,
+        resolvedBy: null
+    };
+}
+
+module.exports = {
+    MODERATION_CONFIG,
+    createReport,
+    createWordFilter,
+    isAdmin,
+    loadWordList
+};
@@ -0,0 +1,360 @@
+// ==================================
+// NOTATION.JS - Game export and import in standard Othello notation
+// ==================================
+// Pure helpers only; server.js owns the game archive and turns an imported
+// game into an archived record.
+//
+// Two formats:
+//   transcript  the moves only, e.g. "f5d6c3d3c4". A square is its column
+//               letter and row number counted from the top-left corner.
+//               Passes are left out: they follow from the position.
+//   ggf         Generic Game Format, a game in (; ... ;) with headers:
+//               (;GM[Othello]PC[...]DT[...]PB[...]PW[...]RB[...]RW[...]
+//                 TY[8]RE[+10]BO[8 ---...O*...--- *]B[F5]W[D6]...;)
+//               TY is the board size with "r" for a random start and "a"
+//               for anti-Othello; RE is black's disc margin, followed by
+//               ":r" (resignation), ":t" (timeout) or ":s" (agreed draw)
+//               when the game did not end on the board. BO is the starting
+//               board row by row (- empty, * black, O white, # hole) and
+//               the side to move. A pass is written PA.
+const { BOARD_SIZES, HOLE, VARIANTS, createStartingBoard, determineWinner } = require('./variants');
+const rules = require('../shared/rules');
+
+const NOTATION_CONFIG = {
+    maxLength: 20000,
+    maxNameLength: 30,
+    place: 'Cờ Lật Online'
+};
+
+const FORMATS = ['transcript', 'ggf'];
+
+const BOARD_CHARS = { 0: '-', 1: '*', 2: 'O', [HOLE]: '#' };
+const CHAR_CELLS = { '-': 0, '*': 1, X: 1, x: 1, O: 2, o: 2, '#': HOLE };
+
+const RESULT_SUFFIXES = {
+    resignation: 'r',
+    opponent_left: 'r',
+    abandoned: 'r',
+    timeout: 't',
+    draw_agreement: 's'
+};
+const SUFFIX_REASONS = { r: 'resignation', t: 'timeout', s: 'draw_agreement' };
+
+function squareName(r, c) {
+    return `${String.fromCharCode(97 + c)}${r + 1}`;
+}
+
+// GGF property values may not contain "]"; keep names printable
+function cleanText(text) {
+    return String(text).replace(/[\]\\\p{Cc}]/gu, '').trim();
+}
+
+function toTranscript(record) {
+    return record.moves.map(move => squareName(move.position.r, move.position.c)).join('');
+}
+
+function formatDate(timestamp) {
+    const date = new Date(timestamp);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}_` +
+        `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}.UTC`;
+}
+
+function formatResult(record) {
+    if (record.winner === null || record.winner === undefined) return null;
+    const suffix = RESULT_SUFFIXES[record.reason] ? `:${RESULT_SUFFIXES[record.reason]}` : '';
+    if (record.winner === 0) return `0${suffix}`;
+    const margin = Math.abs(record.finalScores[1] - record.finalScores[2]);
+    return `${record.winner === 1 ? '+' : '-'}${margin}${suffix}`;
+}
+
+// The rating each player went into the game with: from the rating update of
+// a rated game, or as read from an imported game
+function ratingOf(record, player) {
+    if (record.ratingChanges && record.ratingChanges[player.name]) {
+        return record.ratingChanges[player.name].before;
+    }
+    return record.ratings ? record.ratings[player.color] : undefined;
+}
+
+function toGGF(record) {
+    const size = record.boardSize || record.startingBoard.length;
+    const variant = record.variant || 'standard';
+    const start = record.startingBoard || createStartingBoard(size, 'standard');
+    const black = record.players.find(p => p.color === 1);
+    const white = record.players.find(p => p.color === 2);
+
+    const properties = [
+        ['GM', 'Othello'],
+        ['PC', NOTATION_CONFIG.place],
+        ['DT', formatDate(record.startedAt || record.endedAt)],
+        ['PB', black ? cleanText(black.name) : '?'],
+        ['PW', white ? cleanText(white.name) : '?']
+    ];
+    const blackRating = black && ratingOf(record, black);
+    const whiteRating = white && ratingOf(record, white);
+    if (blackRating !== undefined && blackRating !== null) properties.push(['RB', blackRating]);
+    if (whiteRating !== undefined && whiteRating !== null) properties.push(['RW', whiteRating]);
+    properties.push(['TY', `${size}${variant === 'random-start' ? 'r' : variant === 'anti' ? 'a' : ''}`]);
+    const result = formatResult(record);
+    if (result !== null) properties.push(['RE', result]);
+    const firstPlayer = record.moves.length > 0 ? record.moves[0].player : 1;
+    properties.push(['BO', `${size} ${start.map(row => row.map(cell => BOARD_CHARS[cell]).join('')).join('')} ${BOARD_CHARS[firstPlayer]}`]);
+
+    // A player who moves twice in a row had an opponent who passed
+    let expected = firstPlayer;
+    record.moves.forEach(move => {
+        if (move.player !== expected) {
+            properties.push([expected === 1 ? 'B' : 'W', 'PA']);
+        }
+        properties.push([move.player === 1 ? 'B' : 'W', squareName(move.position.r, move.position.c).toUpperCase()]);
+        expected = rules.opponentOf(move.player);
+    });
+
+    return `(;${properties.map(([key, value]) => `${key}[${value}]`).join('')};)\n`;
+}
+
+function exportGame(record, format) {
+    return format === 'transcript' ? `${toTranscript(record)}\n` : toGGF(record);
+}
+
+// Play `squares` ([{ r, c, color }], color optional) from `startingBoard`,
+// checking every move against the rules
+function replayMoves(startingBoard, squares, firstPlayer = 1) {
+    const board = startingBoard.map(row => row.slice());
+    const moves = [];
+    let turn = rules.resolveTurn(board, firstPlayer);
+    for (const [index, { r, c, color }] of squares.entries()) {
+        const label = `Nước ${index + 1} (${squareName(r, c)})`;
+        if (turn.gameOver) {
+            return { success: false, reason: `${label}: ván đấu đã kết thúc trước nước này.` };
+        }
+        if (color !== undefined && color !== turn.player) {
+            return { success: false, reason: `${label}: không phải lượt của ${color === 1 ? 'Đen' : 'Trắng'}.` };
+        }
+        if (!rules.isValidMove(board, r, c, turn.player)) {
+            return { success: false, reason: `${label} không hợp lệ.` };
+        }
+        const flippedPieces = rules.playMove(board, r, c, turn.player);
+        moves.push({ player: turn.player, position: { r, c }, flippedPieces });
+        turn = rules.resolveTurn(board, rules.opponentOf(turn.player));
+    }
+    return { success: true, board, moves, gameOver: turn.gameOver };
+}
+
+function parseSquare(text, size) {
+    const match = /^([a-z])(\d{1,2})$/i.exec(text);
+    if (!match) return null;
+    const c = match[1].toLowerCase().charCodeAt(0) - 97;
+    const r = parseInt(match[2], 10) - 1;
+    return r >= 0 && r < size && c < size ? { r, c } : null;
+}
+
+function parseTranscript(text, boardSize, variant) {
+    if (!BOARD_SIZES.includes(boardSize)) {
+        return { success: false, reason: 'Kích thước bàn cờ không hợp lệ.' };
+    }
+    if (variant !== 'standard' && variant !== 'anti') {
+        return { success: false, reason: 'Chuỗi nước đi không có thế cờ ban đầu; biến thể này cần bản ghi GGF.' };
+    }
+
+    const compact = text.replace(/\s+/g, '');
+    const squares = [];
+    const pattern = /([a-z])(\d{1,2})/iy;
+    while (pattern.lastIndex < compact.length) {
+        const at = pattern.lastIndex;
+        const match = pattern.exec(compact);
+        const square = match && parseSquare(match[0], boardSize);
+        if (!square) {
+            return { success: false, reason: `Không đọc được nước đi tại "${compact.slice(at, at + 4)}".` };
+        }
+        squares.push(square);
+    }
+    if (squares.length === 0) {
+        return { success: false, reason: 'Không có nước đi nào.' };
+    }
+
+    const startingBoard = createStartingBoard(boardSize, 'standard');
+    const replay = replayMoves(startingBoard, squares);
+    if (!replay.success) return replay;
+    const { board, moves, gameOver } = replay;
+    return {
+        success: true,
+        game: { format: 'transcript', boardSize, variant, startingBoard, players: {}, ratings: null, date: null, result: null, board, moves, gameOver }
+    };
+}
+
+function parseBoardProperty(value) {
+    const [sizeText, ...rest] = value.trim().split(/\s+/);
+    const size = parseInt(sizeText, 10);
+    const cells = rest.join('');
+    if (!BOARD_SIZES.includes(size) || cells.length !== size * size + 1) return null;
+    const board = [];
+    for (let r = 0; r < size; r++) {
+        const row = [];
+        for (let c = 0; c < size; c++) {
+            const cell = CHAR_CELLS[cells[r * size + c]];
+            if (cell === undefined) return null;
+            row.push(cell);
+        }
+        board.push(row);
+    }
+    const toMove = CHAR_CELLS[cells[size * size]];
+    if (toMove !== 1 && toMove !== 2) return null;
+    return { board, toMove };
+}
+
+function parseDate(value) {
+    const match = /^(\d{4})\.(\d{2})\.(\d{2})(?:_(\d{2}):(\d{2}):(\d{2}))?/.exec(value || '');
+    if (match) {
+        const [, y, mo, d, h = 0, mi = 0, s = 0] = match;
+        return Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+    }
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function parseResult(value) {
+    const match = /^([+-]?\d+(?:\.\d+)?)(?::([a-z]))?$/.exec((value || '').trim());
+    if (!match) return null;
+    const margin = parseFloat(match[1]);
+    return {
+        winner: margin > 0 ? 1 : margin < 0 ? 2 : 0,
+        reason: SUFFIX_REASONS[match[2]] || 'completed'
+    };
+}
+
+function parseGGF(text) {
+    const start = text.indexOf('(;');
+    const end = text.indexOf(';)', start + 2);
+    if (start === -1 || end === -1) {
+        return { success: false, reason: 'Bản ghi GGF phải nằm trong (; ... ;).' };
+    }
+
+    const headers = {};
+    const squares = [];
+    const pattern = /([A-Z]{1,2})\[([^\]]*)\]/g;
+    let match;
+    while ((match = pattern.exec(text.slice(start + 2, end))) !== null) {
+        const [, key, value] = match;
+        if (key === 'B' || key === 'W') {
+            // The move may carry an evaluation and a time: B[F5/1.23/0:05]
+            const move = value.split('/')[0].trim();
+            if (/^pa(ss)?$/i.test(move)) continue;
+            squares.push({ text: move, color: key === 'B' ? 1 : 2 });
+        } else if (!(key in headers)) {
+            headers[key] = value;
+        }
+    }
+    if (headers.GM && headers.GM.toLowerCase() !== 'othello') {
+        return { success: false, reason: 'Bản ghi không phải ván cờ Othello.' };
+    }
+
+    const type = /^(\d+)([a-z]*)$/i.exec((headers.TY || '8').trim());
+    const position = headers.BO ? parseBoardProperty(headers.BO) : null;
+    if (headers.BO && !position) {
+        return { success: false, reason: 'Thế cờ ban đầu (BO) không hợp lệ.' };
+    }
+    const boardSize = position ? position.board.length : type ? parseInt(type[1], 10) : NaN;
+    if (!BOARD_SIZES.includes(boardSize) || (type && parseInt(type[1], 10) !== boardSize)) {
+        return { success: false, reason: 'Kích thước bàn cờ không hợp lệ.' };
+    }
+    const flags = type ? type[2].toLowerCase() : '';
+    const hasHoles = position && position.board.some(row => row.includes(HOLE));
+    const variant = flags.includes('a') ? 'anti' : hasHoles ? 'holes' : flags.includes('r') ? 'random-start' : 'standard';
+
+    const parsedSquares = [];
+    for (const [index, { text: squareText, color }] of squares.entries()) {
+        const square = parseSquare(squareText, boardSize);
+        if (!square) {
+            return { success: false, reason: `Nước ${index + 1} "${squareText}" không hợp lệ.` };
+        }
+        parsedSquares.push({ ...square, color });
+    }
+    if (parsedSquares.length === 0) {
+        return { success: false, reason: 'Không có nước đi nào.' };
+    }
+
+    const startingBoard = position ? position.board : createStartingBoard(boardSize, 'standard');
+    const replay = replayMoves(startingBoard, parsedSquares, position ? position.toMove : 1);
+    if (!replay.success) return replay;
+    const { board, moves, gameOver } = replay;
+
+    const players = {};
+    if (headers.PB) players[1] = cleanText(headers.PB).slice(0, NOTATION_CONFIG.maxNameLength);
+    if (headers.PW) players[2] = cleanText(headers.PW).slice(0, NOTATION_CONFIG.maxNameLength);
+    const rating = value => (Number.isFinite(parseFloat(value)) ? Math.round(parseFloat(value)) : null);
+
+    return {
+        success: true,
+        game: {
+            format: 'ggf',
+            boardSize,
+            variant,
+            startingBoard,
+            players,
+            ratings: headers.RB || headers.RW ? { 1: rating(headers.RB), 2: rating(headers.RW) } : null,
+            date: parseDate(headers.DT),
+            result: parseResult(headers.RE),
+            board,
+            moves,
+            gameOver
+        }
+    };
+}
+
+// Read a game in either format. `boardSize` and `variant` only apply to
+// transcripts, which carry neither. The result of a game played out on the
+// board is counted; otherwise it is taken from the GGF result, if any.
+function importGame(text, { boardSize = 8, variant = 'standard' } = {}) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        return { success: false, reason: 'Chưa có nội dung ván đấu.' };
+    }
+    if (text.length > NOTATION_CONFIG.maxLength) {
+        return { success: false, reason: 'Nội dung ván đấu quá dài.' };
+    }
+    if (!Object.prototype.hasOwnProperty.call(VARIANTS, variant)) {
+        return { success: false, reason: 'Biến thể không hợp lệ.' };
+    }
+
+    const parsed = text.includes('(;') ? parseGGF(text) : parseTranscript(text, boardSize, variant);
+    if (!parsed.success) return parsed;
+
+    const { game } = parsed;
+    const finalScores = rules.countDiscs(game.board);
+    let winner = null;
+    let reason = 'unfinished';
+    if (game.gameOver) {
+        winner = determineWinner(finalScores, game.variant);
+        reason = 'completed';
+    } else if (game.result && game.result.reason !== 'completed') {
+        ({ winner, reason } = game.result);
+    }
+
+    return {
+        success: true,
+        game: {
+            format: game.format,
+            boardSize: game.boardSize,
+            variant: game.variant,
+            startingBoard: game.startingBoard,
+            players: game.players,
+            ratings: game.ratings,
+            date: game.date,
+            moves: game.moves,
+            finalScores,
+            winner,
+            reason
+        }
+    };
+}
+
+module.exports = {
+    FORMATS,
+    NOTATION_CONFIG,
+    exportGame,
+    importGame,
+    squareName,
+    toGGF,
+    toTranscript
+};
@@ -0,0 +1,112 @@
+// ==================================
+// RATELIMIT.JS - Token bucket rate limiting for socket events and REST routes
+// ==================================
+// Pure helpers only; server.js decides what is keyed by socket, by IP or by
+// event and what happens to clients that keep hitting the limits.
+
+const RATE_LIMIT_CONFIG = {
+    // Every event of one socket
+    socket: {
+        capacity: parseInt(process.env.RATE_LIMIT_SOCKET_BURST) || 20,
+        refillPerSecond: parseFloat(process.env.RATE_LIMIT_SOCKET_RATE) || 5
+    },
+    // Every event of every socket behind one address
+    ip: {
+        capacity: parseInt(process.env.RATE_LIMIT_IP_BURST) || 60,
+        refillPerSecond: parseFloat(process.env.RATE_LIMIT_IP_RATE) || 15
+    },
+    // Stricter per-socket limits for expensive or spammy events
+    events: {
+        createRoom: { capacity: 3, refillPerSecond: 1 / 10 },
+        joinRoom: { capacity: 5, refillPerSecond: 1 / 2 },
+        spectateRoom: { capacity: 5, refillPerSecond: 1 / 2 },
+        joinQueue: { capacity: 3, refillPerSecond: 1 / 5 },
+        chatMessage: { capacity: 5, refillPerSecond: 1 },
+        createInvite: { capacity: 5, refillPerSecond: 1 / 10 },
+        reportMessage: { capacity: 3, refillPerSecond: 1 / 30 },
+        offerDraw: { capacity: 2, refillPerSecond: 1 / 15 },
+        requestUndo: { capacity: 3, refillPerSecond: 1 / 10 },
+        getStats: { capacity: 3, refillPerSecond: 1 / 5 },
+        getLiveGames: { capacity: 3, refillPerSecond: 1 / 5 },
+        requestAnalysis: { capacity: 10, refillPerSecond: 1 },
+        requestHint: { capacity: 3, refillPerSecond: 1 / 5 },
+        requestReview: { capacity: 3, refillPerSecond: 1 / 10 }
+    },
+    // Per-address limits for expensive REST routes
+    http: {
+        analyze: { capacity: 5, refillPerSecond: 1 / 5 },
+        review: { capacity: 3, refillPerSecond: 1 / 10 },
+        import: { capacity: 5, refillPerSecond: 1 / 10 },
+        // Register and login together: slows password guessing, and each
+        // attempt costs a full scrypt run
+        auth: { capacity: 5, refillPerSecond: 1 / 12 }
+    },
+    // Rejected events (rate limited or malformed) a socket may send before
+    // it is disconnected
+    strikes: {
+        capacity: parseInt(process.env.RATE_LIMIT_MAX_STRIKES) || 15,
+        refillPerSecond: 1 / 10
+    },
+    maxConnectionsPerIp: parseInt(process.env.MAX_CONNECTIONS_PER_IP) || 20,
+    idleTtl: 10 * 60 * 1000
+};
+
+// `capacity` tokens, refilled continuously at `refillPerSecond`
+class TokenBucket {
+    constructor({ capacity, refillPerSecond }, now = Date.now()) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.updatedAt = now;
+    }
+
+    refill(now) {
+        const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        this.updatedAt = now;
+    }
+
+    // Take `cost` tokens if there are enough; returns whether it did
+    take(cost = 1, now = Date.now()) {
+        this.refill(now);
+        if (this.tokens < cost) return false;
+        this.tokens -= cost;
+        return true;
+    }
+}
+
+// One bucket per key (socket id, IP address...), created on first use
+class RateLimiter {
+    constructor(options) {
+        this.options = options;
+        this.buckets = new Map();
+    }
+
+    take(key, cost = 1, now = Date.now()) {
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = new TokenBucket(this.options, now);
+            this.buckets.set(key, bucket);
+        }
+        return bucket.take(cost, now);
+    }
+
+    remove(key) {
+        this.buckets.delete(key);
+    }
+
+    // Drop buckets nobody used for `idleMs`; they would be full again anyway
+    prune(idleMs, now = Date.now()) {
+        this.buckets.forEach((bucket, key) => {
+            if (now - bucket.updatedAt > idleMs) {
+                this.buckets.delete(key);
+            }
+        });
+    }
+}
+
+module.exports = {
+    RATE_LIMIT_CONFIG,
+    RateLimiter,
+    TokenBucket
+};
@@ -0,0 +1,96 @@
+// ==================================
+// RATING.JS - Elo rating model
+// ==================================
+// Pure functions only; server.js owns the leaderboard map and persistence.
+
+const RATING_CONFIG = {
+    initialRating: parseInt(process.env.ELO_INITIAL_RATING) || 1000,
+    kFactor: parseInt(process.env.ELO_K_FACTOR) || 32,
+    // New players move faster until their rating settles
+    provisionalKFactor: parseInt(process.env.ELO_PROVISIONAL_K_FACTOR) || 48,
+    provisionalGames: parseInt(process.env.ELO_PROVISIONAL_GAMES) || 10,
+    maxHistory: 500
+};
+
+function createRatingEntry(name) {
+    return {
+        name,
+        rating: RATING_CONFIG.initialRating,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        gamesPlayed: 0,
+        provisional: true,
+        history: []
+    };
+}
+
+// Bring entries written by the old +15/-10 system up to the current shape.
+// The old rating is kept as the starting point.
+function migrateRatingEntry(entry) {
+    const migrated = { ...createRatingEntry(entry.name), ...entry };
+    migrated.draws = migrated.draws || 0;
+    if (!Number.isFinite(entry.gamesPlayed)) {
+        migrated.gamesPlayed = migrated.wins + migrated.losses + migrated.draws;
+    }
+    migrated.provisional = migrated.gamesPlayed < RATING_CONFIG.provisionalGames;
+    if (!Array.isArray(entry.history)) {
+        migrated.history = [];
+    }
+    return migrated;
+}
+
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+function getKFactor(entry) {
+    return entry.provisional ? RATING_CONFIG.provisionalKFactor : RATING_CONFIG.kFactor;
+}
+
+// Update both entries in place for one game. `scoreA` is 1 for a win by A,
+// 0.5 for a draw and 0 for a loss. Returns the rating change of each side.
+function applyGameResult(entryA, entryB, scoreA, details = {}) {
+    const ratingA = entryA.rating;
+    const ratingB = entryB.rating;
+    const changeA = Math.round(getKFactor(entryA) * (scoreA - expectedScore(ratingA, ratingB)));
+    const changeB = Math.round(getKFactor(entryB) * ((1 - scoreA) - expectedScore(ratingB, ratingA)));
+
+    recordResult(entryA, changeA, scoreA, entryB.name, ratingB, details);
+    recordResult(entryB, changeB, 1 - scoreA, entryA.name, ratingA, details);
+
+    return {
+        [entryA.name]: { before: ratingA, after: entryA.rating, change: changeA },
+        [entryB.name]: { before: ratingB, after: entryB.rating, change: changeB }
+    };
+}
+
+function recordResult(entry, change, score, opponentName, opponentRating, details) {
+    entry.rating += change;
+    entry.gamesPlayed += 1;
+    if (score === 1) entry.wins += 1;
+    else if (score === 0) entry.losses += 1;
+    else entry.draws += 1;
+    entry.provisional = entry.gamesPlayed < RATING_CONFIG.provisionalGames;
+
+    entry.history.push({
+        rating: entry.rating,
+        change,
+        result: score === 1 ? 'win' : score === 0 ? 'loss' : 'draw',
+        opponent: opponentName,
+        opponentRating,
+        gameId: details.gameId || null,
+        timestamp: details.timestamp || Date.now()
+    });
+    if (entry.history.length > RATING_CONFIG.maxHistory) {
+        entry.history.splice(0, entry.history.length - RATING_CONFIG.maxHistory);
+    }
+}
+
+module.exports = {
+    RATING_CONFIG,
+    applyGameResult,
+    createRatingEntry,
+    expectedScore,
+    migrateRatingEntry
+};
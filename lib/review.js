@@ -0,0 +1,150 @@
+// ==================================
+// REVIEW.JS - Move-by-move review of a finished game
+// ==================================
+// Pure helpers only; server.js owns the game archive, queues the reviews and
+// caches each one on its archived record.
+//
+// A review:
+//   { createdAt, engine: { level, moveTimeLimit, exactEmpties },
+//     evaluations: [number],
+//     moves: [{ number, player, r, c, classification, forced, loss, best: { r, c } }],
+//     accuracy: { 1, 2 }, counts: { 1: { best, good, ... }, 2: { ... } } }
+// `evaluations` is the evaluation graph: black's side of the position from
+// -1 (white is winning) to 1, before the first move and after every move.
+// `loss` is how much of the mover's winning chances the move gave away next
+// to the engine's best move (0 to 1). Forced moves (the only legal move)
+// count as best and are left out of the accuracy.
+const { OthelloAI, scoreToEvaluation } = require('./ai');
+const { createPosition } = require('./analysis');
+const { createStartingBoard } = require('./variants');
+const rules = require('../shared/rules');
+
+const REVIEW_CONFIG = {
+    level: 'hard',
+    // Search time per move; a 60 move game is reviewed in well under a minute
+    moveTimeLimit: parseInt(process.env.REVIEW_MOVE_TIME_LIMIT) || 300,
+    exactEmpties: parseInt(process.env.REVIEW_EXACT_EMPTIES) || 10,
+    // Games waiting for a review before new requests are turned away
+    maxQueued: parseInt(process.env.REVIEW_MAX_QUEUED) || 20
+};
+
+const CLASSIFICATIONS = ['best', 'good', 'inaccuracy', 'mistake', 'blunder'];
+
+// Largest loss of winning chances each class allows; anything above the last
+// is a blunder
+const LOSS_THRESHOLDS = {
+    good: 0.05,
+    inaccuracy: 0.1,
+    mistake: 0.2
+};
+
+function classifyMove(loss, isBest) {
+    if (isBest) return 'best';
+    if (loss <= LOSS_THRESHOLDS.good) return 'good';
+    if (loss <= LOSS_THRESHOLDS.inaccuracy) return 'inaccuracy';
+    if (loss <= LOSS_THRESHOLDS.mistake) return 'mistake';
+    return 'blunder';
+}
+
+// Winning chances (0 to 1) of the side a search score belongs to
+function winningChances(score) {
+    return (1 + scoreToEvaluation(score)) / 2;
+}
+
+// Accuracy of a single move from its loss, on the curve chess sites use:
+// 100 for no loss, falling off quickly for the first few percent lost
+function moveAccuracy(loss) {
+    const accuracy = 103.1668 * Math.exp(-4.354 * loss) - 3.1669;
+    return Math.max(0, Math.min(100, accuracy));
+}
+
+// The engine's ranking of every legal move for `color` (see
+// OthelloAI.rankMoves), or null when `color` has to pass
+function rankPosition(board, variant, color) {
+    const engine = new OthelloAI(REVIEW_CONFIG.level, {
+        timeLimit: REVIEW_CONFIG.moveTimeLimit,
+        endgameEmpties: REVIEW_CONFIG.exactEmpties
+    });
+    return engine.rankMoves(createPosition(board, variant), color);
+}
+
+// Review every move of an archived game record. Searching a whole game takes
+// a while, so the event loop gets a turn between moves. `rank` searches one
+// position; server.js passes one that runs on its engine workers.
+async function reviewGame(record, rank = rankPosition) {
+    const variant = record.variant || 'standard';
+    const start = record.startingBoard || createStartingBoard(record.boardSize || 8, 'standard');
+    const board = start.map(row => row.slice());
+    const evaluations = [];
+    const moves = [];
+    const losses = { 1: [], 2: [] };
+    const counts = {
+        1: Object.fromEntries(CLASSIFICATIONS.map(name => [name, 0])),
+        2: Object.fromEntries(CLASSIFICATIONS.map(name => [name, 0]))
+    };
+
+    for (const [index, move] of record.moves.entries()) {
+        const { player, position: { r, c } } = move;
+        // The ranking is null when the mover has no legal move, so a
+        // recorded move there is as illegal as one missing from the ranking
+        const ranked = await rank(board.map(row => row.slice()), variant, player);
+        const played = ranked && ranked.moves.find(({ move: m }) => m.r === r && m.c === c);
+        if (!played) {
+            throw new Error(`Move ${index + 1} of game ${record.id} is not legal`);
+        }
+        const sign = player === 1 ? 1 : -1;
+        const best = ranked.moves[0];
+
+        if (index === 0) evaluations.push(scoreToEvaluation(sign * best.score));
+        evaluations.push(scoreToEvaluation(sign * played.score));
+
+        const forced = ranked.moves.length === 1;
+        const loss = Math.max(0, winningChances(best.score) - winningChances(played.score));
+        const classification = classifyMove(loss, forced || played.score === best.score);
+        counts[player][classification]++;
+        if (!forced) losses[player].push(loss);
+
+        moves.push({
+            number: index + 1,
+            player,
+            r,
+            c,
+            classification,
+            forced,
+            loss: Math.round(loss * 1000) / 1000,
+            best: { r: best.move.r, c: best.move.c }
+        });
+
+        rules.playMove(board, r, c, player);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const accuracy = {};
+    [1, 2].forEach(color => {
+        const list = losses[color];
+        accuracy[color] = list.length === 0
+            ? null
+            : Math.round(list.reduce((sum, loss) => sum + moveAccuracy(loss), 0) / list.length * 10) / 10;
+    });
+
+    return {
+        createdAt: Date.now(),
+        engine: {
+            level: REVIEW_CONFIG.level,
+            moveTimeLimit: REVIEW_CONFIG.moveTimeLimit,
+            exactEmpties: REVIEW_CONFIG.exactEmpties
+        },
+        evaluations,
+        moves,
+        accuracy,
+        counts
+    };
+}
+
+module.exports = {
+    CLASSIFICATIONS,
+    REVIEW_CONFIG,
+    classifyMove,
+    rankPosition,
+    reviewGame
+};
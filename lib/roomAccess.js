@@ -0,0 +1,72 @@
+// ==================================
+// ROOMACCESS.JS - Private rooms, invite links and bans
+// ==================================
+// Pure helpers only; server.js owns the rooms, checks passwords and decides
+// who may join.
+//
+// An invite token is `<nonce>.<expiresAt base36>.<signature>`, signed with
+// HMAC-SHA256 over the room id, nonce and expiry. The signature lets the
+// /room/:roomId route reject forged or expired links without touching the
+// room; the room keeps the nonces it issued so each link works only once.
+const crypto = require('crypto');
+
+const ROOM_VISIBILITIES = ['public', 'unlisted', 'private'];
+
+const ROOM_ACCESS_CONFIG = {
+    maxPasswordLength: 64,
+    inviteTtl: parseInt(process.env.INVITE_TTL) || 24 * 60 * 60 * 1000,
+    // Unused invites a room keeps; creating more drops the oldest
+    maxInvites: 20
+};
+
+function createInviteSigner(secret) {
+    const signature = (roomId, nonce, expiresAt) => crypto
+        .createHmac('sha256', secret)
+        .update(`${roomId}.${nonce}.${expiresAt}`)
+        .digest('base64url');
+
+    return {
+        sign(roomId, now = Date.now()) {
+            const nonce = crypto.randomBytes(12).toString('base64url');
+            const expiresAt = now + ROOM_ACCESS_CONFIG.inviteTtl;
+            return {
+                token: `${nonce}.${expiresAt.toString(36)}.${signature(roomId, nonce, expiresAt)}`,
+                nonce,
+                expiresAt
+            };
+        },
+
+        // Returns { nonce, expiresAt } for a genuine, unexpired token for
+        // this room, or null
+        verify(roomId, token, now = Date.now()) {
+            if (typeof token !== 'string') return null;
+            const [nonce, expiry, given] = token.split('.');
+            if (!nonce || !expiry || !given) return null;
+            const expiresAt = parseInt(expiry, 36);
+            if (!Number.isFinite(expiresAt) || expiresAt <= now) return null;
+
+            const expected = Buffer.from(signature(roomId, nonce, expiresAt));
+            const actual = Buffer.from(given);
+            if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+            return { nonce, expiresAt };
+        }
+    };
+}
+
+// A ban covers the account, the name (ignoring case) and the address the
+// banned player connected from: a banned account cannot come back as a
+// guest, nor a banned guest under another name. Players behind the same
+// address as a banned one are kept out too.
+function isBanned(bans, { name, account, address }) {
+    const lowerName = String(name).toLowerCase();
+    return bans.some(ban => (ban.account && ban.account === account) ||
+        ban.name.toLowerCase() === lowerName ||
+        (ban.address && ban.address === address));
+}
+
+module.exports = {
+    ROOM_ACCESS_CONFIG,
+    ROOM_VISIBILITIES,
+    createInviteSigner,
+    isBanned
+};
@@ -0,0 +1,44 @@
+// ==================================
+// ROOM STORE - Shared room state for multi-instance deployments
+// ==================================
+// Rooms are kept as serialized snapshots (see GameRoom.serialize) so any
+// instance behind the load balancer can pick up any room. Every store
+// implements the same async interface:
+//
+//   init()                     connect to the backing service
+//   load(roomId)               -> snapshot or null
+//   save(roomId, snapshot)     insert or replace a room
+//   remove(roomId)             delete a room
+//   list()                     -> every snapshot
+//   withLock(roomId, fn)       run fn while holding the room's lock
+//   createAdapter()            -> Socket.IO adapter, or null for local only
+//   close()                    release connections
+//
+// The server's other records (accounts, sessions, ratings, stats, archived
+// games, reports, tournaments) stay in storage and in each instance's maps;
+// the store shares every change with the other instances:
+//
+//   publishRecord(collection, key, record)  store a record (null deletes it)
+//                                            and tell the other instances
+//   loadRecord(collection, key)             -> shared record or null
+//   loadRecords(collection)                 -> every shared record
+//   onRecordChange(listener)                listener(collection, key, record)
+//                                            for changes made elsewhere
+//
+// Without REDIS_URL the in-process MemoryRoomStore is used: a single
+// instance behaves exactly like a cluster of one.
+const MemoryRoomStore = require('./memoryRoomStore');
+const RedisRoomStore = require('./redisRoomStore');
+
+function createRoomStore({ redisUrl = process.env.REDIS_URL } = {}) {
+    if (redisUrl) {
+        return new RedisRoomStore({ url: redisUrl });
+    }
+    return new MemoryRoomStore();
+}
+
+module.exports = {
+    MemoryRoomStore,
+    RedisRoomStore,
+    createRoomStore
+};
@@ -0,0 +1,74 @@
+// ==================================
+// In-process room store
+// ==================================
+// Stand-in for the shared store when running a single instance or testing
+// locally. Snapshots are kept as JSON strings so callers always get a fresh
+// copy, just like they would from Redis.
+
+class MemoryRoomStore {
+    constructor() {
+        this.shared = false;
+        this.rooms = new Map(); // roomId -> JSON snapshot
+        this.locks = new Map(); // roomId -> tail of the lock queue
+    }
+
+    async init() {}
+
+    async load(roomId) {
+        const data = this.rooms.get(roomId);
+        return data ? JSON.parse(data) : null;
+    }
+
+    async save(roomId, snapshot) {
+        this.rooms.set(roomId, JSON.stringify(snapshot));
+    }
+
+    async remove(roomId) {
+        this.rooms.delete(roomId);
+    }
+
+    async list() {
+        return Array.from(this.rooms.values(), data => JSON.parse(data));
+    }
+
+    // Callers for the same room run one after another, in arrival order
+    async withLock(roomId, fn) {
+        const previous = this.locks.get(roomId) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        const tail = previous.then(() => current);
+        this.locks.set(roomId, tail);
+
+        await previous;
+        try {
+            return await fn();
+        } finally {
+            release();
+            if (this.locks.get(roomId) === tail) {
+                this.locks.delete(roomId);
+            }
+        }
+    }
+
+    // A single instance has nobody to share its records with: the server's
+    // own maps hold them all
+    async publishRecord() {}
+
+    async loadRecord() {
+        return null;
+    }
+
+    async loadRecords() {
+        return [];
+    }
+
+    async onRecordChange() {}
+
+    createAdapter() {
+        return null;
+    }
+
+    async close() {}
+}
+
+module.exports = MemoryRoomStore;
@@ -0,0 +1,160 @@
+// ==================================
+// Redis room store
+// ==================================
+// Shared state for several instances: one key per room plus a set of room
+// ids, a SET NX lock per room and the Socket.IO Redis adapter so broadcasts
+// reach sockets connected to other instances. Other records are kept in one
+// hash per collection, and each change is announced on a pub/sub channel. `redis` and
+// `@socket.io/redis-adapter` are optional dependencies, only loaded here.
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'othello:';
+const LOCK_TTL = 10000; // Longest a crashed instance can hold a room
+const LOCK_RENEW_INTERVAL = LOCK_TTL / 3;
+const LOCK_TIMEOUT = 15000;
+const LOCK_RETRY_DELAY = 20;
+const RECORDS_CHANNEL = `${KEY_PREFIX}records`;
+
+// Only delete the lock if we still own it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+// Only extend the lock if we still own it
+const RENEW_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+class RedisRoomStore {
+    constructor({ url }) {
+        this.shared = true;
+        this.url = url;
+        this.client = null;
+        this.subClient = null;
+        this.instanceId = crypto.randomUUID();
+    }
+
+    async init() {
+        let createClient;
+        try {
+            ({ createClient } = require('redis'));
+        } catch (error) {
+            throw new Error('REDIS_URL requires the "redis" and "@socket.io/redis-adapter" packages');
+        }
+
+        this.client = createClient({ url: this.url });
+        this.subClient = this.client.duplicate();
+        this.client.on('error', error => console.error('Redis error:', error));
+        this.subClient.on('error', error => console.error('Redis subscriber error:', error));
+        await Promise.all([this.client.connect(), this.subClient.connect()]);
+    }
+
+    roomKey(roomId) {
+        return `${KEY_PREFIX}room:${roomId}`;
+    }
+
+    async load(roomId) {
+        const data = await this.client.get(this.roomKey(roomId));
+        return data ? JSON.parse(data) : null;
+    }
+
+    async save(roomId, snapshot) {
+        await this.client.multi()
+            .set(this.roomKey(roomId), JSON.stringify(snapshot))
+            .sAdd(`${KEY_PREFIX}rooms`, roomId)
+            .exec();
+    }
+
+    async remove(roomId) {
+        await this.client.multi()
+            .del(this.roomKey(roomId))
+            .sRem(`${KEY_PREFIX}rooms`, roomId)
+            .exec();
+    }
+
+    async list() {
+        const roomIds = await this.client.sMembers(`${KEY_PREFIX}rooms`);
+        if (roomIds.length === 0) return [];
+        const values = await this.client.mGet(roomIds.map(roomId => this.roomKey(roomId)));
+        return values.filter(Boolean).map(data => JSON.parse(data));
+    }
+
+    async withLock(roomId, fn) {
+        const lockKey = `${KEY_PREFIX}lock:${roomId}`;
+        const token = crypto.randomUUID();
+        const deadline = Date.now() + LOCK_TIMEOUT;
+
+        while (!(await this.client.set(lockKey, token, { NX: true, PX: LOCK_TTL }))) {
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for the lock of room ${roomId}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+        }
+
+        // Keep the lock while fn runs, however long its storage I/O takes;
+        // it only expires when the instance holding it is gone
+        const renewal = setInterval(() => {
+            this.client.eval(RENEW_LOCK_SCRIPT, { keys: [lockKey], arguments: [token, String(LOCK_TTL)] })
+                .catch(error => console.error(`Error renewing the lock of room ${roomId}:`, error));
+        }, LOCK_RENEW_INTERVAL);
+
+        try {
+            return await fn();
+        } finally {
+            clearInterval(renewal);
+            await this.client.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey], arguments: [token] });
+        }
+    }
+
+    recordsKey(collection) {
+        return `${KEY_PREFIX}records:${collection}`;
+    }
+
+    async publishRecord(collection, key, record) {
+        const change = JSON.stringify({ origin: this.instanceId, collection, key: String(key), record });
+        const multi = this.client.multi();
+        if (record) {
+            multi.hSet(this.recordsKey(collection), String(key), JSON.stringify(record));
+        } else {
+            multi.hDel(this.recordsKey(collection), String(key));
+        }
+        await multi.publish(RECORDS_CHANNEL, change).exec();
+    }
+
+    async loadRecord(collection, key) {
+        const data = await this.client.hGet(this.recordsKey(collection), String(key));
+        return data ? JSON.parse(data) : null;
+    }
+
+    async loadRecords(collection) {
+        const values = await this.client.hVals(this.recordsKey(collection));
+        return values.map(data => JSON.parse(data));
+    }
+
+    // Changes made by this instance are already in its own maps
+    async onRecordChange(listener) {
+        await this.subClient.subscribe(RECORDS_CHANNEL, message => {
+            const { origin, collection, key, record } = JSON.parse(message);
+            if (origin !== this.instanceId) {
+                listener(collection, key, record);
+            }
+        });
+    }
+
+    createAdapter() {
+        const { createAdapter } = require('@socket.io/redis-adapter');
+        return createAdapter(this.client, this.subClient);
+    }
+
+    async close() {
+        await Promise.all([this.client?.quit(), this.subClient?.quit()]);
+    }
+}
+
+module.exports = RedisRoomStore;
@@ -0,0 +1,50 @@
+// ==================================
+// STORAGE - Pluggable persistence layer
+// ==================================
+// Every adapter stores plain JSON records grouped in collections and
+// implements the same async interface:
+//
+//   init()                          prepare files / tables
+//   loadAll(collection)             -> array of records
+//   save(collection, key, record)   insert or replace one record
+//   saveAll(collection, records)    replace the whole collection
+//   remove(collection, key)         delete one record
+//   close()                         flush pending writes and release handles
+//
+// The adapter is picked with STORAGE_DRIVER (json | sqlite).
+const path = require('path');
+const JsonFileStore = require('./jsonStore');
+const SqliteStore = require('./sqliteStore');
+
+// Collection name -> JSON file name and the field that identifies a record
+const COLLECTIONS = {
+    leaderboard: { file: 'leaderboard.json', key: 'name' },
+    stats: { file: 'stats.json', key: 'name' },
+    games: { file: 'games.json', key: 'id' },
+    users: { file: 'users.json', key: 'id' },
+    sessions: { file: 'sessions.json', key: 'tokenHash' },
+    rooms: { file: 'rooms.json', key: 'id' },
+    reports: { file: 'reports.json', key: 'id' },
+    tournaments: { file: 'tournaments.json', key: 'id' }
+};
+
+function createStorage({ driver = process.env.STORAGE_DRIVER || 'json', dataDir } = {}) {
+    switch (driver) {
+        case 'json':
+            return new JsonFileStore({ dataDir, collections: COLLECTIONS });
+        case 'sqlite':
+            return new SqliteStore({
+                filename: process.env.SQLITE_FILE || path.join(dataDir, 'othello.db'),
+                collections: COLLECTIONS
+            });
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "json" or "sqlite")`);
+    }
+}
+
+module.exports = {
+    COLLECTIONS,
+    JsonFileStore,
+    SqliteStore,
+    createStorage
+};
@@ -0,0 +1,112 @@
+// ==================================
+// JSON file adapter
+// ==================================
+// One pretty-printed JSON array per collection in the data directory.
+// Writes go to a temp file that is renamed over the original, so a crash
+// never leaves a half-written file, and writes to the same file are
+// serialized so concurrent saves cannot interleave.
+const fs = require('fs').promises;
+const path = require('path');
+
+class JsonFileStore {
+    constructor({ dataDir, collections }) {
+        this.dataDir = dataDir;
+        this.collections = collections;
+        this.state = new Map(); // collection -> { records, loaded, queued, lastWrite }
+    }
+
+    async init() {
+        await fs.mkdir(this.dataDir, { recursive: true });
+    }
+
+    getState(collection) {
+        if (!this.collections[collection]) {
+            throw new Error(`Unknown collection "${collection}"`);
+        }
+        if (!this.state.has(collection)) {
+            this.state.set(collection, {
+                records: new Map(),
+                loaded: false,
+                queued: null,
+                lastWrite: Promise.resolve()
+            });
+        }
+        return this.state.get(collection);
+    }
+
+    getFilePath(collection) {
+        return path.join(this.dataDir, this.collections[collection].file);
+    }
+
+    async loadAll(collection) {
+        const state = this.getState(collection);
+        const keyField = this.collections[collection].key;
+        let records = [];
+        try {
+            records = JSON.parse(await fs.readFile(this.getFilePath(collection), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        state.records = new Map(records.map(record => [String(record[keyField]), record]));
+        state.loaded = true;
+        return records;
+    }
+
+    // Never write a collection we have not read, or we would wipe the file
+    async ensureLoaded(collection) {
+        if (!this.getState(collection).loaded) {
+            await this.loadAll(collection);
+        }
+    }
+
+    async save(collection, key, record) {
+        await this.ensureLoaded(collection);
+        this.getState(collection).records.set(String(key), record);
+        return this.flush(collection);
+    }
+
+    async saveAll(collection, records) {
+        const state = this.getState(collection);
+        const keyField = this.collections[collection].key;
+        state.records = new Map(records.map(record => [String(record[keyField]), record]));
+        state.loaded = true;
+        return this.flush(collection);
+    }
+
+    async remove(collection, key) {
+        await this.ensureLoaded(collection);
+        this.getState(collection).records.delete(String(key));
+        return this.flush(collection);
+    }
+
+    // Coalesce saves: while a write is waiting to start, later saves ride
+    // along with it since the file is serialized when the write begins.
+    flush(collection) {
+        const state = this.getState(collection);
+        if (!state.queued) {
+            state.queued = state.lastWrite.then(() => {
+                state.queued = null;
+                return this.writeFile(collection);
+            });
+            state.lastWrite = state.queued.catch(() => {});
+        }
+        return state.queued;
+    }
+
+    async writeFile(collection) {
+        const state = this.getState(collection);
+        const filePath = this.getFilePath(collection);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const data = JSON.stringify(Array.from(state.records.values()), null, 2);
+
+        await fs.writeFile(tempPath, data, 'utf8');
+        await fs.rename(tempPath, filePath);
+    }
+
+    async close() {
+        await Promise.all(Array.from(this.state.values()).map(state => state.lastWrite));
+    }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,92 @@
+// ==================================
+// SQLite adapter
+// ==================================
+// Embedded database through better-sqlite3 (an optional dependency, only
+// loaded when this adapter is selected). Records live in a single table
+// keyed by (collection, key) with the record itself stored as JSON.
+const fs = require('fs');
+const path = require('path');
+
+class SqliteStore {
+    constructor({ filename, collections }) {
+        this.filename = filename;
+        this.collections = collections;
+        this.db = null;
+        this.statements = null;
+    }
+
+    async init() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('STORAGE_DRIVER=sqlite requires the "better-sqlite3" package (npm install better-sqlite3)');
+        }
+
+        fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS records (
+                collection TEXT NOT NULL,
+                key TEXT NOT NULL,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (collection, key)
+            )
+        `);
+
+        this.statements = {
+            loadAll: this.db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY rowid'),
+            upsert: this.db.prepare(`
+                INSERT INTO records (collection, key, data, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT (collection, key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+            `),
+            remove: this.db.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+            clear: this.db.prepare('DELETE FROM records WHERE collection = ?')
+        };
+        this.replaceCollection = this.db.transaction((collection, records) => {
+            const keyField = this.collections[collection].key;
+            const now = Date.now();
+            this.statements.clear.run(collection);
+            records.forEach(record => {
+                this.statements.upsert.run(collection, String(record[keyField]), JSON.stringify(record), now);
+            });
+        });
+    }
+
+    checkCollection(collection) {
+        if (!this.collections[collection]) {
+            throw new Error(`Unknown collection "${collection}"`);
+        }
+    }
+
+    async loadAll(collection) {
+        this.checkCollection(collection);
+        return this.statements.loadAll.all(collection).map(row => JSON.parse(row.data));
+    }
+
+    async save(collection, key, record) {
+        this.checkCollection(collection);
+        this.statements.upsert.run(collection, String(key), JSON.stringify(record), Date.now());
+    }
+
+    async saveAll(collection, records) {
+        this.checkCollection(collection);
+        this.replaceCollection(collection, records);
+    }
+
+    async remove(collection, key) {
+        this.checkCollection(collection);
+        this.statements.remove.run(collection, String(key));
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteStore;
@@ -0,0 +1,307 @@
+// ==================================
+// TOURNAMENT.JS - Round-robin and Swiss tournaments
+// ==================================
+// Pure helpers only; server.js owns the tournaments map, persistence and
+// the rooms each pairing is played in.
+//
+// A tournament record:
+//   { id, name, format, status: 'registration' | 'running' | 'finished',
+//     settings: { boardSize, variant, timeControl, spectatorDelay }, totalRounds,
+//     players: [{ name, account, rating, registeredAt }],
+//     rounds: [{ number, pairings: [{ id, black, white, roomId, winner }] }],
+//     createdBy, createdAt, startedAt, finishedAt }
+// `winner` is the room color that won (1 = black, 2 = white, 0 = draw),
+// DOUBLE_FORFEIT when neither player turned up, or null while the game is
+// being played. A bye has white = null and counts as a win for black.
+const crypto = require('crypto');
+
+const TOURNAMENT_FORMATS = ['round-robin', 'swiss'];
+
+// Result of a pairing neither player turned up for: a loss for both
+const DOUBLE_FORFEIT = -1;
+
+const TOURNAMENT_CONFIG = {
+    minPlayers: 2,
+    maxPlayers: 64,
+    maxRounds: 20,
+    maxNameLength: 60,
+    // A pairing whose game has not started this long (ms) after its room
+    // opened is forfeited by whoever is not there
+    noShowTimeout: parseInt(process.env.TOURNAMENT_NO_SHOW_TIMEOUT) || 10 * 60 * 1000,
+    // Search steps the Swiss pairing may spend avoiding rematches before it
+    // settles for a greedy pairing that allows them
+    maxPairingSteps: 10000
+};
+
+function createTournament({ name, format, rounds = null, settings = {}, createdBy }) {
+    return {
+        id: crypto.randomUUID(),
+        name,
+        format,
+        status: 'registration',
+        settings,
+        // Swiss only; round-robin always plays everyone once
+        requestedRounds: rounds,
+        totalRounds: null,
+        players: [],
+        rounds: [],
+        createdBy,
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null
+    };
+}
+
+function registerPlayer(tournament, { name, account, rating }) {
+    if (tournament.status !== 'registration') {
+        return { success: false, reason: 'Giải đấu đã đóng đăng ký' };
+    }
+    if (tournament.players.some(p => p.account === account)) {
+        return { success: false, reason: 'Bạn đã đăng ký giải này' };
+    }
+    if (tournament.players.length >= TOURNAMENT_CONFIG.maxPlayers) {
+        return { success: false, reason: 'Giải đấu đã đủ người' };
+    }
+    tournament.players.push({ name, account, rating, registeredAt: Date.now() });
+    return { success: true };
+}
+
+function unregisterPlayer(tournament, account) {
+    if (tournament.status !== 'registration') {
+        return { success: false, reason: 'Giải đấu đã đóng đăng ký' };
+    }
+    const index = tournament.players.findIndex(p => p.account === account);
+    if (index === -1) {
+        return { success: false, reason: 'Bạn chưa đăng ký giải này' };
+    }
+    tournament.players.splice(index, 1);
+    return { success: true };
+}
+
+// Close registration and pair the first round
+function startTournament(tournament) {
+    if (tournament.status !== 'registration') {
+        return { success: false, reason: 'Giải đấu đã bắt đầu' };
+    }
+    const count = tournament.players.length;
+    if (count < TOURNAMENT_CONFIG.minPlayers) {
+        return { success: false, reason: `Cần ít nhất ${TOURNAMENT_CONFIG.minPlayers} người chơi` };
+    }
+
+    if (tournament.format === 'round-robin') {
+        tournament.totalRounds = count % 2 === 0 ? count - 1 : count;
+    } else {
+        // Enough rounds to separate a single winner unless told otherwise
+        tournament.totalRounds = Math.min(
+            tournament.requestedRounds || Math.ceil(Math.log2(count)),
+            count - 1 + (count % 2),
+            TOURNAMENT_CONFIG.maxRounds
+        );
+    }
+    tournament.status = 'running';
+    tournament.startedAt = Date.now();
+    return { success: true, round: pairNextRound(tournament) };
+}
+
+// Circle method: the first player stays put while the others rotate. An odd
+// field gets a null "player" whose opponent has the bye.
+function roundRobinPairs(names, roundIndex) {
+    const field = names.length % 2 === 0 ? [...names] : [...names, null];
+    const rest = field.slice(1);
+    const shift = roundIndex % rest.length;
+    const rotated = [field[0], ...rest.slice(rest.length - shift), ...rest.slice(0, rest.length - shift)];
+
+    const pairs = [];
+    for (let i = 0; i < rotated.length / 2; i++) {
+        let a = rotated[i];
+        let b = rotated[rotated.length - 1 - i];
+        // Alternate colors from round to round
+        if ((roundIndex + i) % 2 === 1) [a, b] = [b, a];
+        if (a === null) [a, b] = [b, a];
+        pairs.push([a, b]);
+    }
+    return pairs;
+}
+
+// Everyone each player has met so far
+function opponentsOf(tournament, name) {
+    const opponents = [];
+    tournament.rounds.forEach(round => round.pairings.forEach(pairing => {
+        if (pairing.white === null) return;
+        if (pairing.black === name) opponents.push(pairing.white);
+        if (pairing.white === name) opponents.push(pairing.black);
+    }));
+    return opponents;
+}
+
+function blackCount(tournament, name) {
+    return tournament.rounds.reduce((count, round) =>
+        count + round.pairings.filter(p => p.black === name && p.white !== null).length, 0);
+}
+
+// Pair players in ranking order, each with the highest ranked player they
+// have not met yet, backtracking when the tail cannot be paired that way.
+// Gives up (null) when there is no such pairing or `budget.steps` runs out.
+function pairWithoutRepeats(ranked, played, budget) {
+    if (ranked.length === 0) return [];
+    const [first, ...others] = ranked;
+    for (let i = 0; i < others.length; i++) {
+        if (played.get(first).has(others[i])) continue;
+        if (--budget.steps < 0) return null;
+        const rest = pairWithoutRepeats(others.filter((_, j) => j !== i), played, budget);
+        if (rest) return [[first, others[i]], ...rest];
+        if (budget.steps < 0) return null;
+    }
+    return null;
+}
+
+// Fallback: each player in ranking order takes the highest ranked player
+// left they have not met, or the highest ranked player left if they have
+// met everyone
+function pairGreedily(ranked, played) {
+    const left = [...ranked];
+    const pairs = [];
+    while (left.length > 1) {
+        const first = left.shift();
+        const index = Math.max(0, left.findIndex(name => !played.get(first).has(name)));
+        pairs.push([first, left.splice(index, 1)[0]]);
+    }
+    return pairs;
+}
+
+function swissPairs(tournament) {
+    const standings = computeStandings(tournament);
+    let ranked = standings.map(entry => entry.name);
+
+    // Odd field: the lowest ranked player without a bye yet sits out
+    let byePlayer = null;
+    if (ranked.length % 2 === 1) {
+        const candidates = standings.filter(entry => entry.byes === 0);
+        byePlayer = (candidates.length > 0 ? candidates[candidates.length - 1] : standings[standings.length - 1]).name;
+        ranked = ranked.filter(name => name !== byePlayer);
+    }
+
+    const played = new Map(ranked.map(name => [name, new Set(opponentsOf(tournament, name))]));
+    // Late in an event a rematch-free pairing may not exist, or take too
+    // long to find in a large field
+    const pairs = pairWithoutRepeats(ranked, played, { steps: TOURNAMENT_CONFIG.maxPairingSteps }) ||
+        pairGreedily(ranked, played);
+
+    // Whoever had black less often gets it this time
+    const colored = pairs.map(([a, b]) => blackCount(tournament, a) <= blackCount(tournament, b) ? [a, b] : [b, a]);
+    if (byePlayer) colored.push([byePlayer, null]);
+    return colored;
+}
+
+// Add the next round's pairings. Byes are scored straight away.
+function pairNextRound(tournament) {
+    const number = tournament.rounds.length + 1;
+    const pairs = tournament.format === 'round-robin'
+        ? roundRobinPairs(tournament.players.map(p => p.name), number - 1)
+        : swissPairs(tournament);
+
+    const round = {
+        number,
+        pairings: pairs.map(([black, white], index) => ({
+            id: `${number}-${index + 1}`,
+            black,
+            white,
+            roomId: null,
+            winner: white === null ? 1 : null
+        }))
+    };
+    tournament.rounds.push(round);
+    return round;
+}
+
+function isRoundComplete(round) {
+    return round.pairings.every(pairing => pairing.winner !== null);
+}
+
+// Store a game result. Returns false when the pairing is unknown or already
+// has one (a game is only ever counted once).
+function recordResult(tournament, roundNumber, pairingId, winner) {
+    const round = tournament.rounds.find(r => r.number === roundNumber);
+    const pairing = round && round.pairings.find(p => p.id === pairingId);
+    if (!pairing || pairing.winner !== null) return false;
+    pairing.winner = winner;
+    return true;
+}
+
+// After a result: pair the next round once the current one is complete, or
+// finish the tournament. Returns the new round, if any.
+function advanceTournament(tournament) {
+    const current = tournament.rounds[tournament.rounds.length - 1];
+    if (tournament.status !== 'running' || !current || !isRoundComplete(current)) return null;
+    if (tournament.rounds.length >= tournament.totalRounds) {
+        tournament.status = 'finished';
+        tournament.finishedAt = Date.now();
+        return null;
+    }
+    return pairNextRound(tournament);
+}
+
+// Points (win 1, draw 0.5, bye 1) with Buchholz - the sum of the opponents'
+// points - as the tie-break, then the rating players registered with
+function computeStandings(tournament) {
+    const table = new Map(tournament.players.map(player => [player.name, {
+        name: player.name,
+        rating: player.rating,
+        points: 0,
+        buchholz: 0,
+        wins: 0,
+        draws: 0,
+        losses: 0,
+        byes: 0,
+        opponents: []
+    }]));
+
+    tournament.rounds.forEach(round => round.pairings.forEach(pairing => {
+        if (pairing.winner === null) return;
+        const black = table.get(pairing.black);
+        if (pairing.white === null) {
+            black.points += 1;
+            black.byes += 1;
+            return;
+        }
+        const white = table.get(pairing.white);
+        black.opponents.push(white.name);
+        white.opponents.push(black.name);
+        if (pairing.winner === DOUBLE_FORFEIT) {
+            black.losses += 1;
+            white.losses += 1;
+        } else if (pairing.winner === 0) {
+            black.points += 0.5;
+            white.points += 0.5;
+            black.draws += 1;
+            white.draws += 1;
+        } else {
+            const [winner, loser] = pairing.winner === 1 ? [black, white] : [white, black];
+            winner.points += 1;
+            winner.wins += 1;
+            loser.losses += 1;
+        }
+    }));
+
+    table.forEach(entry => {
+        entry.buchholz = entry.opponents.reduce((sum, name) => sum + table.get(name).points, 0);
+    });
+
+    return Array.from(table.values())
+        .sort((a, b) => b.points - a.points || b.buchholz - a.buchholz || b.rating - a.rating)
+        .map(({ opponents, ...entry }, index) => ({ rank: index + 1, ...entry }));
+}
+
+module.exports = {
+    DOUBLE_FORFEIT,
+    TOURNAMENT_CONFIG,
+    TOURNAMENT_FORMATS,
+    advanceTournament,
+    computeStandings,
+    createTournament,
+    isRoundComplete,
+    recordResult,
+    registerPlayer,
+    startTournament,
+    unregisterPlayer
+};
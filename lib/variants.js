@@ -0,0 +1,71 @@
+// ==================================
+// VARIANTS.JS - Board sizes and rule variants
+// ==================================
+// Pure helpers only; GameRoom applies them. The rules themselves, and the
+// board cells they work on, are in shared/rules.js.
+const rules = require('../shared/rules');
+
+const BOARD_SIZES = [6, 8, 10, 12];
+const DEFAULT_BOARD_SIZE = 8;
+const { HOLE } = rules;
+
+const VARIANTS = {
+    standard: { label: 'Cổ điển' },
+    // A few random legal moves are played before the game starts
+    'random-start': { label: 'Khai cuộc ngẫu nhiên', randomOpeningMoves: 4 },
+    // Blocked squares, placed point-symmetrically so neither side is favoured
+    holes: { label: 'Ô bị chặn', holes: true },
+    // Fewest discs at the end wins
+    anti: { label: 'Anti-Othello (ít quân thắng)', fewestDiscsWins: true }
+};
+const DEFAULT_VARIANT = 'standard';
+
+function isValidRules(boardSize, variant) {
+    return BOARD_SIZES.includes(boardSize) && Object.prototype.hasOwnProperty.call(VARIANTS, variant);
+}
+
+// Empty board with the four centre discs, plus holes for the holes variant
+function createStartingBoard(boardSize, variant) {
+    const board = rules.createStartingBoard(boardSize);
+    if (VARIANTS[variant].holes) {
+        placeHoles(board, boardSize - 4);
+    }
+    return board;
+}
+
+// Holes come in mirrored pairs and stay clear of the 4x4 centre so the
+// opening is untouched
+function placeHoles(board, count) {
+    const size = board.length;
+    const mid = size / 2;
+    const nearCentre = (r, c) => Math.abs(r + 0.5 - mid) < 2 && Math.abs(c + 0.5 - mid) < 2;
+
+    let placed = 0;
+    while (placed < count) {
+        const r = Math.floor(Math.random() * size);
+        const c = Math.floor(Math.random() * size);
+        const mirrorR = size - 1 - r;
+        const mirrorC = size - 1 - c;
+        if (nearCentre(r, c) || board[r][c] !== 0 || board[mirrorR][mirrorC] !== 0) continue;
+
+        board[r][c] = HOLE;
+        board[mirrorR][mirrorC] = HOLE;
+        placed += 2;
+    }
+}
+
+// 1 or 2 for the winning color, 0 for a draw
+function determineWinner(scores, variant) {
+    return rules.determineWinner(scores, { fewestDiscsWins: Boolean(VARIANTS[variant]?.fewestDiscsWins) });
+}
+
+module.exports = {
+    BOARD_SIZES,
+    DEFAULT_BOARD_SIZE,
+    DEFAULT_VARIANT,
+    HOLE,
+    VARIANTS,
+    createStartingBoard,
+    determineWinner,
+    isValidRules
+};
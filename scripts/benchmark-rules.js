@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Compare the bitboard rules (shared/bitboard.js) with the array scan GameRoom
+ * used before them
+ * Chạy: npm run benchmark [-- --games 200 --size 8]
+ *
+ * Both implementations play the same seeded random games; the script checks
+ * that they agree on every move list and every flip before timing them.
+ */
+
+const { performance } = require('perf_hooks');
+const bitboard = require('../shared/bitboard');
+const { createStartingBoard } = require('../lib/variants');
+
+function readOption(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? fallback : parseInt(process.argv[index + 1], 10);
+}
+
+const GAMES = readOption('games', 200);
+const SIZES = process.argv.includes('--size') ? [readOption('size', 8)] : [8, 12];
+
+// The array scan: walk the 8 directions from every empty square
+const DIRECTIONS = [
+    [-1, 0], [1, 0], [0, -1], [0, 1],
+    [-1, -1], [-1, 1], [1, -1], [1, 1]
+];
+
+const arrayRules = {
+    isValidMove(board, r, c, color) {
+        if (board[r][c] !== 0) return false;
+        const size = board.length;
+        const opponent = color === 1 ? 2 : 1;
+        for (const [dr, dc] of DIRECTIONS) {
+            let foundOpponent = false;
+            let currentR = r + dr;
+            let currentC = c + dc;
+            while (currentR >= 0 && currentR < size && currentC >= 0 && currentC < size) {
+                if (board[currentR][currentC] === opponent) {
+                    foundOpponent = true;
+                } else if (board[currentR][currentC] === color && foundOpponent) {
+                    return true;
+                } else {
+                    break;
+                }
+                currentR += dr;
+                currentC += dc;
+            }
+        }
+        return false;
+    },
+
+    getValidMoves(board, color) {
+        const moves = [];
+        for (let r = 0; r < board.length; r++) {
+            for (let c = 0; c < board.length; c++) {
+                if (board[r][c] === 0 && arrayRules.isValidMove(board, r, c, color)) {
+                    moves.push({ r, c });
+                }
+            }
+        }
+        return moves;
+    },
+
+    playMove(board, r, c, color) {
+        const size = board.length;
+        const flipped = [];
+        const opponent = color === 1 ? 2 : 1;
+        board[r][c] = color;
+        for (const [dr, dc] of DIRECTIONS) {
+            const line = [];
+            let currentR = r + dr;
+            let currentC = c + dc;
+            while (currentR >= 0 && currentR < size && currentC >= 0 && currentC < size) {
+                if (board[currentR][currentC] === opponent) {
+                    line.push({ r: currentR, c: currentC });
+                } else if (board[currentR][currentC] === color) {
+                    line.forEach(square => {
+                        board[square.r][square.c] = color;
+                        flipped.push(square);
+                    });
+                    break;
+                } else {
+                    break;
+                }
+                currentR += dr;
+                currentC += dc;
+            }
+        }
+        return flipped;
+    },
+
+    countDiscs(board) {
+        const discs = { 1: 0, 2: 0 };
+        board.forEach(row => row.forEach(cell => {
+            if (cell === 1 || cell === 2) discs[cell]++;
+        }));
+        return discs;
+    }
+};
+
+// Small seeded PRNG so both implementations see the same games
+function mulberry32(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// What GameRoom does per turn: list the moves, play one, recount the discs
+// and look for passes and the end of the game. Returns a transcript of
+// every move list and flip so the two implementations can be compared.
+function playRandomGames(rules, size, games, seed) {
+    const random = mulberry32(seed);
+    const transcript = [];
+    for (let game = 0; game < games; game++) {
+        const board = createStartingBoard(size, 'standard');
+        let color = 1;
+        for (;;) {
+            let moves = rules.getValidMoves(board, color);
+            if (moves.length === 0) {
+                color = 3 - color;
+                moves = rules.getValidMoves(board, color);
+                if (moves.length === 0) break;
+            }
+            const { r, c } = moves[Math.floor(random() * moves.length)];
+            const flipped = rules.playMove(board, r, c, color);
+            const discs = rules.countDiscs(board);
+            transcript.push(moves.length, r, c, flipped.length, discs[1], discs[2]);
+            color = 3 - color;
+        }
+    }
+    return transcript;
+}
+
+function time(label, fn) {
+    const start = performance.now();
+    const result = fn();
+    return { label, ms: performance.now() - start, result };
+}
+
+function checkAgreement(size) {
+    const expected = playRandomGames(arrayRules, size, 20, 7);
+    const actual = playRandomGames(bitboard, size, 20, 7);
+    if (expected.length !== actual.length || expected.some((value, i) => value !== actual[i])) {
+        throw new Error(`Implementations disagree on ${size}x${size}`);
+    }
+
+    // Flip sets, not just their sizes, on a handful of positions
+    const random = mulberry32(11);
+    const board = createStartingBoard(size, 'standard');
+    let color = 1;
+    for (let ply = 0; ply < size * 3; ply++) {
+        const moves = arrayRules.getValidMoves(board, color);
+        if (moves.length === 0) break;
+        const { r, c } = moves[Math.floor(random() * moves.length)];
+        const copy = board.map(row => row.slice());
+        const key = squares => squares.map(s => `${s.r},${s.c}`).sort().join(' ');
+        if (key(arrayRules.playMove(board, r, c, color)) !== key(bitboard.playMove(copy, r, c, color))) {
+            throw new Error(`Flips differ on ${size}x${size}`);
+        }
+        color = 3 - color;
+    }
+}
+
+function benchmark() {
+    console.log(`♟️  Rules benchmark: ${GAMES} random games per board size\n`);
+    for (const size of SIZES) {
+        checkAgreement(size);
+
+        // Warm up both before timing
+        playRandomGames(arrayRules, size, 5, 1);
+        playRandomGames(bitboard, size, 5, 1);
+
+        const array = time('array', () => playRandomGames(arrayRules, size, GAMES, 42));
+        const bits = time('bitboard', () => playRandomGames(bitboard, size, GAMES, 42));
+        const plies = array.result.length / 6;
+
+        console.log(`${size}x${size} (${plies} moves, results identical)`);
+        [array, bits].forEach(({ label, ms }) => {
+            console.log(`  ${label.padEnd(9)} ${ms.toFixed(0).padStart(7)} ms  ${(plies / ms * 1000).toFixed(0).padStart(8)} moves/s`);
+        });
+        console.log(`  speed-up  ${(array.ms / bits.ms).toFixed(2)}x\n`);
+    }
+}
+
+try {
+    benchmark();
+} catch (error) {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Import data/*.json into the SQLite database
+ * Chạy: npm run migrate:sqlite
+ *
+ * Collections that already exist in the database are replaced by the
+ * content of their JSON file. Missing JSON files are skipped.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { COLLECTIONS, JsonFileStore, SqliteStore } = require('../lib/storage');
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const filename = process.env.SQLITE_FILE || path.join(dataDir, 'othello.db');
+
+async function migrate() {
+    const source = new JsonFileStore({ dataDir, collections: COLLECTIONS });
+    const target = new SqliteStore({ filename, collections: COLLECTIONS });
+    await target.init();
+
+    console.log(`📦 Importing JSON data from ${dataDir} into ${filename}\n`);
+    for (const [collection, { file }] of Object.entries(COLLECTIONS)) {
+        if (!fs.existsSync(path.join(dataDir, file))) {
+            console.log(`⏭️  ${file} not found, skipped`);
+            continue;
+        }
+        const records = await source.loadAll(collection);
+        await target.saveAll(collection, records);
+        console.log(`✅ ${file}: ${records.length} records`);
+    }
+
+    await target.close();
+    console.log('\n🎉 Migration completed. Start the server with STORAGE_DRIVER=sqlite');
+}
+
+migrate().catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+});
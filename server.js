@@ -8,7 +8,57 @@ const path = require('path');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const fs = require('fs').promises;
+const crypto = require('crypto');
+const { OthelloAI, AI_LEVELS } = require('./lib/ai');
+const { isValidBoard, isValidVariant, positionAtMove } = require('./lib/analysis');
+const { createEnginePool } = require('./lib/enginePool');
+const { REVIEW_CONFIG, reviewGame } = require('./lib/review');
+const { FORMATS: NOTATION_FORMATS, exportGame, importGame } = require('./lib/notation');
+const { RATING_CONFIG, applyGameResult, createRatingEntry, migrateRatingEntry } = require('./lib/rating');
+const {
+    AUTH_CONFIG,
+    createToken,
+    hashPassword,
+    hashToken,
+    normalizeUsername,
+    parseCookies,
+    validateCredentials,
+    verifyPassword
+} = require('./lib/auth');
+const { MATCHMAKING_CONFIG, findMatches, searchWindow } = require('./lib/matchmaking');
+const { createReport, createWordFilter, isAdmin, loadWordList } = require('./lib/moderation');
+const { RATE_LIMIT_CONFIG, RateLimiter } = require('./lib/rateLimit');
+const { ROOM_ACCESS_CONFIG, ROOM_VISIBILITIES, createInviteSigner, isBanned } = require('./lib/roomAccess');
+const { createStorage } = require('./lib/storage');
+const {
+    DOUBLE_FORFEIT,
+    TOURNAMENT_CONFIG,
+    TOURNAMENT_FORMATS,
+    advanceTournament,
+    computeStandings,
+    createTournament,
+    recordResult,
+    registerPlayer,
+    startTournament,
+    unregisterPlayer
+} = require('./lib/tournament');
+const { createRoomStore } = require('./lib/roomStore');
+const {
+    DEFAULT_BOARD_SIZE,
+    DEFAULT_VARIANT,
+    VARIANTS,
+    createStartingBoard,
+    determineWinner,
+    isValidRules
+} = require('./lib/variants');
+const {
+    CLIENT_EVENTS,
+    ERROR_CODES,
+    PROTOCOL_VERSION,
+    SERVER_EVENTS,
+    validatePayload
+} = require('./shared/protocol');
+const rules = require('./shared/rules');
 
 const app = express();
 const server = http.createServer(app);
@@ -28,95 +78,419 @@ app.use(compression());
 app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
+// Modules used by both the browser and the server (message protocol...)
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
 
-// Game storage
-const rooms = new Map();
+// Game storage. Rooms live in the room store (shared between instances when
+// REDIS_URL is set); `players` only tracks the sockets of this instance.
+const roomStore = createRoomStore();
 const players = new Map();
 const leaderboard = new Map();
 const gameStats = new Map();
+const gameArchive = new Map();
+const users = new Map(); // normalized username -> account
+const sessions = new Map(); // session token hash -> { username, expiresAt }
+const reports = new Map(); // report id -> reported chat message (moderation log)
+const tournaments = new Map(); // tournament id -> record (see lib/tournament.js)
+const matchQueue = new Map(); // socketId -> matchmaking queue entry (see Matchmaking Queue)
+const matchmakingStats = new Map(); // 'recentWaits' -> ms waited by the last matched players
+const chatFilter = createWordFilter(loadWordList());
+// Invite links must verify on every instance and across restarts, so set
+// INVITE_SECRET in production; a random one only lasts until the next restart
+const inviteSigner = createInviteSigner(process.env.INVITE_SECRET || crypto.randomBytes(32).toString('hex'));
+// Engine searches (AI moves, hints, analysis, reviews) run on worker threads
+// so a long search never holds up the sockets (ENGINE_WORKERS)
+const enginePool = createEnginePool();
 
-// File paths for persistence
-const LEADERBOARD_FILE = path.join(__dirname, 'data', 'leaderboard.json');
-const STATS_FILE = path.join(__dirname, 'data', 'stats.json');
+// Persistence: JSON files by default, SQLite with STORAGE_DRIVER=sqlite.
+// The maps above stay the source of truth while the server runs and every
+// change is written through to storage. With several instances each change
+// is also published through the room store, which keeps the maps of the
+// other instances up to date (see persistRecord).
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const storage = createStorage({ dataDir: DATA_DIR });
+
+// Connect the room store. With several instances, broadcasts go through its
+// Socket.IO adapter so they reach sockets connected to the other instances.
+async function initializeCluster() {
+    await roomStore.init();
+    const adapter = roomStore.createAdapter();
+    if (adapter) {
+        io.adapter(adapter);
+    }
+    await roomStore.onRecordChange(applySharedRecord);
+    (await roomStore.loadRecords('matchQueue')).forEach(entry => matchQueue.set(entry.socketId, entry));
+    const recentWaits = await roomStore.loadRecord('matchmaking', 'recentWaits');
+    if (recentWaits) {
+        matchmakingStats.set('recentWaits', recentWaits);
+    }
+    console.log(`Room store ready (${roomStore.shared ? 'redis' : 'memory'}).`);
+}
 
 // Initialize data directory
 async function initializeDataDirectory() {
     try {
-        await fs.mkdir(path.join(__dirname, 'data'), { recursive: true });
-        console.log('Data directory ensured.');
+        await storage.init();
+        console.log(`Storage ready (${process.env.STORAGE_DRIVER || 'json'}).`);
         await loadLeaderboard();
         await loadStats();
+        await loadGameArchive();
+        await loadUsers();
+        await loadSessions();
+        await loadReports();
+        await loadTournaments();
+        await restoreRooms();
     } catch (error) {
         console.error('Error initializing data directory:', error);
     }
 }
 
-// Leaderboard management
-async function loadLeaderboard() {
+// Fill an in-memory map from a storage collection. Records shared by the
+// other instances are newer than what storage had when they last loaded it.
+async function loadCollection(collection, target, keyOf) {
     try {
-        const data = await fs.readFile(LEADERBOARD_FILE, 'utf8');
-        const parsed = JSON.parse(data);
-        leaderboard.clear();
-        parsed.forEach(entry => leaderboard.set(entry.name, entry));
-        console.log('Leaderboard loaded.');
+        const records = await storage.loadAll(collection);
+        const shared = await roomStore.loadRecords(collection);
+        target.clear();
+        records.forEach(record => target.set(keyOf(record), record));
+        shared.forEach(record => target.set(keyOf(record), record));
+        console.log(`Loaded ${records.length} ${collection} records.`);
+        return records;
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log('Leaderboard file not found, starting fresh.');
-        } else {
-            console.error('Error loading leaderboard:', error);
-        }
+        console.error(`Error loading ${collection}:`, error);
+        return [];
     }
 }
 
-async function saveLeaderboard() {
-    try {
-        const data = JSON.stringify(Array.from(leaderboard.values()), null, 2);
-        await fs.writeFile(LEADERBOARD_FILE, data, 'utf8');
-        console.log('Leaderboard saved.');
-    } catch (error) {
-        console.error('Error saving leaderboard:', error);
+function persistRecord(collection, key, record) {
+    return Promise.all([storage.save(collection, key, record), roomStore.publishRecord(collection, key, record)])
+        .catch(error => console.error(`Error saving ${collection} record ${key}:`, error));
+}
+
+function removeRecord(collection, key) {
+    return Promise.all([storage.remove(collection, key), roomStore.publishRecord(collection, key, null)])
+        .catch(error => console.error(`Error removing ${collection} record ${key}:`, error));
+}
+
+// Maps kept in step with the other instances, by storage collection
+const SHARED_COLLECTIONS = {
+    leaderboard,
+    stats: gameStats,
+    games: gameArchive,
+    users,
+    sessions,
+    reports,
+    tournaments,
+    matchQueue,
+    matchmaking: matchmakingStats
+};
+
+// A record saved or removed by another instance
+function applySharedRecord(collection, key, record) {
+    const target = SHARED_COLLECTIONS[collection];
+    if (!target) return;
+    if (record) {
+        target.set(key, record);
+    } else {
+        target.delete(key);
+    }
+}
+
+// Leaderboard management
+async function loadLeaderboard() {
+    const records = await loadCollection('leaderboard', leaderboard, entry => entry.name);
+    leaderboard.forEach((entry, name) => leaderboard.set(name, migrateRatingEntry(entry)));
+
+    // Entries from the old fixed +15/-10 system have no rating history yet
+    if (records.some(entry => !Array.isArray(entry.history))) {
+        try {
+            await storage.saveAll('leaderboard', Array.from(leaderboard.values()));
+            console.log('Leaderboard migrated to Elo ratings.');
+        } catch (error) {
+            console.error('Error migrating leaderboard:', error);
+        }
     }
 }
 
 // Game stats management
 async function loadStats() {
+    await loadCollection('stats', gameStats, entry => entry.name);
+}
+
+// Account management
+async function loadUsers() {
+    await loadCollection('users', users, user => user.id);
+}
+
+// Rooms in progress survive restarts: they are snapshotted periodically and
+// on shutdown, then rebuilt at startup. A shared room store already outlives
+// the process, so there is nothing to do in that case.
+async function restoreRooms() {
+    if (roomStore.shared) return;
     try {
-        const data = await fs.readFile(STATS_FILE, 'utf8');
-        const parsed = JSON.parse(data);
-        gameStats.clear();
-        parsed.forEach(entry => gameStats.set(entry.name, entry));
-        console.log('Game stats loaded.');
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log('Game stats file not found, starting fresh.');
-        } else {
-            console.error('Error loading game stats:', error);
+        const snapshots = await storage.loadAll('rooms');
+        for (const snapshot of snapshots) {
+            try {
+                const room = GameRoom.deserialize(snapshot);
+                room.resumeAfterRestart(snapshot.snapshotAt);
+                await saveRoom(room);
+                scheduleAIMove(room);
+                room.players.forEach(player => scheduleAbandonTimer(room, player));
+            } catch (error) {
+                console.error(`Error restoring room ${snapshot.id}:`, error);
+            }
         }
+        console.log(`Restored ${snapshots.length} rooms.`);
+    } catch (error) {
+        console.error('Error restoring rooms:', error);
     }
 }
 
-async function saveStats() {
+async function snapshotRooms() {
+    if (roomStore.shared) return;
     try {
-        const data = JSON.stringify(Array.from(gameStats.values()), null, 2);
-        await fs.writeFile(STATS_FILE, data, 'utf8');
-        console.log('Game stats saved.');
+        const snapshotAt = Date.now();
+        const snapshots = await roomStore.list();
+        await storage.saveAll('rooms', snapshots.map(snapshot => ({ ...snapshot, snapshotAt })));
     } catch (error) {
-        console.error('Error saving game stats:', error);
+        console.error('Error saving room snapshots:', error);
     }
 }
 
-function updateLeaderboardRating(playerName, result) {
-    let player = leaderboard.get(playerName) || { name: playerName, rating: 1000, wins: 0, losses: 0 };
+async function loadReports() {
+    await loadCollection('reports', reports, report => report.id);
+}
 
-    if (result === 'win') {
-        player.rating += 15;
-        player.wins += 1;
-    } else if (result === 'loss') {
-        player.rating = Math.max(100, player.rating - 10);
-        player.losses += 1;
+async function loadTournaments() {
+    await loadCollection('tournaments', tournaments, tournament => tournament.id);
+}
+
+async function loadSessions() {
+    await loadCollection('sessions', sessions, session => session.tokenHash);
+    const now = Date.now();
+    for (const [tokenHash, session] of sessions.entries()) {
+        if (session.expiresAt <= now) {
+            sessions.delete(tokenHash);
+            removeRecord('sessions', tokenHash);
+        }
+    }
+}
+
+function createSession(user) {
+    const token = createToken();
+    const now = Date.now();
+    const session = {
+        tokenHash: hashToken(token),
+        userId: user.id,
+        createdAt: now,
+        expiresAt: now + AUTH_CONFIG.sessionTtl
+    };
+    sessions.set(session.tokenHash, session);
+    persistRecord('sessions', session.tokenHash, session);
+    return token;
+}
+
+// Resolve a session token to its account, or null for guests
+function getSessionUser(token) {
+    if (!token) return null;
+    const session = sessions.get(hashToken(token));
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+        sessions.delete(session.tokenHash);
+        removeRecord('sessions', session.tokenHash);
+        return null;
+    }
+    return users.get(session.userId) || null;
+}
+
+function getRequestToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice(7).trim();
+    }
+    return parseCookies(req.headers.cookie)[AUTH_CONFIG.sessionCookie] || null;
+}
+
+// Registered users always play under their account name. Guests pick a
+// name, but not one that belongs to an account.
+function resolvePlayerIdentity(socket, requestedName) {
+    const user = socket.data.user;
+    if (user) {
+        return { success: true, playerName: user.username, account: user.id };
+    }
+
+    if (typeof requestedName !== 'string' || requestedName.trim() === '') {
+        return { success: false, message: 'Tên người chơi không hợp lệ.' };
+    }
+    if (users.has(normalizeUsername(requestedName))) {
+        return { success: false, message: 'Tên này đã được đăng ký. Vui lòng đăng nhập hoặc chọn tên khác.' };
+    }
+    return { success: true, playerName: requestedName.trim(), account: null };
+}
+
+// Game archive management
+async function loadGameArchive() {
+    await loadCollection('games', gameArchive, record => record.id);
+}
+
+// Store the full record of a finished game
+function archiveGame(room, reason, { gameId = crypto.randomUUID(), ratingChanges = null } = {}) {
+    const record = {
+        id: gameId,
+        roomId: room.id,
+        roomName: room.roomName,
+        gameMode: room.gameMode,
+        boardSize: room.boardSize,
+        variant: room.variant,
+        players: room.players.map(p => ({
+            name: p.name,
+            color: p.color,
+            isAI: !!p.isAI,
+            aiLevel: p.aiLevel || null
+        })),
+        timeControl: room.timeControl,
+        startingBoard: room.startingBoard,
+        moves: room.moveHistory.map(move => ({
+            player: move.player,
+            position: move.position,
+            flippedPieces: move.flippedPieces,
+            timestamp: move.timestamp
+        })),
+        finalScores: { ...room.scores },
+        winner: room.winner,
+        reason,
+        ratingChanges,
+        startedAt: room.startedAt,
+        endedAt: Date.now()
+    };
+    gameArchive.set(record.id, record);
+    room.archivedGameId = record.id;
+    persistRecord('games', record.id, record);
+    return record;
+}
+
+// Store a game read from a transcript or GGF text (see lib/notation.js) so it
+// can be replayed, analysed and reviewed like a game played here. The names
+// are the file's: the game counts for nobody's history, stats or rating.
+function archiveImportedGame(game) {
+    const now = Date.now();
+    const record = {
+        id: crypto.randomUUID(),
+        roomId: null,
+        roomName: 'Ván nhập từ bản ghi',
+        gameMode: 'imported',
+        boardSize: game.boardSize,
+        variant: game.variant,
+        players: [1, 2].map(color => ({
+            name: game.players[color] || (color === 1 ? 'Đen' : 'Trắng'),
+            color,
+            isAI: false,
+            aiLevel: null
+        })),
+        timeControl: null,
+        startingBoard: game.startingBoard,
+        moves: game.moves.map(move => ({ ...move, timestamp: null })),
+        finalScores: game.finalScores,
+        winner: game.winner,
+        reason: game.reason,
+        ratingChanges: null,
+        ratings: game.ratings,
+        imported: true,
+        startedAt: game.date || now,
+        endedAt: now
+    };
+    gameArchive.set(record.id, record);
+    persistRecord('games', record.id, record);
+    return record;
+}
+
+// Game list entry without the move list
+function summarizeGame(record) {
+    return {
+        id: record.id,
+        roomId: record.roomId,
+        roomName: record.roomName,
+        boardSize: record.boardSize || DEFAULT_BOARD_SIZE,
+        variant: record.variant || DEFAULT_VARIANT,
+        players: record.players,
+        finalScores: record.finalScores,
+        winner: record.winner,
+        reason: record.reason,
+        moveCount: record.moves.length,
+        reviewed: Boolean(record.review),
+        imported: Boolean(record.imported),
+        startedAt: record.startedAt,
+        endedAt: record.endedAt
+    };
+}
+
+// Game reviews (see lib/review.js) run one at a time in the background and
+// are cached on the archived record. `reviewWaiters` maps a game id to the
+// sockets to send the review to once it is ready.
+const reviewQueue = [];
+const reviewWaiters = new Map();
+let reviewRunning = false;
+
+// Queue a review of an archived game. Returns false when the queue is full.
+function queueReview(record, socketId = null) {
+    if (!reviewQueue.includes(record.id)) {
+        if (reviewQueue.length >= REVIEW_CONFIG.maxQueued) return false;
+        reviewQueue.push(record.id);
+    }
+    if (socketId) {
+        if (!reviewWaiters.has(record.id)) reviewWaiters.set(record.id, new Set());
+        reviewWaiters.get(record.id).add(socketId);
+    }
+    runReviews();
+    return true;
+}
+
+async function runReviews() {
+    if (reviewRunning) return;
+    reviewRunning = true;
+    while (reviewQueue.length > 0) {
+        const gameId = reviewQueue[0];
+        const record = gameArchive.get(gameId);
+        let payload;
+        try {
+            if (!record.review) {
+                record.review = await reviewGame(record,
+                    (board, variant, color) => enginePool.run('rankPosition', { board, variant, color }));
+                persistRecord('games', record.id, record);
+            }
+            payload = { success: true, gameId, review: record.review };
+        } catch (error) {
+            console.error(`Error reviewing game ${gameId}:`, error);
+            payload = { success: false, gameId, message: 'Không thể phân tích ván đấu này.', type: 'error' };
+        }
+        reviewQueue.shift();
+        (reviewWaiters.get(gameId) || []).forEach(socketId => {
+            io.to(socketId).emit(SERVER_EVENTS.GAME_REVIEW, payload);
+        });
+        reviewWaiters.delete(gameId);
     }
-    leaderboard.set(playerName, player);
-    saveLeaderboard();
+    reviewRunning = false;
+}
+
+// Elo update for one rated game. scoreA: 1 = A won, 0.5 = draw, 0 = B won
+function updateRatings(playerNameA, playerNameB, scoreA, details) {
+    const entryA = leaderboard.get(playerNameA) || createRatingEntry(playerNameA);
+    const entryB = leaderboard.get(playerNameB) || createRatingEntry(playerNameB);
+
+    const changes = applyGameResult(entryA, entryB, scoreA, details);
+    leaderboard.set(playerNameA, entryA);
+    leaderboard.set(playerNameB, entryB);
+    persistRecord('leaderboard', playerNameA, entryA);
+    persistRecord('leaderboard', playerNameB, entryB);
+    return changes;
+}
+
+// Top entries by rating, without the rating history
+function getTopRatings(limit) {
+    return Array.from(leaderboard.values())
+        .sort((a, b) => b.rating - a.rating)
+        .slice(0, limit)
+        .map(({ history, ...entry }) => entry);
 }
 
 function updatePlayerStats(playerName, result, pointsScored = 0, pointsConceded = 0) {
@@ -142,43 +516,72 @@ function updatePlayerStats(playerName, result, pointsScored = 0, pointsConceded
         stats.ties += 1;
     }
     gameStats.set(playerName, stats);
-    saveStats();
+    persistRecord('stats', playerName, stats);
 }
 
 // Helper to generate unique room ID
-function generateRoomId() {
+async function generateRoomId() {
     let id;
     do {
         id = Math.random().toString(36).substring(2, 8).toUpperCase();
-    } while (rooms.has(id));
+    } while (await roomStore.load(id));
     return id;
 }
 
 // Helper to get room list for display
-function getRoomList() {
-    return Array.from(rooms.values())
-        .filter(room => room.gameMode === 'online' && room.players.length < 2 && !room.gameStarted)
+async function getRoomList() {
+    return (await loadAllRooms())
+        .filter(room => room.gameMode === 'online' && room.isListed() && room.players.length < 2 && !room.gameStarted)
         .map(room => ({
             id: room.id,
             name: room.roomName || room.id,
             hostName: room.players[0]?.name || 'Unknown',
             players: room.players.filter(p => p.connected).length,
             maxPlayers: 2,
+            spectators: room.spectators.length,
+            hasPassword: !!room.passwordHash,
             lastActivity: room.lastActivity,
-            gameMode: room.gameMode
+            gameMode: room.gameMode,
+            boardSize: room.boardSize,
+            variant: room.variant
         }));
 }
 
+// Time control limits (seconds)
+const TIME_CONTROL_LIMITS = {
+    initial: { min: 10, max: 3 * 60 * 60 },
+    increment: { min: 0, max: 60 },
+    perMove: { min: 5, max: 10 * 60 }
+};
+const CLOCK_SYNC_INTERVAL = 1000; // Clock sync and flag check every second
+const ROOM_LIST_BROADCAST_DELAY = 100;
+const ROOM_SNAPSHOT_INTERVAL = parseInt(process.env.ROOM_SNAPSHOT_INTERVAL) || 30 * 1000;
+// Spectators of a room may be held back by up to this long (ms); tournament
+// rooms use TOURNAMENT_SPECTATOR_DELAY unless the tournament says otherwise
+const SPECTATOR_DELAY_MAX = 5 * 60 * 1000;
+const TOURNAMENT_SPECTATOR_DELAY = process.env.TOURNAMENT_SPECTATOR_DELAY !== undefined
+    ? parseInt(process.env.TOURNAMENT_SPECTATOR_DELAY) || 0
+    : 30 * 1000;
+// Engine level behind the spectators' evaluation bar and best-move hint
+const SPECTATOR_ANALYSIS_LEVEL = 'medium';
+// How long a player may stay disconnected from a running game before it is
+// forfeited
+const ABANDON_GRACE_PERIOD = parseInt(process.env.ABANDON_GRACE_PERIOD) || 60 * 1000;
+// How often tournament rooms are checked for players who never turned up
+const TOURNAMENT_NO_SHOW_CHECK_INTERVAL = 30 * 1000;
+
 // GameRoom Class
 class GameRoom {
-    constructor(id, hostSocketId, hostName, roomName = null, mode = 'online') {
+    constructor(id, hostSocketId, hostName, roomName = null, mode = 'online', hostAccount = null) {
         this.id = id;
         this.roomName = roomName || id;
         this.gameMode = mode;
-        this.board = Array(8).fill(0).map(() => Array(8).fill(0));
+        this.boardSize = DEFAULT_BOARD_SIZE;
+        this.variant = DEFAULT_VARIANT;
+        this.board = Array(this.boardSize).fill(0).map(() => Array(this.boardSize).fill(0));
         this.currentPlayer = 1; // 1 for Black, 2 for White
         this.players = [
-            { id: hostSocketId, name: hostName, color: 1, connected: true, isHost: true }, // Host là black
+            { id: hostSocketId, name: hostName, color: 1, connected: true, isHost: true, account: hostAccount }, // Host là black
         ];
         this.spectators = [];
         this.gameStarted = false;
@@ -188,31 +591,277 @@ class GameRoom {
         this.lastActivity = Date.now();
         this.chatMessages = [];
         this.moveHistory = [];
+        this.startedAt = null;
+        this.startingBoard = null;
+        this.archivedGameId = null; // Id of the last finished game in the archive
+        this.timeControl = null; // { initial, increment, perMove } in ms, null = untimed
+        this.clocks = null; // Remaining ms per color
+        this.turnStartedAt = null;
+        this.spectatorChatEnabled = true;
+        this.mutedSpectators = []; // Spectator names muted by the players
+        this.matchGames = 0; // Games finished against the current opponent
+        this.rematchOffer = null; // { from: player name, at } after a game ends
+        this.pendingOffer = null; // { type: 'draw' | 'undo', from: player name, at } during a game
+        this.tournament = null; // { id, round, pairingId } when the room plays a tournament pairing
+        this.spectatorDelay = 0; // ms spectators lag behind the game (see broadcastToRoom)
+        this.visibility = 'public'; // 'public' | 'unlisted' | 'private' (see lib/roomAccess.js)
+        this.passwordHash = null;
+        this.invites = []; // { nonce, expiresAt } of invite links not used yet
+        this.bans = []; // { name, account, address } kept out by the host
+        this.initializeBoard();
+    }
+
+    // Accepts '5+0' / '3+2' (minutes + increment seconds), '30s' (fixed
+    // seconds per move), or { initial, increment } / { perMove } in seconds.
+    setTimeControl(input) {
+        if (!input) {
+            this.timeControl = null;
+            this.clocks = null;
+            return { success: true };
+        }
+
+        let initial = 0;
+        let increment = 0;
+        let perMove = 0;
+        if (typeof input === 'string') {
+            const fischer = /^(\d+(?:\.\d+)?)\+(\d+)$/.exec(input.trim());
+            const fixed = /^(\d+)s$/.exec(input.trim());
+            if (fischer) {
+                initial = parseFloat(fischer[1]) * 60;
+                increment = parseInt(fischer[2], 10);
+            } else if (fixed) {
+                perMove = parseInt(fixed[1], 10);
+            } else {
+                return { success: false, reason: 'Invalid time control' };
+            }
+        } else if (typeof input === 'object') {
+            if (input.perMove !== undefined) {
+                perMove = Number(input.perMove);
+            } else {
+                initial = Number(input.initial);
+                increment = Number(input.increment || 0);
+            }
+        } else {
+            return { success: false, reason: 'Invalid time control' };
+        }
+
+        const inRange = (value, { min, max }) => Number.isFinite(value) && value >= min && value <= max;
+        const valid = perMove
+            ? inRange(perMove, TIME_CONTROL_LIMITS.perMove)
+            : inRange(initial, TIME_CONTROL_LIMITS.initial) && inRange(increment, TIME_CONTROL_LIMITS.increment);
+        if (!valid) {
+            return { success: false, reason: 'Invalid time control' };
+        }
+
+        this.timeControl = {
+            initial: Math.round(initial * 1000),
+            increment: Math.round(increment * 1000),
+            perMove: Math.round(perMove * 1000)
+        };
+        this.resetClocks();
+        return { success: true };
+    }
+
+    // Board size and rule variant, chosen when the room is created
+    setRules({ boardSize = DEFAULT_BOARD_SIZE, variant = DEFAULT_VARIANT } = {}) {
+        boardSize = Number(boardSize);
+        if (!isValidRules(boardSize, variant)) {
+            return { success: false, reason: 'Invalid rules' };
+        }
+        this.boardSize = boardSize;
+        this.variant = variant;
         this.initializeBoard();
+        return { success: true };
+    }
+
+    setVisibility(visibility = 'public') {
+        if (!ROOM_VISIBILITIES.includes(visibility)) {
+            return { success: false, reason: 'Invalid visibility' };
+        }
+        this.visibility = visibility;
+        return { success: true };
+    }
+
+    // Shown in the lobby and the live games list
+    isListed() {
+        return this.visibility === 'public';
+    }
+
+    // Entering needs the password or an invite link
+    isProtected() {
+        return this.visibility === 'private' || !!this.passwordHash;
+    }
+
+    addInvite({ nonce, expiresAt }, now = Date.now()) {
+        this.invites = this.invites.filter(invite => invite.expiresAt > now);
+        this.invites.push({ nonce, expiresAt });
+        if (this.invites.length > ROOM_ACCESS_CONFIG.maxInvites) {
+            this.invites.shift();
+        }
+    }
+
+    // Invites are single use: returns whether the nonce was still valid
+    consumeInvite(nonce) {
+        const index = this.invites.findIndex(invite => invite.nonce === nonce);
+        if (index === -1) return false;
+        this.invites.splice(index, 1);
+        return true;
+    }
+
+    ban({ name, account, address }) {
+        if (!isBanned(this.bans, { name, account, address })) {
+            this.bans.push({ name, account: account || null, address: address || null });
+        }
+    }
+
+    // Remember where a player or spectator connects from, so that banning
+    // them also covers that address. Never sent to clients.
+    recordAddress(socketId, address) {
+        const participant = this.players.find(p => p.id === socketId) ||
+            this.spectators.find(s => s.id === socketId);
+        if (participant && address) {
+            participant.address = address;
+        }
+    }
+
+    // Take everyone called `name` out of the room, except the host and the
+    // engine. A kicked player gives up the seat. Returns who was removed.
+    removeParticipant(name) {
+        const removed = [];
+        const seatIndex = this.players.findIndex(p => p.name === name && !p.isHost && !p.isAI);
+        if (seatIndex !== -1) {
+            const [player] = this.players.splice(seatIndex, 1);
+            removed.push({
+                id: player.id,
+                name: player.name,
+                account: player.account || null,
+                address: player.address || null,
+                isPlayer: true
+            });
+            this.resetMatch();
+        }
+        this.spectators = this.spectators.filter(spectator => {
+            if (spectator.name !== name) return true;
+            removed.push({
+                id: spectator.id,
+                name: spectator.name,
+                account: spectator.account || null,
+                address: spectator.address || null,
+                isPlayer: false
+            });
+            return false;
+        });
+        this.lastActivity = Date.now();
+        return removed;
+    }
+
+    // How far (ms) spectators lag behind the players; 0 shows moves live
+    setSpectatorDelay(delay = 0) {
+        delay = Number(delay || 0);
+        if (!Number.isInteger(delay) || delay < 0 || delay > SPECTATOR_DELAY_MAX) {
+            return { success: false, reason: 'Invalid spectator delay' };
+        }
+        this.spectatorDelay = delay;
+        return { success: true };
+    }
+
+    resetClocks() {
+        this.turnStartedAt = null;
+        if (!this.timeControl) {
+            this.clocks = null;
+            return;
+        }
+        const budget = this.timeControl.perMove || this.timeControl.initial;
+        this.clocks = { 1: budget, 2: budget };
+    }
+
+    // Remaining time for a color, including the turn currently running
+    getRemainingTime(color) {
+        if (!this.clocks) return null;
+        let remaining = this.clocks[color];
+        if (this.turnStartedAt && color === this.currentPlayer && this.gameStarted && !this.gameOver) {
+            remaining -= Date.now() - this.turnStartedAt;
+        }
+        return Math.max(0, remaining);
+    }
+
+    // Charge the time spent on this move to the mover and add the increment.
+    // Without `addIncrement` only the elapsed time is charged (a turn that
+    // ends without a move, e.g. an undo).
+    chargeClock(color, { addIncrement = true } = {}) {
+        if (!this.clocks || !this.turnStartedAt) return;
+        const now = Date.now();
+        const increment = addIncrement ? this.timeControl.increment : 0;
+        this.clocks[color] = Math.max(0, this.clocks[color] - (now - this.turnStartedAt)) + increment;
+        this.turnStartedAt = now;
+    }
+
+    getClockState() {
+        if (!this.clocks) return null;
+        return {
+            timeControl: this.timeControl,
+            remaining: { 1: this.getRemainingTime(1), 2: this.getRemainingTime(2) },
+            running: this.gameStarted && !this.gameOver && this.turnStartedAt ? this.currentPlayer : null,
+            serverTime: Date.now()
+        };
     }
 
-    addPlayer(socketId, playerName) {
+    // Opaque per-seat token that lets its owner reclaim the seat after a
+    // disconnect. Only the hash is kept and issuing a new one revokes the old.
+    issueRejoinToken(player) {
+        const token = createToken();
+        player.rejoinTokenHash = hashToken(token);
+        return token;
+    }
+
+    findSeatByRejoinToken(token) {
+        if (typeof token !== 'string' || token === '') return null;
+        const tokenHash = hashToken(token);
+        return this.players.find(p => p.rejoinTokenHash && p.rejoinTokenHash === tokenHash) || null;
+    }
+
+    // Find the disconnected seat this socket may reclaim: the seat its rejoin
+    // token belongs to, or a seat owned by its logged-in account.
+    findReclaimableSeat(account = null, rejoinToken = null) {
+        const tokenSeat = this.findSeatByRejoinToken(rejoinToken);
+        if (tokenSeat && !tokenSeat.connected) return tokenSeat;
+        if (!account) return null;
+        return this.players.find(p => !p.connected && !p.isAI && p.account === account) || null;
+    }
+
+    reclaimSeat(player, socketId) {
+        player.id = socketId;
+        player.connected = true;
+        player.disconnectedAt = null;
+        player.abandonDeadline = null;
+        this.lastActivity = Date.now();
+        return this.issueRejoinToken(player);
+    }
+
+    addPlayer(socketId, playerName, account = null, rejoinToken = null) {
+        // Kiểm tra reconnecting player
+        const existingPlayer = this.findReclaimableSeat(account, rejoinToken);
+        if (existingPlayer) {
+            const newToken = this.reclaimSeat(existingPlayer, socketId);
+            return { success: true, reconnected: true, player: existingPlayer, rejoinToken: newToken };
+        }
+
         if (this.players.length < 2) {
-            // Kiểm tra reconnecting player
-            const existingPlayer = this.players.find(p => p.name === playerName && !p.connected);
-            if (existingPlayer) {
-                existingPlayer.id = socketId;
-                existingPlayer.connected = true;
-                this.lastActivity = Date.now();
-                return { success: true, reconnected: true };
-            }
-
-            // Player mới - thêm như white player
-            const playerColor = 2; // Player thứ 2 luôn là white
-            this.players.push({ 
+
+            // Player mới nhận màu còn trống (màu có thể đã đổi sau các ván rematch)
+            const playerColor = this.players.some(p => p.color === 2) ? 1 : 2;
+            const player = { 
                 id: socketId, 
                 name: playerName, 
                 color: playerColor, 
                 connected: true, 
-                isHost: false 
-            });
+                isHost: false,
+                account
+            };
+            this.players.push(player);
+            this.resetMatch();
             this.lastActivity = Date.now();
-            return { success: true, reconnected: false };
+            return { success: true, reconnected: false, player, rejoinToken: this.issueRejoinToken(player) };
         }
         return { success: false, reason: 'Room is full' };
     }
@@ -220,10 +869,15 @@ class GameRoom {
     removePlayer(socketId) {
         const playerIndex = this.players.findIndex(p => p.id === socketId);
         if (playerIndex !== -1) {
-            this.players[playerIndex].connected = false;
-            console.log(`Player ${this.players[playerIndex].name} disconnected from room ${this.id}`);
+            const player = this.players[playerIndex];
+            player.connected = false;
+            player.disconnectedAt = Date.now();
+            if (this.gameStarted && !this.gameOver) {
+                player.abandonDeadline = player.disconnectedAt + ABANDON_GRACE_PERIOD;
+            }
+            console.log(`Player ${player.name} disconnected from room ${this.id}`);
             this.lastActivity = Date.now();
-            return { success: true, player: this.players[playerIndex] };
+            return { success: true, player };
         }
         
         const spectatorIndex = this.spectators.findIndex(s => s.id === socketId);
@@ -236,15 +890,99 @@ class GameRoom {
         return { success: false };
     }
 
-    addSpectator(socketId, spectatorName) {
-        this.spectators.push({ id: socketId, name: spectatorName });
+    // Seat the server-side engine as the second player
+    addAIPlayer(level) {
+        if (this.players.length >= 2) {
+            return { success: false, reason: 'Room is full' };
+        }
+
+        this.ai = new OthelloAI(level);
+        this.players.push({
+            id: `ai-${this.id}`,
+            name: `🤖 Máy (${this.ai.settings.label})`,
+            color: this.players.some(p => p.color === 2) ? 1 : 2,
+            connected: true,
+            isHost: false,
+            isAI: true,
+            aiLevel: this.ai.level
+        });
+        this.resetMatch();
+        this.lastActivity = Date.now();
+        return { success: true };
+    }
+
+    hasAIPlayer() {
+        return this.players.some(p => p.isAI);
+    }
+
+    hasConnectedHumans() {
+        return this.players.some(p => p.connected && !p.isAI);
+    }
+
+    addSpectator(socketId, spectatorName, account = null) {
+        this.spectators.push({ id: socketId, name: spectatorName, account });
+        this.lastActivity = Date.now();
+    }
+
+    // A new opponent starts a new match
+    resetMatch() {
+        this.players.forEach(player => {
+            player.matchScore = 0;
+        });
+        this.matchGames = 0;
+        this.rematchOffer = null;
+    }
+
+    // Back to the starting position, ready for startGame()
+    resetBoard() {
+        this.pendingOffer = null;
+        this.clearAbandonDeadlines();
+        this.initializeBoard();
+        this.currentPlayer = 1;
+        this.gameStarted = false;
+        this.gameOver = false;
+        this.winner = null;
+        this.moveHistory = [];
+        this.startedAt = null;
+        this.startingBoard = null;
+        this.resetClocks();
         this.lastActivity = Date.now();
     }
 
+    // Tournament rooms wait for their players until the pairing is decided,
+    // by a result or by a forfeit (see checkTournamentNoShows)
+    isPendingTournamentGame() {
+        return !!this.tournament && !this.gameOver;
+    }
+
+    // Nobody can forfeit by disconnection outside a running game
+    clearAbandonDeadlines() {
+        this.players.forEach(player => {
+            player.abandonDeadline = null;
+        });
+    }
+
+    // Both players agreed to play again: swap colors so the other side
+    // moves first, and start right away
+    startRematch() {
+        this.rematchOffer = null;
+        this.players.forEach(player => {
+            player.color = player.color === 1 ? 2 : 1;
+        });
+        this.resetBoard();
+        return this.startGame();
+    }
+
     startGame() {
         if (this.players.length === 2 && !this.gameStarted) {
             this.gameStarted = true;
             this.lastActivity = Date.now();
+            this.startedAt = Date.now();
+            this.startingBoard = this.board.map(row => row.slice());
+            this.resetClocks();
+            if (this.clocks) {
+                this.turnStartedAt = Date.now();
+            }
             console.log(`Game started in room ${this.id}`);
             return true;
         }
@@ -253,89 +991,45 @@ class GameRoom {
 
     // Othello game logic
     initializeBoard() {
-        this.board = Array(8).fill(0).map(() => Array(8).fill(0));
-        this.board[3][3] = 2; // White
-        this.board[3][4] = 1; // Black
-        this.board[4][3] = 1; // Black
-        this.board[4][4] = 2; // White
+        this.board = createStartingBoard(this.boardSize, this.variant);
+        const openingMoves = VARIANTS[this.variant].randomOpeningMoves;
+        if (openingMoves) {
+            this.playRandomOpening(openingMoves);
+        }
         this.updateScores();
     }
 
-    getValidMoves(playerColor) {
-        const validMoves = [];
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                if (this.board[r][c] === 0 && this.isValidMove(r, c, playerColor)) {
-                    validMoves.push({ r, c });
-                }
-            }
+    // Random legal moves from the start position, Black to move afterwards
+    playRandomOpening(count) {
+        let color = 1;
+        for (let i = 0; i < count; i++) {
+            const moves = this.getValidMoves(color);
+            if (moves.length === 0) break;
+            const { r, c } = moves[Math.floor(Math.random() * moves.length)];
+            this.flipDiscs(r, c, color);
+            color = color === 1 ? 2 : 1;
         }
-        return validMoves;
     }
 
-    isValidMove(r, c, playerColor) {
-        if (this.board[r][c] !== 0) return false;
-
-        const opponentColor = playerColor === 1 ? 2 : 1;
-        const directions = [
-            [-1, 0], [1, 0], [0, -1], [0, 1],
-            [-1, -1], [-1, 1], [1, -1], [1, 1]
-        ];
-
-        for (const [dr, dc] of directions) {
-            let foundOpponent = false;
-            let currentR = r + dr;
-            let currentC = c + dc;
+    // The rules themselves live in shared/rules.js, shared with the client
+    getValidMoves(playerColor) {
+        return rules.getValidMoves(this.board, playerColor);
+    }
 
-            while (currentR >= 0 && currentR < 8 && currentC >= 0 && currentC < 8) {
-                if (this.board[currentR][currentC] === opponentColor) {
-                    foundOpponent = true;
-                } else if (this.board[currentR][currentC] === playerColor && foundOpponent) {
-                    return true;
-                } else {
-                    break;
-                }
-                currentR += dr;
-                currentC += dc;
-            }
-        }
-        return false;
+    isValidMove(r, c, playerColor) {
+        return rules.isValidMove(this.board, r, c, playerColor);
     }
 
     makeMove(r, c, playerColor) {
+        if (this.clocks && this.getRemainingTime(playerColor) <= 0) {
+            return { success: false, reason: 'Time out' };
+        }
         if (!this.isValidMove(r, c, playerColor)) {
             return { success: false, reason: 'Invalid move' };
         }
 
-        const flippedPieces = [];
-        this.board[r][c] = playerColor;
-        const opponentColor = playerColor === 1 ? 2 : 1;
-        const directions = [
-            [-1, 0], [1, 0], [0, -1], [0, 1],
-            [-1, -1], [-1, 1], [1, -1], [1, 1]
-        ];
-
-        for (const [dr, dc] of directions) {
-            let lineToFlip = [];
-            let currentR = r + dr;
-            let currentC = c + dc;
-
-            while (currentR >= 0 && currentR < 8 && currentC >= 0 && currentC < 8) {
-                if (this.board[currentR][currentC] === opponentColor) {
-                    lineToFlip.push({ r: currentR, c: currentC });
-                } else if (this.board[currentR][currentC] === playerColor) {
-                    for (const { r: flipR, c: flipC } of lineToFlip) {
-                        this.board[flipR][flipC] = playerColor;
-                        flippedPieces.push({ r: flipR, c: flipC });
-                    }
-                    break;
-                } else {
-                    break;
-                }
-                currentR += dr;
-                currentC += dc;
-            }
-        }
+        const flippedPieces = this.flipDiscs(r, c, playerColor);
+        this.chargeClock(playerColor);
 
         // Record move in history
         this.moveHistory.push({
@@ -350,92 +1044,138 @@ class GameRoom {
         return { success: true, flippedPieces };
     }
 
-    updateScores() {
-        let blackCount = 0;
-        let whiteCount = 0;
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                if (this.board[r][c] === 1) blackCount++;
-                else if (this.board[r][c] === 2) whiteCount++;
+    // Take back moves until the last move of `playerColor` is undone, so it
+    // is that player's turn again: one entry of moveHistory, or two when the
+    // opponent has already replied. Returns the undone moves, newest first.
+    undoMovesOf(playerColor) {
+        // Whoever was thinking pays for the time used so far, so an undo
+        // never winds a clock back
+        this.chargeClock(this.currentPlayer, { addIncrement: false });
+
+        const undone = [];
+        while (this.moveHistory.length > 0) {
+            const move = this.moveHistory.pop();
+            this.board[move.position.r][move.position.c] = 0;
+            const opponentColor = move.player === 1 ? 2 : 1;
+            move.flippedPieces.forEach(({ r, c }) => {
+                this.board[r][c] = opponentColor;
+            });
+            undone.push(move);
+            if (move.player === playerColor) break;
+        }
+
+        this.currentPlayer = playerColor;
+        this.updateScores();
+        if (this.clocks) {
+            this.turnStartedAt = Date.now();
+            if (this.timeControl.perMove) {
+                this.clocks[playerColor] = this.timeControl.perMove;
             }
         }
-        this.scores[1] = blackCount;
-        this.scores[2] = whiteCount;
+        this.lastActivity = Date.now();
+        return undone;
+    }
+
+    // Place a disc and flip the captured lines; returns the flipped squares
+    flipDiscs(r, c, playerColor) {
+        return rules.playMove(this.board, r, c, playerColor);
+    }
+
+    updateScores() {
+        const discs = rules.countDiscs(this.board);
+        this.scores[1] = discs[1];
+        this.scores[2] = discs[2];
     }
 
     switchPlayer() {
         this.currentPlayer = this.currentPlayer === 1 ? 2 : 1;
         this.lastActivity = Date.now();
+
+        // Start the next player's clock; fixed per-move budgets refill each turn
+        if (this.clocks && this.gameStarted && !this.gameOver) {
+            this.turnStartedAt = Date.now();
+            if (this.timeControl.perMove) {
+                this.clocks[this.currentPlayer] = this.timeControl.perMove;
+            }
+        }
     }
 
+    // Called once the turn has passed to the next player: hands it straight
+    // back if they have to pass, or ends the game if neither side can move
     checkGameEnd() {
-        const movesForBlack = this.getValidMoves(1).length;
-        const movesForWhite = this.getValidMoves(2).length;
-
-        if (movesForBlack === 0 && movesForWhite === 0) {
+        const turn = rules.resolveTurn(this.board, this.currentPlayer);
+        if (turn.gameOver) {
             this.gameOver = true;
-            if (this.scores[1] > this.scores[2]) {
-                this.winner = 1;
-            } else if (this.scores[2] > this.scores[1]) {
-                this.winner = 2;
-            } else {
-                this.winner = 0; // Tie
-            }
+            this.winner = determineWinner(this.scores, this.variant); // 0 = tie
             this.handleGameResult();
             console.log(`Game over in room ${this.id}. Winner: ${this.winner}`);
             return true;
         }
 
-        if (this.getValidMoves(this.currentPlayer).length === 0) {
+        if (turn.passed) {
             console.log(`Player ${this.currentPlayer} has no moves, switching turn.`);
             this.switchPlayer();
-            if (this.getValidMoves(this.currentPlayer).length === 0) {
-                this.gameOver = true;
-                if (this.scores[1] > this.scores[2]) {
-                    this.winner = 1;
-                } else if (this.scores[2] > this.scores[1]) {
-                    this.winner = 2;
-                } else {
-                    this.winner = 0;
-                }
-                this.handleGameResult();
-                console.log(`Game over in room ${this.id}. Both players no moves. Winner: ${this.winner}`);
-                return true;
-            }
         }
         return false;
     }
 
-    handleGameResult() {
-        if (!this.gameOver || this.players.length !== 2) return;
+    handleGameResult(reason = 'completed') {
+        if (!this.gameOver) return;
+        this.clearAbandonDeadlines();
+        if (this.players.length !== 2) return;
+
+        // Running score over consecutive games against the same opponent
+        this.players.forEach(player => {
+            const points = this.winner === 0 ? 0.5 : this.winner === player.color ? 1 : 0;
+            player.matchScore = (player.matchScore || 0) + points;
+        });
+        this.matchGames += 1;
 
         const player1 = this.players.find(p => p.color === 1);
         const player2 = this.players.find(p => p.color === 2);
+        const gameId = crypto.randomUUID();
+        let ratingChanges = null;
+
+        if (this.isRated()) {
+            const score1 = this.winner === 1 ? 1 : this.winner === 2 ? 0 : 0.5;
+            ratingChanges = updateRatings(player1.name, player2.name, score1, { gameId });
+        }
+
+        // Stats are kept for registered accounts only
+        [player1, player2].forEach(player => {
+            if (!player.account) return;
+            const opponentColor = player.color === 1 ? 2 : 1;
+            const result = this.winner === 0 ? 'tie' : (this.winner === player.color ? 'win' : 'loss');
+            updatePlayerStats(player.name, result, this.scores[player.color], this.scores[opponentColor]);
+        });
 
-        if (this.winner === 1) {
-            updateLeaderboardRating(player1.name, 'win');
-            updatePlayerStats(player1.name, 'win', this.scores[1], this.scores[2]);
-            updateLeaderboardRating(player2.name, 'loss');
-            updatePlayerStats(player2.name, 'loss', this.scores[2], this.scores[1]);
-        } else if (this.winner === 2) {
-            updateLeaderboardRating(player2.name, 'win');
-            updatePlayerStats(player2.name, 'win', this.scores[2], this.scores[1]);
-            updateLeaderboardRating(player1.name, 'loss');
-            updatePlayerStats(player1.name, 'loss', this.scores[1], this.scores[2]);
-        } else if (this.winner === 0) {
-            updatePlayerStats(player1.name, 'tie', this.scores[1], this.scores[2]);
-            updatePlayerStats(player2.name, 'tie', this.scores[2], this.scores[1]);
+        archiveGame(this, reason, { gameId, ratingChanges });
+
+        if (this.tournament) {
+            recordTournamentGame(this);
         }
     }
 
-    addChatMessage(sender, message) {
+    // Only games between two registered accounts are rated. Practice games
+    // against the engine and guest games are not.
+    isRated() {
+        return this.players.length === 2 && this.players.every(p => !p.isAI && p.account);
+    }
+
+    // `originalMessage` is what the sender typed before the word filter; it
+    // is kept (server-side only, see getChatMessages) for moderation reports
+    addChatMessage(sender, message, senderRole = 'player', originalMessage = message) {
         const chatMessage = {
-            id: Date.now() + Math.random(),
+            id: crypto.randomUUID(),
             sender,
+            senderRole,
             message: message.trim(),
             timestamp: Date.now(),
             type: 'message'
         };
+        if (originalMessage.trim() !== chatMessage.message) {
+            chatMessage.originalMessage = originalMessage.trim();
+        }
         this.chatMessages.push(chatMessage);
         
         // Limit messages to prevent memory issues
@@ -445,9 +1185,14 @@ class GameRoom {
         return chatMessage;
     }
 
+    // Chat as clients may see it: without the unfiltered text
+    getChatMessages(messages = this.chatMessages) {
+        return messages.map(({ originalMessage, ...chatMessage }) => chatMessage);
+    }
+
     addSystemMessage(message) {
         const systemMessage = {
-            id: Date.now() + Math.random(),
+            id: crypto.randomUUID(),
             sender: 'System',
             message,
             timestamp: Date.now(),
@@ -457,11 +1202,26 @@ class GameRoom {
         return systemMessage;
     }
 
+    // Spectators may be muted one by one, or all at once by turning
+    // spectator chat off. Players can always talk.
+    canSpectatorChat(name) {
+        return this.spectatorChatEnabled && !this.mutedSpectators.includes(name);
+    }
+
+    setSpectatorMuted(name, muted) {
+        this.mutedSpectators = this.mutedSpectators.filter(mutedName => mutedName !== name);
+        if (muted) {
+            this.mutedSpectators.push(name);
+        }
+    }
+
     getGameState() {
         const connectedPlayers = this.players.filter(p => p.connected);
         return {
             roomId: this.id,
             roomName: this.roomName,
+            boardSize: this.boardSize,
+            variant: this.variant,
             board: this.board,
             currentPlayer: this.currentPlayer,
             players: this.players.map(p => ({ 
@@ -469,7 +1229,14 @@ class GameRoom {
                 name: p.name, 
                 color: p.color, 
                 connected: p.connected,
-                isHost: p.isHost 
+                isHost: p.isHost,
+                isAI: !!p.isAI,
+                aiLevel: p.aiLevel || null,
+                isGuest: !p.isAI && !p.account,
+                matchScore: p.matchScore || 0,
+                pieceShape: p.pieceShape || null,
+                // Milliseconds left before a disconnected player forfeits
+                abandonIn: p.abandonDeadline ? Math.max(0, p.abandonDeadline - Date.now()) : null
             })),
             spectators: this.spectators.map(s => ({ id: s.id, name: s.name })),
             gameStarted: this.gameStarted,
@@ -477,684 +1244,3339 @@ class GameRoom {
             winner: this.winner,
             scores: this.scores,
             validMoves: this.gameStarted && !this.gameOver ? this.getValidMoves(this.currentPlayer) : [],
-            chatMessages: this.chatMessages,
+            chatMessages: this.getChatMessages(),
             moveHistory: this.moveHistory.slice(-10), // Last 10 moves
-            gameMode: this.gameMode
+            gameMode: this.gameMode,
+            rated: this.isRated(),
+            clocks: this.getClockState(),
+            archivedGameId: this.archivedGameId,
+            spectatorChatEnabled: this.spectatorChatEnabled,
+            mutedSpectators: this.mutedSpectators,
+            match: {
+                games: this.matchGames,
+                rematchOffer: this.rematchOffer
+            },
+            pendingOffer: this.pendingOffer,
+            tournament: this.tournament,
+            spectatorDelay: this.spectatorDelay,
+            visibility: this.visibility,
+            hasPassword: !!this.passwordHash
         };
     }
-}
 
-// =====================================
-// Socket.IO Connection Handling
-// =====================================
-io.on('connection', (socket) => {
-    console.log('A user connected:', socket.id);
+    // The position spectators see: with a broadcast delay, moves younger
+    // than the delay are taken back on a copy of the board
+    getSpectatorPosition(now = Date.now()) {
+        const cutoff = now - this.spectatorDelay;
+        const hidden = this.spectatorDelay > 0 ? this.moveHistory.filter(move => move.timestamp > cutoff) : [];
+        const board = this.board.map(row => row.slice());
+        hidden.slice().reverse().forEach(move => {
+            board[move.position.r][move.position.c] = 0;
+            const opponentColor = move.player === 1 ? 2 : 1;
+            move.flippedPieces.forEach(({ r, c }) => {
+                board[r][c] = opponentColor;
+            });
+        });
 
-    // Handle create room event - Fixed
-    socket.on('createRoom', (data) => {
-        try {
-            // Xử lý cả format cũ (string) và format mới (object)
-            const playerName = typeof data === 'string' ? data : data?.playerName;
-            const roomName = typeof data === 'object' ? data?.roomName : null;
-            
-            if (!playerName || playerName.trim() === '') {
-                socket.emit('roomError', {
-                    success: false,
-                    message: 'Tên người chơi không hợp lệ.',
-                    type: 'error'
-                });
-                return;
-            }
+        const scores = { 1: 0, 2: 0 };
+        board.forEach(row => row.forEach(cell => {
+            if (cell === 1 || cell === 2) scores[cell]++;
+        }));
+        return {
+            board,
+            scores,
+            currentPlayer: hidden.length > 0 ? hidden[0].player : this.currentPlayer,
+            moveCount: this.moveHistory.length - hidden.length,
+            hiddenMoves: hidden.length,
+            cutoff
+        };
+    }
 
-            const roomId = generateRoomId();
-            const customRoomName = roomName && roomName.trim() ? roomName.trim() : roomId;
-            
-            const room = new GameRoom(roomId, socket.id, playerName, customRoomName, 'online');
-            rooms.set(roomId, room);
-            players.set(socket.id, { roomId, playerName, isHost: true });
-            socket.join(roomId);
-            
-            console.log(`Room created: ${roomId} (${customRoomName}) by ${playerName}`);
-            
-            // Gửi response với format nhất quán
-            socket.emit('roomCreated', {
-                success: true,
-                roomId: roomId,
-                roomName: customRoomName,
-                isHost: true
-            });
-                
-            // Broadcast updated room list
-            io.emit('updateRoomList', getRoomList());
-        } catch (error) {
-            console.error(`Error creating room:`, error);
-            socket.emit('roomError', {
-                success: false,
-                message: 'Đã xảy ra lỗi khi tạo phòng. Vui lòng thử lại sau.',
-                type: 'error'
-            });
-        }
-    });
+    // Game state for a spectator who just arrived. In a delayed room it is
+    // the state of `spectatorDelay` ms ago; the events since then reach the
+    // spectator with the same delay.
+    getSpectatorState() {
+        const state = this.getGameState();
+        if (!this.spectatorDelay) return state;
 
-    // Handle join room event - Fixed
-    socket.on('joinRoom', (data) => {
-        try {
-            // Xử lý cả format cũ và format mới
-            let roomId, playerName;
-            
-            if (typeof data === 'string') {
-                // Format cũ: chỉ có roomId, playerName được gửi riêng
-                roomId = data;
-                playerName = arguments[1]; // Tham số thứ 2
-            } else if (typeof data === 'object') {
-                // Format mới: object chứa cả roomId và playerName
-                roomId = data.roomId;
-                playerName = data.playerName;
-            }
-            
-            if (!roomId || !playerName) {
-                socket.emit('roomError', {
-                    success: false,
-                    message: 'Thông tin phòng hoặc tên người chơi không hợp lệ.',
-                    type: 'error'
-                });
-                return;
-            }
+        const position = this.getSpectatorPosition();
+        const finished = this.gameOver && position.hiddenMoves === 0;
+        return {
+            ...state,
+            board: position.board,
+            scores: position.scores,
+            currentPlayer: position.currentPlayer,
+            gameOver: finished,
+            winner: finished ? this.winner : null,
+            validMoves: [],
+            chatMessages: this.getChatMessages(this.chatMessages.filter(message => message.timestamp <= position.cutoff)),
+            moveHistory: this.moveHistory.slice(0, position.moveCount).slice(-10),
+            // The next delayed clock sync fills the clocks in
+            clocks: null,
+            pendingOffer: null
+        };
+    }
 
-            const room = rooms.get(roomId);
-            
-            if (!room) {
-                socket.emit('roomError', {
-                    success: false,
-                    message: 'Phòng không tồn tại.',
-                    type: 'error'
-                });
-                return;
-            }
+    // Plain snapshot of the room, used by the room store and for restart
+    // snapshots. Timers and the engine instance are not kept; deserialize()
+    // rebuilds the engine from the AI seat.
+    serialize() {
+        return {
+            id: this.id,
+            roomName: this.roomName,
+            gameMode: this.gameMode,
+            boardSize: this.boardSize,
+            variant: this.variant,
+            board: this.board,
+            currentPlayer: this.currentPlayer,
+            players: this.players,
+            spectators: this.spectators,
+            gameStarted: this.gameStarted,
+            gameOver: this.gameOver,
+            winner: this.winner,
+            scores: this.scores,
+            lastActivity: this.lastActivity,
+            chatMessages: this.chatMessages,
+            moveHistory: this.moveHistory,
+            startedAt: this.startedAt,
+            startingBoard: this.startingBoard,
+            archivedGameId: this.archivedGameId,
+            timeControl: this.timeControl,
+            clocks: this.clocks,
+            turnStartedAt: this.turnStartedAt,
+            spectatorChatEnabled: this.spectatorChatEnabled,
+            mutedSpectators: this.mutedSpectators,
+            matchGames: this.matchGames,
+            rematchOffer: this.rematchOffer,
+            pendingOffer: this.pendingOffer,
+            tournament: this.tournament,
+            spectatorDelay: this.spectatorDelay,
+            visibility: this.visibility,
+            passwordHash: this.passwordHash,
+            invites: this.invites,
+            bans: this.bans
+        };
+    }
 
-            if (room.gameMode !== 'online') {
-                socket.emit('roomError', {
-                    success: false,
-                    message: 'Không thể tham gia phòng này.',
-                    type: 'error'
-                });
-                return;
-            }
+    static deserialize(data) {
+        const room = new GameRoom(data.id, null, null, data.roomName, data.gameMode);
+        Object.assign(room, {
+            boardSize: data.boardSize || DEFAULT_BOARD_SIZE,
+            variant: data.variant || DEFAULT_VARIANT,
+            board: data.board,
+            currentPlayer: data.currentPlayer,
+            players: data.players,
+            spectators: data.spectators || [],
+            gameStarted: data.gameStarted,
+            gameOver: data.gameOver,
+            winner: data.winner,
+            scores: data.scores,
+            lastActivity: data.lastActivity,
+            chatMessages: data.chatMessages || [],
+            moveHistory: data.moveHistory || [],
+            startedAt: data.startedAt,
+            startingBoard: data.startingBoard,
+            archivedGameId: data.archivedGameId,
+            timeControl: data.timeControl,
+            clocks: data.clocks,
+            turnStartedAt: data.turnStartedAt,
+            spectatorChatEnabled: data.spectatorChatEnabled !== false,
+            mutedSpectators: data.mutedSpectators || [],
+            matchGames: data.matchGames || 0,
+            rematchOffer: data.rematchOffer || null,
+            pendingOffer: data.pendingOffer || null,
+            tournament: data.tournament || null,
+            spectatorDelay: data.spectatorDelay || 0,
+            visibility: data.visibility || 'public',
+            passwordHash: data.passwordHash || null,
+            invites: data.invites || [],
+            bans: data.bans || []
+        });
 
-            // Kiểm tra xem player đã trong phòng chưa
-            if (room.players.some(p => p.id === socket.id)) {
-                socket.emit('roomError', {
-                    success: false,
-                    message: 'Bạn đã ở trong phòng này rồi.',
-                    type: 'warning'
-                });
-                return;
-            }
+        const aiPlayer = room.players.find(p => p.isAI);
+        if (aiPlayer) {
+            room.ai = new OthelloAI(aiPlayer.aiLevel);
+        }
+        return room;
+    }
 
-            // Kiểm tra trùng tên
-            if (room.players.some(p => p.name === playerName && p.connected)) {
-                socket.emit('roomError', {
-                    success: false,
-                    message: 'Tên người chơi đã tồn tại trong phòng.',
-                    type: 'error'
-                });
-                return;
+    // After a restart nobody is connected any more: human seats wait for
+    // their owners to reconnect with their rejoin tokens, and the downtime
+    // since the snapshot is not charged to the running clock.
+    resumeAfterRestart(snapshotAt = Date.now()) {
+        const now = Date.now();
+        const running = this.gameStarted && !this.gameOver;
+        this.players.forEach(player => {
+            if (player.isAI) return;
+            player.connected = false;
+            player.disconnectedAt = player.disconnectedAt || now;
+            // The outage was ours: everyone gets a full grace period to return
+            if (running) {
+                player.abandonDeadline = now + ABANDON_GRACE_PERIOD;
             }
+        });
+        this.spectators = [];
+        if (this.clocks && this.turnStartedAt && this.gameStarted && !this.gameOver) {
+            const spent = Math.max(0, snapshotAt - this.turnStartedAt);
+            this.clocks[this.currentPlayer] = Math.max(0, this.clocks[this.currentPlayer] - spent);
+            this.turnStartedAt = now;
+        }
+        this.lastActivity = now;
+    }
+}
 
-            const joinResult = room.addPlayer(socket.id, playerName);
-            
-            if (joinResult.success) {
-                players.set(socket.id, { roomId, playerName, isHost: false });
-                socket.join(roomId);
-                
-                console.log(`Player ${playerName} ${joinResult.reconnected ? 'reconnected to' : 'joined'} room: ${roomId}`);
-
-                // Thêm system message
-                if (!joinResult.reconnected) {
-                    room.addSystemMessage(`${playerName} đã tham gia phòng`);
-                } else {
-                    room.addSystemMessage(`${playerName} đã kết nối lại`);
-                }
+// =====================================
+// Room Access
+// =====================================
 
-                // Gửi thông báo cho tất cả players trong phòng
-                io.to(roomId).emit('playerJoined', {
-                    success: true,
-                    gameState: room.getGameState()
-                });
+async function loadRoom(roomId) {
+    if (typeof roomId !== 'string' || roomId === '') return null;
+    const snapshot = await roomStore.load(roomId);
+    return snapshot ? GameRoom.deserialize(snapshot) : null;
+}
 
-                // Gửi game state cho player vừa join
-                socket.emit('roomJoined', {
-                    success: true,
-                    gameState: room.getGameState(),
-                    playerColor: room.players.find(p => p.id === socket.id)?.color
-                });
+async function loadAllRooms() {
+    return (await roomStore.list()).map(snapshot => GameRoom.deserialize(snapshot));
+}
 
-                // Update room list
-                io.emit('updateRoomList', getRoomList());
+function saveRoom(room) {
+    return roomStore.save(room.id, room.serialize());
+}
 
-                // Tự động start game nếu đủ 2 người
-                if (room.players.filter(p => p.connected).length === 2 && !room.gameStarted) {
-                    setTimeout(() => {
-                        if (room.startGame()) {
-                            room.addSystemMessage('Trò chơi bắt đầu!');
-                            io.to(roomId).emit('gameStarted', {
-                                success: true,
-                                gameState: room.getGameState()
-                            });
-                            io.emit('updateRoomList', getRoomList());
-                        }
-                    }, 1000); // Delay 1 giây để UI kịp update
-                }
-            } else {
-                // Thử join như spectator nếu phòng đầy
-                if (room.players.length === 2) {
-                    room.addSpectator(socket.id, playerName);
-                    players.set(socket.id, { roomId, playerName, isHost: false, isSpectator: true });
-                    socket.join(roomId);
-                    
-                    room.addSystemMessage(`${playerName} đã tham gia với tư cách khán giả`);
-                    
-                    socket.emit('roomJoined', {
-                        success: true,
-                        asSpectator: true,
-                        gameState: room.getGameState()
-                    });
-                    
-                    io.to(roomId).emit('spectatorJoined', {
-                        gameState: room.getGameState()
-                    });
-                } else {
-                    socket.emit('roomError', {
-                        success: false,
-                        message: joinResult.reason || 'Không thể tham gia phòng.',
-                        type: 'error'
-                    });
-                }
+// Run `fn` on the current state of a room while holding its lock, then write
+// the room back (or delete it when `fn` sets room.removed). `fn` gets null if
+// the room does not exist. Every change to a room goes through here so two
+// instances can never interleave updates to the same board.
+async function withRoom(roomId, fn) {
+    if (typeof roomId !== 'string' || roomId === '') {
+        return fn(null);
+    }
+    try {
+        return await roomStore.withLock(roomId, async () => {
+            const room = await loadRoom(roomId);
+            const result = await fn(room);
+            if (room && room.removed) {
+                await roomStore.remove(roomId);
+            } else if (room) {
+                await saveRoom(room);
             }
+            return result;
+        });
+    } catch (error) {
+        console.error(`Error updating room ${roomId}:`, error);
+    }
+}
+
+// Room list for every client, on every instance. Bursts of changes are
+// coalesced, which also lets the change that triggered the broadcast be
+// written back to the room store first.
+let roomListTimer = null;
+function broadcastRoomList() {
+    if (roomListTimer) return;
+    roomListTimer = setTimeout(async () => {
+        roomListTimer = null;
+        try {
+            io.emit(SERVER_EVENTS.UPDATE_ROOM_LIST, await getRoomList());
         } catch (error) {
-            console.error(`Error joining room:`, error);
-            socket.emit('roomError', {
-                success: false,
-                message: 'Đã xảy ra lỗi khi tham gia phòng.',
-                type: 'error'
-            });
+            console.error('Error broadcasting room list:', error);
         }
-    });
+    }, ROOM_LIST_BROADCAST_DELAY);
+}
 
-    // Handle game move
-    socket.on('makeMove', ({ roomId, r, c }) => {
-        try {
-            const room = rooms.get(roomId);
-            const playerInfo = players.get(socket.id);
+// =====================================
+// Room Access
+// =====================================
+// Whether someone may enter `room`, as a player or a spectator. Seat owners
+// always get back in; otherwise bans, then the invite or password of a
+// protected room decide. A valid invite is used up here, so call this right
+// before letting them in.
+async function checkRoomAccess(room, { playerName, account, address, password, invite, rejoinToken }) {
+    if (room.findReclaimableSeat(account, rejoinToken)) {
+        return { success: true };
+    }
+    if (isBanned(room.bans, { name: playerName, account, address })) {
+        return { success: false, message: 'Bạn đã bị chủ phòng cấm vào phòng này.' };
+    }
+    if (!room.isProtected()) {
+        return { success: true };
+    }
 
-            if (!room || !playerInfo) {
-                socket.emit('moveError', {
-                    success: false,
-                    message: 'Phòng không hợp lệ.'
-                });
-                return;
-            }
+    if (invite) {
+        const verified = inviteSigner.verify(room.id, invite);
+        if (verified && room.consumeInvite(verified.nonce)) {
+            return { success: true };
+        }
+    }
+    if (room.passwordHash && password && await verifyPassword(password, room.passwordHash)) {
+        return { success: true };
+    }
 
-            if (!room.gameStarted || room.gameOver) {
-                socket.emit('moveError', {
-                    success: false,
-                    message: 'Trò chơi chưa bắt đầu hoặc đã kết thúc.'
-                });
-                return;
-            }
+    let message = 'Phòng riêng tư chỉ vào được bằng link mời.';
+    if (invite) {
+        message = 'Link mời không hợp lệ, đã hết hạn hoặc đã được dùng.';
+    } else if (room.passwordHash) {
+        message = password ? 'Sai mật khẩu phòng.' : 'Phòng này cần mật khẩu.';
+    }
+    return { success: false, needsPassword: !!room.passwordHash, message };
+}
 
-            const currentPlayerData = room.players.find(p => p.color === room.currentPlayer);
-            if (!currentPlayerData || currentPlayerData.id !== socket.id) {
-                socket.emit('moveError', {
-                    success: false,
-                    message: 'Không phải lượt của bạn.'
-                });
-                return;
-            }
+// =====================================
+// Spectators
+// =====================================
+// Spectators listen on their own channel so a room's broadcast delay can
+// hold their copy of every event back while players get it straight away.
+function spectatorChannel(roomId) {
+    return `${roomId}:spectators`;
+}
 
-            const moveResult = room.makeMove(r, c, room.currentPlayer);
-            if (moveResult.success) {
-                // Broadcast move to all players
-                io.to(roomId).emit('boardUpdate', {
-                    success: true,
-                    gameState: room.getGameState(),
-                    lastMove: { r, c, player: room.currentPlayer },
-                    flippedPieces: moveResult.flippedPieces
-                });
+function broadcastToRoom(room, event, payload, { local = false } = {}) {
+    const target = local ? io.local : io;
+    if (!room.spectatorDelay) {
+        target.to(room.id).to(spectatorChannel(room.id)).emit(event, payload);
+        return;
+    }
+    target.to(room.id).emit(event, payload);
+    // Snapshot now; the room will have moved on by the time this is sent
+    const delayed = JSON.parse(JSON.stringify(payload));
+    setTimeout(() => {
+        target.to(spectatorChannel(room.id)).emit(event, delayed);
+    }, room.spectatorDelay);
+}
 
-                // Check for game end
-                if (!room.checkGameEnd()) {
-                    room.switchPlayer();
-                    io.to(roomId).emit('turnUpdate', {
-                        currentPlayer: room.currentPlayer,
-                        validMoves: room.getValidMoves(room.currentPlayer)
-                    });
-                } else {
-                    const winnerName = room.winner === 0 ? 'Hòa' : 
-                                    room.players.find(p => p.color === room.winner)?.name || 'Unknown';
-                    room.addSystemMessage(`Trò chơi kết thúc! ${winnerName === 'Hòa' ? 'Kết quả hòa' : `${winnerName} thắng`}`);
-                    
-                    io.to(roomId).emit('gameEnded', {
-                        success: true,
-                        gameState: room.getGameState(),
-                        winner: room.winner,
-                        finalScores: room.scores
-                    });
-                }
-            } else {
-                socket.emit('moveError', {
-                    success: false,
-                    message: moveResult.reason || 'Nước đi không hợp lệ.'
-                });
-            }
-        } catch (error) {
-            console.error(`Error making move in room ${roomId}:`, error);
-            socket.emit('moveError', {
-                success: false,
-                message: 'Đã xảy ra lỗi khi thực hiện nước đi.'
-            });
-        }
+const ANALYSIS_CACHE_SIZE = 200;
+const analysisCache = new Map(); // roomId -> { key, result: Promise }
+
+// Engine view of the position spectators currently see, searched on an
+// engine worker so the game itself is never touched. Every spectator of a
+// room shares the result (or the search still running) until the position
+// changes.
+// Spectators get the engine's analysis, so nobody may watch a game they
+// play in (from a second tab, say). A seat is matched by account, or by
+// name for guests.
+function isSeatedIn(room, { playerName, account }) {
+    const name = playerName.toLowerCase();
+    return room.players.some(player => !player.isAI &&
+        ((account && player.account === account) || player.name.toLowerCase() === name));
+}
+
+function analyzeForSpectators(room) {
+    const position = room.getSpectatorPosition();
+    const key = `${position.currentPlayer}:${position.board.map(row => row.join('')).join('/')}`;
+    const cached = analysisCache.get(room.id);
+    if (cached && cached.key === key) return cached.result;
+
+    const search = color => enginePool.run('analyze', {
+        level: SPECTATOR_ANALYSIS_LEVEL,
+        board: position.board,
+        variant: room.variant,
+        color
     });
+    const result = (async () => {
+        let sideToMove = position.currentPlayer;
+        let analysis = await search(sideToMove);
+        if (!analysis) {
+            // The side to move passes
+            sideToMove = sideToMove === 1 ? 2 : 1;
+            analysis = await search(sideToMove);
+        }
 
-    // Handle chat message
-    socket.on('chatMessage', ({ roomId, message }) => {
-        try {
-            const playerInfo = players.get(socket.id);
-            const room = rooms.get(roomId);
-            
-            if (playerInfo && room && message && message.trim()) {
-                const chatMessage = room.addChatMessage(playerInfo.playerName, message);
-                io.to(roomId).emit('newChatMessage', {
-                    message: chatMessage,
-                    allMessages: room.getGameState().chatMessages
-                });
-            }
-        } catch (error) {
-            console.error(`Error sending chat message in room ${roomId}:`, error);
+        if (analysis) {
+            return { moveCount: position.moveCount, sideToMove, ...analysis };
         }
-    });
+        // Nobody can move: the discs decide
+        const winner = determineWinner(position.scores, room.variant);
+        return {
+            moveCount: position.moveCount,
+            sideToMove: null,
+            bestMove: null,
+            score: position.scores[1] - position.scores[2],
+            evaluation: winner === 1 ? 1 : winner === 2 ? -1 : 0
+        };
+    })();
 
-    // Handle leave room
-    socket.on('leaveRoom', () => {
-        try {
-            const playerInfo = players.get(socket.id);
-            if (!playerInfo) return;
+    analysisCache.delete(room.id);
+    if (analysisCache.size >= ANALYSIS_CACHE_SIZE) {
+        analysisCache.delete(analysisCache.keys().next().value);
+    }
+    const entry = { key, result };
+    analysisCache.set(room.id, entry);
+    // A failed search is not cached
+    result.catch(() => {
+        if (analysisCache.get(room.id) === entry) analysisCache.delete(room.id);
+    });
+    return result;
+}
 
-            const { roomId, playerName } = playerInfo;
-            const room = rooms.get(roomId);
+// Online games in progress, for the "watch a game" list
+async function getLiveGames() {
+    const rooms = await loadAllRooms();
+    return rooms
+        .filter(room => room.gameMode === 'online' && room.isListed() && room.gameStarted && !room.gameOver)
+        .map(room => {
+            const position = room.getSpectatorPosition();
+            return {
+                id: room.id,
+                name: room.roomName || room.id,
+                players: room.players.map(p => ({ name: p.name, color: p.color, isAI: !!p.isAI })),
+                scores: position.scores,
+                moveCount: position.moveCount,
+                spectators: room.spectators.length,
+                spectatorDelay: room.spectatorDelay,
+                boardSize: room.boardSize,
+                variant: room.variant,
+                tournament: room.tournament
+            };
+        })
+        .sort((a, b) => b.spectators - a.spectators || b.moveCount - a.moveCount);
+}
 
-            if (room) {
-                const removeResult = room.removePlayer(socket.id);
-                players.delete(socket.id);
-                socket.leave(roomId);
-                
-                console.log(`Player ${playerName} left room ${roomId}`);
-                
-                // Add system message
-                room.addSystemMessage(`${playerName} đã rời khỏi phòng`);
+// =====================================
+// Game Flow Helpers
+// =====================================
+const AI_MOVE_DELAY = 600; // Give clients time to animate before the engine replies
 
-                // Handle game interruption
-                if (room.gameStarted && !room.gameOver && removeResult.success && removeResult.player) {
-                    const remainingPlayer = room.players.find(p => p.connected);
-                    if (remainingPlayer) {
-                        room.gameOver = true;
-                        room.winner = remainingPlayer.color;
-                        room.handleGameResult();
-                        room.addSystemMessage(`${remainingPlayer.name} thắng do đối thủ rời khỏi phòng`);
-                        
-                        io.to(roomId).emit('gameEnded', {
-                            success: true,
-                            gameState: room.getGameState(),
-                            reason: 'opponent_left'
-                        });
-                    }
-                }
+// Apply a move for the side to move and broadcast the outcome.
+// Shared by human players and the server-side AI so both follow the same flow.
+function playMove(room, r, c) {
+    const playerColor = room.currentPlayer;
+    const moveResult = room.makeMove(r, c, playerColor);
+    if (!moveResult.success) return moveResult;
 
-                // Notify remaining players
-                if (room.players.some(p => p.connected) || room.spectators.length > 0) {
-                    io.to(roomId).emit('playerLeft', {
-                        players: room.getGameState().players,
-                        spectators: room.getGameState().spectators,
-                        chatMessages: room.getGameState().chatMessages
-                    });
-                }
+    // Playing on answers any draw offer or undo request that was pending
+    room.pendingOffer = null;
 
-                // Clean up empty rooms
-                if (room.players.every(p => !p.connected) && room.spectators.length === 0) {
-                    setTimeout(() => {
-                        if (rooms.has(roomId) && 
-                            room.players.every(p => !p.connected) && 
-                            room.spectators.length === 0) {
-                            rooms.delete(roomId);
-                            console.log(`Room ${roomId} removed due to inactivity.`);
-                        }
-                        io.emit('updateRoomList', getRoomList());
-                    }, 2000);
-                } else {
-                    io.emit('updateRoomList', getRoomList());
-                }
-            }
-        } catch (error) {
-            console.error(`Error leaving room:`, error);
+    // Broadcast move to all players
+    broadcastToRoom(room, SERVER_EVENTS.BOARD_UPDATE, {
+        success: true,
+        gameState: room.getGameState(),
+        lastMove: { r, c, player: playerColor },
+        flippedPieces: moveResult.flippedPieces
+    });
+
+    // Hand the turn over, then check for game end. checkGameEnd() gives the
+    // turn straight back when the opponent has no legal move.
+    room.switchPlayer();
+    if (!room.checkGameEnd()) {
+        if (room.currentPlayer === playerColor) {
+            const passingPlayer = room.players.find(p => p.color !== playerColor);
+            room.addSystemMessage(`${passingPlayer?.name || 'Đối thủ'} không còn nước đi, bỏ lượt`);
         }
+        broadcastToRoom(room, SERVER_EVENTS.TURN_UPDATE, {
+            currentPlayer: room.currentPlayer,
+            validMoves: room.getValidMoves(room.currentPlayer)
+        });
+        scheduleAIMove(room);
+    } else {
+        const winnerName = room.winner === 0 ? 'Hòa' : 
+                        room.players.find(p => p.color === room.winner)?.name || 'Unknown';
+        room.addSystemMessage(`Trò chơi kết thúc! ${winnerName === 'Hòa' ? 'Kết quả hòa' : `${winnerName} thắng`}`);
+        
+        broadcastToRoom(room, SERVER_EVENTS.GAME_ENDED, {
+            success: true,
+            gameState: room.getGameState(),
+            winner: room.winner,
+            finalScores: room.scores
+        });
+    }
+    return moveResult;
+}
+
+// End a game early (timeout, abandonment...) and broadcast the result
+function finishGame(room, winner, reason, message) {
+    room.gameOver = true;
+    room.pendingOffer = null;
+    room.winner = winner;
+    room.handleGameResult(reason);
+    if (message) {
+        room.addSystemMessage(message);
+    }
+
+    broadcastToRoom(room, SERVER_EVENTS.GAME_ENDED, {
+        success: true,
+        gameState: room.getGameState(),
+        winner: room.winner,
+        finalScores: room.scores,
+        reason
     });
+}
 
-    // Handle reconnect attempt
-    socket.on('reconnectAttempt', ({ roomId, playerName }) => {
+// Take back `requester`'s last move (and any reply after it) once the
+// opponent agreed
+function undoMoves(room, requester, opponent) {
+    const undone = room.undoMovesOf(requester.color);
+    room.addSystemMessage(undone.length > 1
+        ? `${opponent.name} đã đồng ý, ${requester.name} đi lại (lùi ${undone.length} nước: nước của ${requester.name} và nước đáp lại của ${opponent.name})`
+        : `${opponent.name} đã đồng ý, ${requester.name} đi lại (lùi 1 nước)`);
+    broadcastToRoom(room, SERVER_EVENTS.MOVE_UNDONE, {
+        undoneMoves: undone.length,
+        gameState: room.getGameState()
+    });
+}
+
+// Next game of the match: colors are swapped and the game starts at once
+function startRematch(room) {
+    if (!room.startRematch()) return false;
+    room.addSystemMessage(`Tái đấu! Ván ${room.matchGames + 1}, hai bên đã đổi màu`);
+    broadcastToRoom(room, SERVER_EVENTS.GAME_STARTED, {
+        success: true,
+        rematch: true,
+        gameState: room.getGameState()
+    });
+    broadcastRoomList();
+    scheduleAIMove(room);
+    return true;
+}
+
+// A pending rematch offer does not survive either player leaving
+function cancelRematch(room) {
+    if (!room.rematchOffer) return;
+    room.rematchOffer = null;
+    room.addSystemMessage('Lời mời tái đấu đã bị hủy');
+    broadcastToRoom(room, SERVER_EVENTS.REMATCH_CANCELLED, {
+        gameState: room.getGameState()
+    });
+}
+
+const aiMoveTimers = new Map(); // roomId -> engine move pending on this instance
+
+// Let the engine play if it is the side to move. The search runs on an
+// engine worker without the room lock; the move is only played if the game
+// is still in the position it was searched in.
+function scheduleAIMove(room) {
+    const aiPlayer = room.players.find(p => p.isAI && p.color === room.currentPlayer);
+    if (!aiPlayer || !room.gameStarted || room.gameOver || aiMoveTimers.has(room.id)) return;
+
+    const isEngineTurn = current => current && current.gameStarted && !current.gameOver &&
+        current.currentPlayer === aiPlayer.color;
+
+    const timer = setTimeout(async () => {
         try {
-            const room = rooms.get(roomId);
-            if (!room) {
-                socket.emit('reconnectResult', {
-                    success: false,
-                    message: 'Phòng không tồn tại.'
-                });
-                return;
+            const snapshot = await loadRoom(room.id);
+            if (!isEngineTurn(snapshot)) return;
+            const searched = JSON.stringify(snapshot.board);
+            const move = await enginePool.run('chooseMove', {
+                level: snapshot.ai.level,
+                board: snapshot.board,
+                variant: snapshot.variant,
+                color: aiPlayer.color
+            }, { urgent: true });
+
+            await withRoom(room.id, current => {
+                aiMoveTimers.delete(room.id);
+                if (!isEngineTurn(current)) return;
+                if (JSON.stringify(current.board) !== searched) {
+                    // The game moved on while the engine was thinking (an
+                    // undo, say): search the new position instead
+                    scheduleAIMove(current);
+                    return;
+                }
+                if (move) {
+                    playMove(current, move.r, move.c);
+                }
+            });
+        } catch (error) {
+            console.error(`Error making AI move in room ${room.id}:`, error);
+        } finally {
+            // withRoom logs lock and store errors without throwing: whatever
+            // happened, this timer is done unless it was replaced by a new one
+            if (aiMoveTimers.get(room.id) === timer) {
+                aiMoveTimers.delete(room.id);
             }
+        }
+    }, AI_MOVE_DELAY);
+    aiMoveTimers.set(room.id, timer);
+}
 
-            const player = room.players.find(p => p.name === playerName);
-            if (player && !player.connected) {
-                player.id = socket.id;
-                player.connected = true;
-                players.set(socket.id, { 
-                    roomId, 
-                    playerName, 
-                    isHost: player.isHost,
-                    isSpectator: false 
-                });
-                socket.join(roomId);
-                
-                room.addSystemMessage(`${playerName} đã kết nối lại`);
-                console.log(`Player ${playerName} reconnected to room ${roomId}`);
-                
-                io.to(roomId).emit('playerReconnected', {
-                    players: room.getGameState().players,
-                    chatMessages: room.getGameState().chatMessages
-                });
-                
-                socket.emit('reconnectResult', {
+const abandonTimers = new Map(); // roomId:color -> forfeit pending on this instance
+
+// Forfeit the game for `player` if they are still away when their grace
+// period runs out. Covers the side to move as well: a game without clocks
+// would otherwise wait for them forever.
+function scheduleAbandonTimer(room, player) {
+    if (!player.abandonDeadline) return;
+    const key = `${room.id}:${player.color}`;
+    clearTimeout(abandonTimers.get(key));
+
+    abandonTimers.set(key, setTimeout(() => withRoom(room.id, current => {
+        abandonTimers.delete(key);
+        if (!current || !current.gameStarted || current.gameOver) return;
+        const absent = current.players.find(p => p.color === player.color);
+        if (!absent || absent.connected || !absent.abandonDeadline) return;
+        if (absent.abandonDeadline > Date.now()) {
+            scheduleAbandonTimer(current, absent);
+            return;
+        }
+
+        // With both players gone nobody wins; keep waiting for whoever
+        // comes back first. A tournament round cannot wait forever, so
+        // there both players lose.
+        const opponent = current.players.find(p => p.color !== absent.color);
+        if (current.tournament && opponent && !opponent.isAI && !opponent.connected) {
+            console.log(`Both players left tournament room ${current.id}`);
+            forfeitTournamentGame(current, DOUBLE_FORFEIT, 'abandoned', 'Cả hai người chơi đã rời ván quá lâu, cả hai bị xử thua');
+            broadcastRoomList();
+            return;
+        }
+        if (!opponent || (!opponent.isAI && !opponent.connected)) {
+            absent.abandonDeadline = Date.now() + ABANDON_GRACE_PERIOD;
+            scheduleAbandonTimer(current, absent);
+            return;
+        }
+
+        console.log(`Player ${absent.name} abandoned the game in room ${current.id}`);
+        finishGame(current, opponent.color, 'abandoned', `${absent.name} bị xử thua do mất kết nối quá lâu`);
+        broadcastRoomList();
+    }), Math.max(0, player.abandonDeadline - Date.now())));
+}
+
+function clearAbandonTimer(room, player) {
+    const key = `${room.id}:${player.color}`;
+    clearTimeout(abandonTimers.get(key));
+    abandonTimers.delete(key);
+}
+
+// Start the game once both seats are filled
+function autoStartGame(room) {
+    if (room.players.filter(p => p.connected).length === 2 && !room.gameStarted) {
+        setTimeout(() => withRoom(room.id, current => {
+            if (current && current.startGame()) {
+                current.addSystemMessage('Trò chơi bắt đầu!');
+                broadcastToRoom(current, SERVER_EVENTS.GAME_STARTED, {
                     success: true,
-                    gameState: room.getGameState()
-                });
-            } else {
-                socket.emit('reconnectResult', {
-                    success: false,
-                    message: 'Không thể kết nối lại. Vui lòng thử tạo/tham gia phòng mới.'
+                    gameState: current.getGameState()
                 });
+                broadcastRoomList();
+                scheduleAIMove(current);
+            }
+        }), 1000); // Delay 1 giây để UI kịp update
+    }
+}
+
+// =====================================
+// Matchmaking Queue
+// =====================================
+
+// Players waiting for an opponent (see lib/matchmaking.js). The queue is
+// shared through the room store like the other records, so players waiting
+// on different instances meet; each instance keeps a copy in `matchQueue`.
+// Entries are { socketId, playerName, account, address, rating, pieceShape,
+// joinedAt }. Pairing passes run one at a time, under the queue's lock, on
+// the stored entries.
+const MATCHMAKING_LOCK = 'matchmaking';
+// Another instance seated one of our sockets in a match room
+const MATCH_SEATED = 'matchSeated';
+
+// Guests and players without rated games start from the initial rating
+function getQueueRating(playerName) {
+    return leaderboard.get(playerName)?.rating ?? RATING_CONFIG.initialRating;
+}
+
+function enqueue(entry) {
+    matchQueue.set(entry.socketId, entry);
+    return roomStore.publishRecord('matchQueue', entry.socketId, entry);
+}
+
+function dequeue(socketId) {
+    matchQueue.delete(socketId);
+    return roomStore.publishRecord('matchQueue', socketId, null);
+}
+
+function emitQueueUpdate(entry, now = Date.now()) {
+    io.to(entry.socketId).emit(SERVER_EVENTS.QUEUE_UPDATE, {
+        inQueue: true,
+        queueSize: matchQueue.size,
+        rating: entry.rating,
+        waited: now - entry.joinedAt,
+        searchWindow: searchWindow(entry, now)
+    });
+}
+
+async function recordWaits(entries, now) {
+    const previous = (await roomStore.loadRecord('matchmaking', 'recentWaits')) ||
+        matchmakingStats.get('recentWaits') || [];
+    const waits = [...previous, ...entries.map(entry => now - entry.joinedAt)]
+        .slice(-MATCHMAKING_CONFIG.waitSampleSize);
+    matchmakingStats.set('recentWaits', waits);
+    await roomStore.publishRecord('matchmaking', 'recentWaits', waits);
+}
+
+function getQueueStats() {
+    const waits = matchmakingStats.get('recentWaits') || [];
+    const total = waits.reduce((sum, wait) => sum + wait, 0);
+    return {
+        queueSize: matchQueue.size,
+        averageWait: waits.length > 0 ? Math.round(total / waits.length) : 0
+    };
+}
+
+// Queued sockets still connected to an instance and not in a room yet
+async function findWaitingSockets(socketIds) {
+    if (socketIds.length === 0) return new Set();
+    const sockets = await io.in(socketIds).fetchSockets();
+    return new Set(sockets
+        .filter(s => s.rooms.size === 1 && !players.has(s.id))
+        .map(s => s.id));
+}
+
+// `players` belongs to the instance the socket is connected to
+function trackPlayer(socketId, info) {
+    if (io.sockets.sockets.has(socketId)) {
+        players.set(socketId, info);
+    } else {
+        io.serverSideEmit(MATCH_SEATED, socketId, info);
+    }
+}
+
+io.on(MATCH_SEATED, (socketId, info) => {
+    if (io.sockets.sockets.has(socketId)) {
+        players.set(socketId, info);
+    }
+});
+
+// Seat a matched pair in a fresh room. Colors are drawn at random and the
+// game starts like any other full room.
+async function createMatchRoom(entryA, entryB) {
+    const [black, white] = Math.random() < 0.5 ? [entryA, entryB] : [entryB, entryA];
+    const roomId = await generateRoomId();
+
+    // Either player may have gone while the room id was being picked
+    const waiting = await findWaitingSockets([black.socketId, white.socketId]);
+    if (waiting.size < 2) {
+        await Promise.all([black, white].filter(entry => waiting.has(entry.socketId)).map(enqueue));
+        return;
+    }
+
+    const room = new GameRoom(roomId, black.socketId, black.playerName,
+        `${black.playerName} vs ${white.playerName}`, 'online', black.account);
+    room.players[0].pieceShape = black.pieceShape;
+    const blackToken = room.issueRejoinToken(room.players[0]);
+    const joinResult = room.addPlayer(white.socketId, white.playerName, white.account);
+    joinResult.player.pieceShape = white.pieceShape;
+    [black, white].forEach(entry => room.recordAddress(entry.socketId, entry.address));
+    room.addSystemMessage(`Ghép trận: ${black.playerName} (${black.rating}) gặp ${white.playerName} (${white.rating})`);
+    await saveRoom(room);
+    await recordWaits([black, white], Date.now());
+
+    [[black, white, 1, blackToken], [white, black, 2, joinResult.rejoinToken]].forEach(([entry, opponent, color, rejoinToken]) => {
+        trackPlayer(entry.socketId, {
+            roomId,
+            playerName: entry.playerName,
+            account: entry.account,
+            isHost: color === 1
+        });
+        io.in(entry.socketId).socketsJoin(roomId);
+        io.to(entry.socketId).emit(SERVER_EVENTS.MATCH_FOUND, {
+            success: true,
+            roomId,
+            roomName: room.roomName,
+            playerColor: color,
+            rejoinToken,
+            opponent: { name: opponent.playerName, rating: opponent.rating },
+            gameState: room.getGameState()
+        });
+    });
+    console.log(`Matched ${black.playerName} and ${white.playerName} in room ${roomId}`);
+
+    broadcastRoomList();
+    autoStartGame(room);
+}
+
+// Pair whoever can be paired, then tell this instance's sockets how the
+// search is going
+async function pairQueuedPlayers() {
+    const now = Date.now();
+    await roomStore.withLock(MATCHMAKING_LOCK, async () => {
+        const entries = roomStore.shared
+            ? await roomStore.loadRecords('matchQueue')
+            : Array.from(matchQueue.values());
+
+        // Entries whose socket left or who joined a room meanwhile are stale
+        const waiting = await findWaitingSockets(entries.map(entry => entry.socketId));
+        await Promise.all(entries
+            .filter(entry => !waiting.has(entry.socketId))
+            .map(entry => dequeue(entry.socketId)));
+
+        const matches = findMatches(entries.filter(entry => waiting.has(entry.socketId)), now);
+        for (const [entryA, entryB] of matches) {
+            await Promise.all([dequeue(entryA.socketId), dequeue(entryB.socketId)]);
+            try {
+                await createMatchRoom(entryA, entryB);
+            } catch (error) {
+                console.error(`Error creating match room for ${entryA.playerName} and ${entryB.playerName}:`, error);
             }
-        } catch (error) {
-            console.error(`Error reconnecting to room ${roomId}:`, error);
-            socket.emit('reconnectResult', {
-                success: false,
-                message: 'Đã xảy ra lỗi khi kết nối lại.'
-            });
         }
     });
+    matchQueue.forEach(entry => {
+        if (io.sockets.sockets.has(entry.socketId)) {
+            emitQueueUpdate(entry, now);
+        }
+    });
+}
 
-    // Handle get room list
-    socket.on('getRoomList', () => {
-        socket.emit('updateRoomList', getRoomList());
+// =====================================
+// Tournaments
+// =====================================
+
+// Tournament game settings are checked the same way room creation does
+function checkGameSettings({ boardSize, variant, timeControl, spectatorDelay }) {
+    const probe = new GameRoom('settings', null, null);
+    return probe.setRules({ boardSize, variant }).success && probe.setTimeControl(timeControl).success &&
+        probe.setSpectatorDelay(spectatorDelay).success;
+}
+
+// Tell both players where their game is, on every tab they have open
+async function notifyTournamentPairing(tournament, round, pairing, players) {
+    const sockets = await io.fetchSockets();
+    players.forEach((player, index) => {
+        const opponent = players[1 - index];
+        sockets
+            .filter(s => s.data.user && s.data.user.id === player.account)
+            .forEach(s => s.emit(SERVER_EVENTS.TOURNAMENT_PAIRING, {
+                tournamentId: tournament.id,
+                tournamentName: tournament.name,
+                round: round.number,
+                roomId: pairing.roomId,
+                playerColor: index + 1,
+                opponent: opponent.name
+            }));
     });
+}
 
-    // Handle get room info (for direct links)
-    socket.on('getRoomInfo', ({ roomId }) => {
-        const room = rooms.get(roomId);
-        if (room) {
-            socket.emit('roomInfo', {
-                success: true,
-                roomExists: true,
-                roomData: {
-                    id: room.id,
-                    name: room.roomName,
-                    players: room.players.filter(p => p.connected).length,
-                    maxPlayers: 2,
-                    gameStarted: room.gameStarted,
-                    gameOver: room.gameOver,
-                    canJoin: room.players.filter(p => p.connected).length < 2
-                }
-            });
-        } else {
-            socket.emit('roomInfo', {
-                success: false,
-                roomExists: false,
-                message: 'Phòng không tồn tại.'
-            });
+// Open a room for every pairing of the round that still needs a game. Both
+// seats are reserved for the players' accounts: they take them by joining
+// the room while logged in, and the game starts once both are there. Runs
+// inside updateTournament, which saves the pairings' rooms.
+async function createTournamentRooms(tournament, round) {
+    for (const pairing of round.pairings) {
+        if (pairing.winner !== null || pairing.roomId) continue;
+        const black = tournament.players.find(p => p.name === pairing.black);
+        const white = tournament.players.find(p => p.name === pairing.white);
+
+        const roomId = await generateRoomId();
+        const room = new GameRoom(roomId, null, black.name,
+            `${tournament.name} - Vòng ${round.number}`, 'online', black.account);
+        room.setRules(tournament.settings);
+        room.setTimeControl(tournament.settings.timeControl);
+        room.setSpectatorDelay(tournament.settings.spectatorDelay ?? TOURNAMENT_SPECTATOR_DELAY);
+        room.addPlayer(null, white.name, white.account);
+        room.players.forEach(player => {
+            player.id = null;
+            player.connected = false;
+        });
+        room.tournament = {
+            id: tournament.id,
+            round: round.number,
+            pairingId: pairing.id,
+            startBy: Date.now() + TOURNAMENT_CONFIG.noShowTimeout
+        };
+        room.addSystemMessage(`${tournament.name}, vòng ${round.number}: ${black.name} (đen) gặp ${white.name} (trắng)`);
+        await saveRoom(room);
+
+        pairing.roomId = roomId;
+        notifyTournamentPairing(tournament, round, pairing, [black, white])
+            .catch(error => console.error(`Error notifying tournament players in room ${roomId}:`, error));
+    }
+    console.log(`Tournament ${tournament.name}: round ${round.number} paired`);
+}
+
+// Results and registrations can reach any instance at the same time, so a
+// tournament is changed under its own lock, starting from the latest shared
+// record, and saved once `fn` is done. Resolves to what `fn` returns, or
+// null for an unknown tournament.
+function updateTournament(id, fn) {
+    return roomStore.withLock(`tournament:${id}`, async () => {
+        const tournament = (await roomStore.loadRecord('tournaments', id)) || tournaments.get(id);
+        if (!tournament) return null;
+        tournaments.set(id, tournament);
+        const result = await fn(tournament);
+        await persistRecord('tournaments', id, tournament);
+        return result;
+    });
+}
+
+// Called from handleGameResult: score the game and, once the round is
+// complete, pair the next one or close the tournament
+function recordTournamentGame(room) {
+    const { id, round, pairingId } = room.tournament;
+    const winner = room.winner;
+    updateTournament(id, async tournament => {
+        if (!recordResult(tournament, round, pairingId, winner)) return;
+
+        const nextRound = advanceTournament(tournament);
+        if (nextRound) {
+            await createTournamentRooms(tournament, nextRound);
+        } else if (tournament.status === 'finished') {
+            console.log(`Tournament ${tournament.name} finished`);
         }
+    }).catch(error => console.error(`Error recording a game of tournament ${id}:`, error));
+}
+
+// Decide a tournament game without playing it (nobody turned up, or both
+// players left). No game is archived or rated.
+function forfeitTournamentGame(room, winner, reason, message) {
+    room.gameOver = true;
+    room.pendingOffer = null;
+    room.winner = winner;
+    room.clearAbandonDeadlines();
+    room.addSystemMessage(message);
+    broadcastToRoom(room, SERVER_EVENTS.GAME_ENDED, {
+        success: true,
+        gameState: room.getGameState(),
+        winner,
+        finalScores: room.scores,
+        reason
     });
+    recordTournamentGame(room);
+}
 
-    // Handle disconnect
-    socket.on('disconnect', () => {
-        console.log('User disconnected:', socket.id);
-        const playerInfo = players.get(socket.id);
-        if (playerInfo) {
-            const { roomId, playerName } = playerInfo;
-            const room = rooms.get(roomId);
-            if (room) {
-                room.removePlayer(socket.id);
-                room.addSystemMessage(`${playerName} đã mất kết nối`);
-                
-                // Notify other players about disconnection
-                io.to(roomId).emit('playerDisconnected', {
-                    players: room.getGameState().players,
-                    chatMessages: room.getGameState().chatMessages
-                });
-                
-                io.emit('updateRoomList', getRoomList());
+// Pairings whose game has not started by the room's `startBy` deadline are
+// forfeited by whoever is missing; a seat only counts while its player is
+// connected. Checked against the stored deadline so any instance can do it.
+async function checkTournamentNoShows(now = Date.now()) {
+    const roomIds = [];
+    tournaments.forEach(tournament => {
+        if (tournament.status !== 'running') return;
+        const round = tournament.rounds[tournament.rounds.length - 1];
+        round.pairings.forEach(pairing => {
+            if (pairing.winner === null && pairing.roomId) roomIds.push(pairing.roomId);
+        });
+    });
+
+    for (const roomId of roomIds) {
+        await withRoom(roomId, room => {
+            if (!room || !room.isPendingTournamentGame() || room.gameStarted) return;
+            if (!room.tournament.startBy || room.tournament.startBy > now) return;
+
+            const present = room.players.filter(p => p.connected);
+            const missing = room.players.filter(p => !p.connected);
+            if (missing.length === 0) return;
+            if (present.length === 0) {
+                console.log(`Tournament room ${roomId}: neither player turned up`);
+                forfeitTournamentGame(room, DOUBLE_FORFEIT, 'noShow', 'Cả hai người chơi không có mặt, cả hai bị xử thua');
+            } else {
+                console.log(`Tournament room ${roomId}: ${missing[0].name} did not turn up`);
+                forfeitTournamentGame(room, present[0].color, 'noShow',
+                    `${missing[0].name} không có mặt, ${present[0].name} được xử thắng`);
             }
+            broadcastRoomList();
+        }).catch(error => console.error(`Error checking tournament room ${roomId}:`, error));
+    }
+}
+
+// Tournament without the per-round detail, for lists
+function summarizeTournament(tournament) {
+    return {
+        id: tournament.id,
+        name: tournament.name,
+        format: tournament.format,
+        status: tournament.status,
+        settings: tournament.settings,
+        playerCount: tournament.players.length,
+        currentRound: tournament.rounds.length,
+        totalRounds: tournament.totalRounds,
+        createdBy: tournament.createdBy,
+        createdAt: tournament.createdAt,
+        startedAt: tournament.startedAt,
+        finishedAt: tournament.finishedAt
+    };
+}
+
+// =====================================
+// Socket.IO Connection Handling
+// =====================================
+
+// Rate limits for incoming events (see lib/rateLimit.js). Buckets are kept
+// per instance; with several instances behind a sticky load balancer each
+// client still always talks to the same one.
+const socketLimiter = new RateLimiter(RATE_LIMIT_CONFIG.socket);
+const ipLimiter = new RateLimiter(RATE_LIMIT_CONFIG.ip);
+const eventLimiters = new Map(Object.entries(RATE_LIMIT_CONFIG.events)
+    .map(([event, options]) => [event, new RateLimiter(options)]));
+const strikeLimiter = new RateLimiter(RATE_LIMIT_CONFIG.strikes);
+const routeLimiters = new Map(Object.entries(RATE_LIMIT_CONFIG.http)
+    .map(([route, options]) => [route, new RateLimiter(options)]));
+const connectionsPerIp = new Map();
+const CLIENT_EVENT_NAMES = new Set(Object.values(CLIENT_EVENTS));
+
+// Client address, taken from X-Forwarded-For only when TRUST_PROXY is set
+function getClientAddress(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (process.env.TRUST_PROXY && forwarded) {
+        return forwarded.split(',')[0].trim();
+    }
+    return socket.handshake.address;
+}
+
+// The same for REST requests
+function getRequestAddress(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (process.env.TRUST_PROXY && forwarded) {
+        return forwarded.split(',')[0].trim();
+    }
+    return req.socket.remoteAddress;
+}
+
+function allowEvent(socket, event) {
+    const eventLimiter = eventLimiters.get(event);
+    return socketLimiter.take(socket.id) &&
+        ipLimiter.take(socket.data.address) &&
+        (!eventLimiter || eventLimiter.take(socket.id));
+}
+
+// Tell the client why an event was dropped. Sockets that keep sending
+// events we have to drop are disconnected.
+function rejectEvent(socket, event, code, message, reason = null) {
+    socket.emit(SERVER_EVENTS.PROTOCOL_ERROR, {
+        success: false,
+        event,
+        code,
+        message,
+        reason
+    });
+    if (!strikeLimiter.take(socket.id)) {
+        console.warn(`Disconnecting abusive socket ${socket.id} (${socket.data.address})`);
+        socket.disconnect(true);
+    }
+}
+
+function releaseSocketLimits(socket) {
+    socketLimiter.remove(socket.id);
+    strikeLimiter.remove(socket.id);
+    eventLimiters.forEach(limiter => limiter.remove(socket.id));
+
+    const count = (connectionsPerIp.get(socket.data.address) || 1) - 1;
+    if (count > 0) {
+        connectionsPerIp.set(socket.data.address, count);
+    } else {
+        connectionsPerIp.delete(socket.data.address);
+    }
+}
+
+function pruneRateLimits() {
+    [socketLimiter, ipLimiter, strikeLimiter, ...eventLimiters.values(), ...routeLimiters.values()]
+        .forEach(limiter => limiter.prune(RATE_LIMIT_CONFIG.idleTtl));
+}
+
+// Refuse clients built for another protocol version; they get a
+// connect_error carrying PROTOCOL_MISMATCH and should reload the page.
+io.use((socket, next) => {
+    const clientVersion = socket.handshake.auth?.protocolVersion;
+    if (clientVersion !== PROTOCOL_VERSION) {
+        const error = new Error('Phiên bản ứng dụng đã cũ. Vui lòng tải lại trang.');
+        error.data = {
+            code: ERROR_CODES.PROTOCOL_MISMATCH,
+            serverVersion: PROTOCOL_VERSION,
+            clientVersion: clientVersion ?? null
+        };
+        return next(error);
+    }
+    next();
+});
+
+// Cap the number of simultaneous connections from one address
+io.use((socket, next) => {
+    socket.data.address = getClientAddress(socket);
+    if ((connectionsPerIp.get(socket.data.address) || 0) >= RATE_LIMIT_CONFIG.maxConnectionsPerIp) {
+        const error = new Error('Quá nhiều kết nối từ địa chỉ của bạn.');
+        error.data = { code: ERROR_CODES.TOO_MANY_CONNECTIONS };
+        return next(error);
+    }
+    next();
+});
+
+// Attach the logged-in account (if any) from the handshake auth token or
+// session cookie. Sockets without a valid session play as guests.
+io.use((socket, next) => {
+    const token = socket.handshake.auth?.token ||
+        parseCookies(socket.handshake.headers.cookie)[AUTH_CONFIG.sessionCookie];
+    socket.data.user = getSessionUser(token);
+    next();
+});
+
+io.on('connection', (socket) => {
+    console.log('A user connected:', socket.id);
+    connectionsPerIp.set(socket.data.address, (connectionsPerIp.get(socket.data.address) || 0) + 1);
+    socket.on('disconnect', () => {
+        releaseSocketLimits(socket);
+        if (matchQueue.has(socket.id)) {
+            dequeue(socket.id).catch(error => console.error('Error leaving the matchmaking queue:', error));
         }
     });
 
-    // Handle start game manually (for host)
-    socket.on('startGame', ({ roomId }) => {
+    // Every incoming packet, known event or not, is charged to the socket
+    // and its address before any handler runs
+    socket.use(([event], next) => {
+        if (!allowEvent(socket, event)) {
+            rejectEvent(socket, event, ERROR_CODES.RATE_LIMITED, 'Bạn thao tác quá nhanh. Vui lòng chờ một chút.');
+        } else if (!CLIENT_EVENT_NAMES.has(event)) {
+            rejectEvent(socket, event, ERROR_CODES.INVALID_PAYLOAD, 'Dữ liệu gửi lên không hợp lệ.', 'Unknown event');
+        } else {
+            next();
+        }
+    });
+
+    // Register a client event handler. The payload is checked against the
+    // shared schema first, and the handler only sees the declared fields.
+    function handle(event, handler) {
+        socket.on(event, (payload) => {
+            const validation = validatePayload(event, payload);
+            if (!validation.success) {
+                rejectEvent(socket, event, ERROR_CODES.INVALID_PAYLOAD,
+                    'Dữ liệu gửi lên không hợp lệ.', validation.reason);
+                return;
+            }
+            return handler(validation.value);
+        });
+    }
+
+    // Handle create room event - Fixed
+    handle(CLIENT_EVENTS.CREATE_ROOM, async ({
+        playerName: requestedName, roomName, playerPieceShape, aiLevel, timeControl, boardSize, variant,
+        spectatorDelay, visibility, password
+    }) => {
         try {
-            const room = rooms.get(roomId);
-            const playerInfo = players.get(socket.id);
+            const identity = resolvePlayerIdentity(socket, requestedName);
+            if (!identity.success) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: identity.message,
+                    type: 'error'
+                });
+                return;
+            }
+            const { playerName, account } = identity;
+
+            if (aiLevel && !AI_LEVELS[aiLevel]) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Mức độ AI không hợp lệ.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            const roomId = await generateRoomId();
+            const customRoomName = roomName && roomName.trim() ? roomName.trim() : roomId;
             
-            if (!room || !playerInfo || !playerInfo.isHost) {
-                socket.emit('startGameError', {
+            const room = new GameRoom(roomId, socket.id, playerName, customRoomName, 'online', account);
+            room.recordAddress(socket.id, socket.data.address);
+            if (!room.setRules({ boardSize, variant }).success) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Kích thước bàn cờ hoặc biến thể không hợp lệ.',
+                    type: 'error'
+                });
+                return;
+            }
+            if (!room.setTimeControl(timeControl).success) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Cấu hình thời gian không hợp lệ.',
+                    type: 'error'
+                });
+                return;
+            }
+            if (!room.setSpectatorDelay(spectatorDelay).success) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Độ trễ phát sóng không hợp lệ.',
+                    type: 'error'
+                });
+                return;
+            }
+            if (!room.setVisibility(visibility || 'public').success) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Chế độ hiển thị phòng không hợp lệ.',
+                    type: 'error'
+                });
+                return;
+            }
+            if (password) {
+                room.passwordHash = await hashPassword(password);
+            }
+            if (aiLevel) {
+                room.addAIPlayer(aiLevel);
+            }
+            room.players[0].pieceShape = playerPieceShape || null;
+            const rejoinToken = room.issueRejoinToken(room.players[0]);
+            await saveRoom(room);
+            players.set(socket.id, { roomId, playerName, account, isHost: true });
+            socket.join(roomId);
+            
+            console.log(`Room created: ${roomId} (${customRoomName}) by ${playerName}`);
+            
+            // Gửi response với format nhất quán
+            socket.emit(SERVER_EVENTS.ROOM_CREATED, {
+                success: true,
+                roomId: roomId,
+                roomName: customRoomName,
+                playerName,
+                isHost: true,
+                rejoinToken,
+                aiLevel: aiLevel || null,
+                timeControl: room.timeControl,
+                boardSize: room.boardSize,
+                variant: room.variant,
+                playerColor: 1,
+                gameState: room.getGameState()
+            });
+                
+            // Broadcast updated room list
+            broadcastRoomList();
+
+            // Practice rooms against the engine start right away
+            if (aiLevel) {
+                autoStartGame(room);
+            }
+        } catch (error) {
+            console.error(`Error creating room:`, error);
+            socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                success: false,
+                message: 'Đã xảy ra lỗi khi tạo phòng. Vui lòng thử lại sau.',
+                type: 'error'
+            });
+        }
+    });
+
+    // Watch a room. Spectators listen on the room's spectator channel, which
+    // lags behind the players when the room has a broadcast delay.
+    function joinAsSpectator(room, playerName, account) {
+        room.addSpectator(socket.id, playerName, account);
+        room.recordAddress(socket.id, socket.data.address);
+        players.set(socket.id, { roomId: room.id, playerName, account, isHost: false, isSpectator: true });
+        socket.join(spectatorChannel(room.id));
+
+        room.addSystemMessage(`${playerName} đã tham gia với tư cách khán giả`);
+
+        socket.emit(SERVER_EVENTS.ROOM_JOINED, {
+            success: true,
+            asSpectator: true,
+            gameState: room.getSpectatorState()
+        });
+
+        broadcastToRoom(room, SERVER_EVENTS.SPECTATOR_JOINED, {
+            gameState: room.getGameState()
+        });
+    }
+
+    // Handle join room event - Fixed
+    handle(CLIENT_EVENTS.JOIN_ROOM, ({
+        roomId, playerName: requestedName, playerPieceShape, rejoinToken, password, invite
+    }) => withRoom(roomId, async room => {
+        try {
+            const identity = resolvePlayerIdentity(socket, requestedName);
+            if (!identity.success) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: identity.message || 'Thông tin phòng hoặc tên người chơi không hợp lệ.',
+                    type: 'error'
+                });
+                return;
+            }
+            const { playerName, account } = identity;
+
+            if (!room) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Phòng không tồn tại.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            if (room.gameMode !== 'online') {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Không thể tham gia phòng này.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            // Kiểm tra xem player đã trong phòng chưa
+            if (room.players.some(p => p.id === socket.id)) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Bạn đã ở trong phòng này rồi.',
+                    type: 'warning'
+                });
+                return;
+            }
+
+            // Kiểm tra trùng tên
+            if (room.players.some(p => p.name === playerName && p.connected)) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Tên người chơi đã tồn tại trong phòng.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            const access = await checkRoomAccess(room, {
+                playerName, account, address: socket.data.address, password, invite, rejoinToken
+            });
+            if (!access.success) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: access.message,
+                    needsPassword: !!access.needsPassword,
+                    type: 'error'
+                });
+                return;
+            }
+
+            const joinResult = room.addPlayer(socket.id, playerName, account, rejoinToken);
+            
+            if (joinResult.success) {
+                room.recordAddress(socket.id, socket.data.address);
+                if (!joinResult.reconnected) {
+                    joinResult.player.pieceShape = playerPieceShape || null;
+                }
+                players.set(socket.id, {
+                    roomId,
+                    playerName: joinResult.player.name,
+                    account: joinResult.player.account,
+                    isHost: joinResult.player.isHost
+                });
+                socket.join(roomId);
+                
+                console.log(`Player ${playerName} ${joinResult.reconnected ? 'reconnected to' : 'joined'} room: ${roomId}`);
+
+                // Thêm system message
+                if (!joinResult.reconnected) {
+                    room.addSystemMessage(`${playerName} đã tham gia phòng`);
+                } else {
+                    clearAbandonTimer(room, joinResult.player);
+                    room.addSystemMessage(`${playerName} đã kết nối lại`);
+                }
+
+                // Gửi thông báo cho tất cả players trong phòng
+                broadcastToRoom(room, SERVER_EVENTS.PLAYER_JOINED, {
+                    success: true,
+                    gameState: room.getGameState()
+                });
+
+                // Gửi game state cho player vừa join
+                socket.emit(SERVER_EVENTS.ROOM_JOINED, {
+                    success: true,
+                    gameState: room.getGameState(),
+                    playerColor: joinResult.player.color,
+                    rejoinToken: joinResult.rejoinToken
+                });
+
+                // Update room list
+                broadcastRoomList();
+
+                // Tự động start game nếu đủ 2 người
+                autoStartGame(room);
+            } else {
+                // Thử join như spectator nếu phòng đầy
+                if (room.players.length === 2) {
+                    joinAsSpectator(room, playerName, account);
+                } else {
+                    socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                        success: false,
+                        message: joinResult.reason || 'Không thể tham gia phòng.',
+                        type: 'error'
+                    });
+                }
+            }
+        } catch (error) {
+            console.error(`Error joining room:`, error);
+            socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                success: false,
+                message: 'Đã xảy ra lỗi khi tham gia phòng.',
+                type: 'error'
+            });
+        }
+    }));
+
+    handle(CLIENT_EVENTS.SPECTATE_ROOM, ({
+        roomId, playerName: requestedName, password, invite
+    }) => withRoom(roomId, async room => {
+        try {
+            const identity = resolvePlayerIdentity(socket, requestedName);
+            if (!identity.success) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: identity.message || 'Tên người chơi không hợp lệ.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            if (!room || room.gameMode !== 'online') {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Phòng không tồn tại.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            if (players.has(socket.id)) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Hãy rời phòng hiện tại trước khi xem trận khác.',
+                    type: 'warning'
+                });
+                return;
+            }
+
+            if (isSeatedIn(room, identity)) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Bạn đang chơi trong phòng này, không thể vào xem.',
+                    type: 'warning'
+                });
+                return;
+            }
+
+            const access = await checkRoomAccess(room, { ...identity, address: socket.data.address, password, invite });
+            if (!access.success) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: access.message,
+                    needsPassword: !!access.needsPassword,
+                    type: 'error'
+                });
+                return;
+            }
+
+            joinAsSpectator(room, identity.playerName, identity.account);
+            console.log(`${identity.playerName} is watching room: ${roomId}`);
+            broadcastRoomList();
+        } catch (error) {
+            console.error(`Error spectating room:`, error);
+            socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                success: false,
+                message: 'Đã xảy ra lỗi khi vào xem trận.',
+                type: 'error'
+            });
+        }
+    }));
+
+    handle(CLIENT_EVENTS.GET_LIVE_GAMES, async () => {
+        try {
+            socket.emit(SERVER_EVENTS.LIVE_GAMES, { success: true, games: await getLiveGames() });
+        } catch (error) {
+            console.error('Error listing live games:', error);
+            socket.emit(SERVER_EVENTS.LIVE_GAMES, { success: false, games: [] });
+        }
+    });
+
+    // Engine evaluation for spectators; only the one who asked gets it, so
+    // the players never see it
+    handle(CLIENT_EVENTS.REQUEST_ANALYSIS, async ({ roomId }) => {
+        try {
+            const playerInfo = players.get(socket.id);
+            if (!playerInfo || playerInfo.roomId !== roomId || !playerInfo.isSpectator) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Chỉ khán giả mới xem được phân tích của máy.',
+                    type: 'warning'
+                });
+                return;
+            }
+
+            const room = await loadRoom(roomId);
+            if (!room || !room.gameStarted || isSeatedIn(room, playerInfo)) return;
+            const analysis = await analyzeForSpectators(room);
+            // A player could still watch a rated game under another guest
+            // name: without a broadcast delay, the best move is not shown
+            const hideBestMove = room.isRated() && !room.spectatorDelay && !room.gameOver;
+            socket.emit(SERVER_EVENTS.ANALYSIS_UPDATE, {
+                roomId,
+                ...analysis,
+                bestMove: hideBestMove ? null : analysis.bestMove
+            });
+        } catch (error) {
+            console.error('Error analyzing position:', error);
+        }
+    });
+
+    // Ranked best moves for the player to move, as a hint. Practice and
+    // casual games only: rated games get no help from the engine.
+    handle(CLIENT_EVENTS.REQUEST_HINT, async ({ roomId }) => {
+        try {
+            const playerInfo = players.get(socket.id);
+            const room = playerInfo && playerInfo.roomId === roomId && !playerInfo.isSpectator
+                ? await loadRoom(roomId)
+                : null;
+            if (!room) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Bạn không ở trong phòng này.',
+                    type: 'error'
+                });
+                return;
+            }
+            if (room.isRated()) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Không có gợi ý trong ván tính điểm xếp hạng.',
+                    type: 'warning'
+                });
+                return;
+            }
+
+            const player = room.players.find(p => p.id === socket.id);
+            if (!room.gameStarted || room.gameOver || !player || player.color !== room.currentPlayer) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Chỉ xem được gợi ý khi đến lượt bạn.',
+                    type: 'warning'
+                });
+                return;
+            }
+
+            socket.emit(SERVER_EVENTS.HINT_RESULT, {
+                roomId,
+                moveCount: room.moveHistory.length,
+                ...await enginePool.run('analyzePosition', {
+                    board: room.board,
+                    color: room.currentPlayer,
+                    variant: room.variant
+                })
+            });
+        } catch (error) {
+            console.error('Error computing hint:', error);
+        }
+    });
+
+    // Move-by-move review of an archived game: sent at once when cached,
+    // otherwise queued and sent when the engine is done with it
+    handle(CLIENT_EVENTS.REQUEST_REVIEW, ({ gameId }) => {
+        try {
+            const record = gameArchive.get(gameId);
+            if (!record) {
+                socket.emit(SERVER_EVENTS.GAME_REVIEW, {
+                    success: false,
+                    gameId,
+                    message: 'Không tìm thấy ván đấu.',
+                    type: 'error'
+                });
+                return;
+            }
+            if (record.review) {
+                socket.emit(SERVER_EVENTS.GAME_REVIEW, { success: true, gameId, review: record.review });
+                return;
+            }
+            if (!queueReview(record, socket.id)) {
+                socket.emit(SERVER_EVENTS.GAME_REVIEW, {
+                    success: false,
+                    gameId,
+                    message: 'Máy chủ đang bận phân tích các ván khác. Vui lòng thử lại sau.',
+                    type: 'warning'
+                });
+                return;
+            }
+            socket.emit(SERVER_EVENTS.GAME_REVIEW, { success: true, gameId, pending: true });
+        } catch (error) {
+            console.error('Error requesting review:', error);
+        }
+    });
+
+    // Handle game move
+    handle(CLIENT_EVENTS.MAKE_MOVE, ({ roomId, r, c }) => withRoom(roomId, room => {
+        try {
+            const playerInfo = players.get(socket.id);
+
+            if (!room || !playerInfo) {
+                socket.emit(SERVER_EVENTS.MOVE_ERROR, {
+                    success: false,
+                    message: 'Phòng không hợp lệ.'
+                });
+                return;
+            }
+
+            if (!room.gameStarted || room.gameOver) {
+                socket.emit(SERVER_EVENTS.MOVE_ERROR, {
+                    success: false,
+                    message: 'Trò chơi chưa bắt đầu hoặc đã kết thúc.'
+                });
+                return;
+            }
+
+            const currentPlayerData = room.players.find(p => p.color === room.currentPlayer);
+            if (!currentPlayerData || currentPlayerData.id !== socket.id) {
+                socket.emit(SERVER_EVENTS.MOVE_ERROR, {
+                    success: false,
+                    message: 'Không phải lượt của bạn.'
+                });
+                return;
+            }
+
+            const moveResult = playMove(room, r, c);
+            if (!moveResult.success) {
+                socket.emit(SERVER_EVENTS.MOVE_ERROR, {
+                    success: false,
+                    message: moveResult.reason || 'Nước đi không hợp lệ.'
+                });
+            }
+        } catch (error) {
+            console.error(`Error making move in room ${roomId}:`, error);
+            socket.emit(SERVER_EVENTS.MOVE_ERROR, {
+                success: false,
+                message: 'Đã xảy ra lỗi khi thực hiện nước đi.'
+            });
+        }
+    }));
+
+    // Handle filling the empty seat with the server-side AI (host only)
+    handle(CLIENT_EVENTS.ADD_AI_PLAYER, ({ roomId, level }) => withRoom(roomId, room => {
+        try {
+            const playerInfo = players.get(socket.id);
+
+            if (!room || !playerInfo || !playerInfo.isHost || playerInfo.roomId !== roomId) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Chỉ chủ phòng mới có thể thêm máy vào phòng.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            if (!AI_LEVELS[level]) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Mức độ AI không hợp lệ.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            if (room.gameStarted) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Trò chơi đã bắt đầu.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            const addResult = room.addAIPlayer(level);
+            if (!addResult.success) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Phòng đã đủ người chơi.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            const aiPlayer = room.players.find(p => p.isAI);
+            room.addSystemMessage(`${aiPlayer.name} đã tham gia phòng`);
+            broadcastToRoom(room, SERVER_EVENTS.PLAYER_JOINED, {
+                success: true,
+                gameState: room.getGameState()
+            });
+            broadcastRoomList();
+            autoStartGame(room);
+        } catch (error) {
+            console.error(`Error adding AI player to room ${roomId}:`, error);
+            socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                success: false,
+                message: 'Đã xảy ra lỗi khi thêm máy vào phòng.',
+                type: 'error'
+            });
+        }
+    }));
+
+    // Handle chat message
+    handle(CLIENT_EVENTS.CHAT_MESSAGE, ({ roomId, message }) => withRoom(roomId, room => {
+        try {
+            const playerInfo = players.get(socket.id);
+            
+            if (!playerInfo || playerInfo.roomId !== roomId || !room || !message) return;
+
+            if (playerInfo.isSpectator && !room.canSpectatorChat(playerInfo.playerName)) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: room.spectatorChatEnabled
+                        ? 'Bạn đã bị tắt tiếng trong phòng này.'
+                        : 'Người chơi đã tắt chat của khán giả.',
+                    type: 'warning'
+                });
+                return;
+            }
+
+            const filtered = chatFilter.clean(message);
+            const chatMessage = room.addChatMessage(playerInfo.playerName, filtered.text,
+                playerInfo.isSpectator ? 'spectator' : 'player', message);
+            broadcastToRoom(room, SERVER_EVENTS.NEW_CHAT_MESSAGE, {
+                message: room.getChatMessages([chatMessage])[0],
+                allMessages: room.getGameState().chatMessages
+            });
+        } catch (error) {
+            console.error(`Error sending chat message in room ${roomId}:`, error);
+        }
+    }));
+
+    // Seat of this socket in the room, null for spectators and outsiders
+    function getSeat(room, roomId) {
+        const playerInfo = players.get(socket.id);
+        if (!room || !playerInfo || playerInfo.roomId !== roomId || playerInfo.isSpectator) return null;
+        return room.players.find(p => p.id === socket.id && !p.isAI) || null;
+    }
+
+    function broadcastModeration(room) {
+        broadcastToRoom(room, SERVER_EVENTS.MODERATION_UPDATE, {
+            spectatorChatEnabled: room.spectatorChatEnabled,
+            mutedSpectators: room.mutedSpectators,
+            chatMessages: room.getGameState().chatMessages
+        });
+    }
+
+    // Handle muting / unmuting one spectator
+    handle(CLIENT_EVENTS.MUTE_SPECTATOR, ({ roomId, spectatorName, muted }) => withRoom(roomId, room => {
+        try {
+            if (!getSeat(room, roomId)) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Chỉ người chơi trong phòng mới có thể tắt tiếng khán giả.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            room.setSpectatorMuted(spectatorName, muted);
+            room.addSystemMessage(muted
+                ? `${spectatorName} đã bị tắt tiếng`
+                : `${spectatorName} đã được bật tiếng`);
+            broadcastModeration(room);
+        } catch (error) {
+            console.error(`Error muting spectator in room ${roomId}:`, error);
+        }
+    }));
+
+    // Handle turning spectator chat on / off for the whole room
+    handle(CLIENT_EVENTS.SET_SPECTATOR_CHAT, ({ roomId, enabled }) => withRoom(roomId, room => {
+        try {
+            if (!getSeat(room, roomId)) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Chỉ người chơi trong phòng mới có thể thay đổi chat của khán giả.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            room.spectatorChatEnabled = enabled;
+            room.addSystemMessage(enabled ? 'Khán giả đã được phép chat' : 'Chat của khán giả đã bị tắt');
+            broadcastModeration(room);
+        } catch (error) {
+            console.error(`Error changing spectator chat in room ${roomId}:`, error);
+        }
+    }));
+
+    // Host: a single-use link that lets one person into a protected room
+    handle(CLIENT_EVENTS.CREATE_INVITE, ({ roomId }) => withRoom(roomId, room => {
+        try {
+            const seat = getSeat(room, roomId);
+            if (!seat || !seat.isHost) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Chỉ chủ phòng mới có thể tạo link mời.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            const invite = inviteSigner.sign(room.id);
+            room.addInvite(invite);
+            socket.emit(SERVER_EVENTS.INVITE_CREATED, {
+                success: true,
+                roomId: room.id,
+                path: `/room/${room.id}?invite=${encodeURIComponent(invite.token)}`,
+                expiresAt: invite.expiresAt
+            });
+        } catch (error) {
+            console.error(`Error creating invite for room ${roomId}:`, error);
+        }
+    }));
+
+    // Host: send a player or spectator out of the room, optionally for good
+    handle(CLIENT_EVENTS.KICK_PARTICIPANT, ({ roomId, name, ban }) => withRoom(roomId, room => {
+        try {
+            const seat = getSeat(room, roomId);
+            if (!seat || !seat.isHost) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Chỉ chủ phòng mới có thể mời người khác ra khỏi phòng.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            // Removing the opponent would decide the game or the pairing
+            const opponent = room.players.find(p => p.name === name && !p.isHost && !p.isAI);
+            if (opponent && ((room.gameStarted && !room.gameOver) || room.tournament)) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: room.tournament
+                        ? 'Không thể mời đối thủ ra khỏi phòng giải đấu.'
+                        : 'Không thể mời đối thủ ra khi ván đang diễn ra.',
+                    type: 'warning'
+                });
+                return;
+            }
+
+            if (opponent) {
+                cancelRematch(room);
+            }
+            const removed = room.removeParticipant(name);
+            if (removed.length === 0) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Không tìm thấy người này trong phòng.',
+                    type: 'warning'
+                });
+                return;
+            }
+
+            removed.forEach(participant => {
+                if (ban) {
+                    room.ban(participant);
+                }
+                if (!participant.id) return;
+                // The socket may be connected to another instance
+                players.delete(participant.id);
+                io.in(participant.id).socketsLeave([room.id, spectatorChannel(room.id)]);
+                io.to(participant.id).emit(SERVER_EVENTS.KICKED, {
+                    roomId: room.id,
+                    banned: !!ban,
+                    message: ban ? 'Bạn đã bị chủ phòng cấm vào phòng này.' : 'Bạn đã bị chủ phòng mời ra khỏi phòng.'
+                });
+            });
+
+            room.addSystemMessage(ban ? `${name} đã bị cấm vào phòng` : `${name} đã bị mời ra khỏi phòng`);
+            broadcastToRoom(room, SERVER_EVENTS.PLAYER_LEFT, {
+                players: room.getGameState().players,
+                spectators: room.getGameState().spectators,
+                chatMessages: room.getGameState().chatMessages
+            });
+            broadcastRoomList();
+        } catch (error) {
+            console.error(`Error kicking ${name} from room ${roomId}:`, error);
+        }
+    }));
+
+    // Handle reporting a chat message to the moderators
+    handle(CLIENT_EVENTS.REPORT_MESSAGE, ({ roomId, messageId, reason }) => withRoom(roomId, room => {
+        try {
+            const playerInfo = players.get(socket.id);
+            const chatMessage = room && room.chatMessages.find(m => m.id === messageId);
+            if (!playerInfo || playerInfo.roomId !== roomId || !chatMessage || chatMessage.type !== 'message') {
+                socket.emit(SERVER_EVENTS.REPORT_RESULT, {
+                    success: false,
+                    message: 'Không tìm thấy tin nhắn để báo cáo.'
+                });
+                return;
+            }
+
+            const report = createReport(room, chatMessage, playerInfo, reason);
+            reports.set(report.id, report);
+            persistRecord('reports', report.id, report);
+            console.log(`Chat message in room ${roomId} reported by ${playerInfo.playerName}`);
+
+            socket.emit(SERVER_EVENTS.REPORT_RESULT, {
+                success: true,
+                message: 'Đã gửi báo cáo. Cảm ơn bạn!'
+            });
+        } catch (error) {
+            console.error(`Error reporting message in room ${roomId}:`, error);
+            socket.emit(SERVER_EVENTS.REPORT_RESULT, {
+                success: false,
+                message: 'Đã xảy ra lỗi khi gửi báo cáo.'
+            });
+        }
+    }));
+
+    // Handle leave room
+    handle(CLIENT_EVENTS.LEAVE_ROOM, () => withRoom(players.get(socket.id)?.roomId, room => {
+        try {
+            const playerInfo = players.get(socket.id);
+            if (!playerInfo) return;
+
+            const { roomId, playerName } = playerInfo;
+
+            if (room) {
+                const removeResult = room.removePlayer(socket.id);
+                players.delete(socket.id);
+                socket.leave(roomId);
+                socket.leave(spectatorChannel(roomId));
+
+                // Leaving on purpose gives up the seat for good
+                if (removeResult.player) {
+                    removeResult.player.rejoinTokenHash = null;
+                }
+                
+                console.log(`Player ${playerName} left room ${roomId}`);
+                
+                // Add system message (not for someone the host already removed)
+                if (removeResult.success) {
+                    room.addSystemMessage(`${playerName} đã rời khỏi phòng`);
+                }
+                if (removeResult.player) {
+                    cancelRematch(room);
+                }
+
+                // Handle game interruption
+                if (room.gameStarted && !room.gameOver && removeResult.success && removeResult.player) {
+                    const remainingPlayer = room.players.find(p => p.connected);
+                    if (remainingPlayer) {
+                        finishGame(room, remainingPlayer.color, 'opponent_left',
+                            `${remainingPlayer.name} thắng do đối thủ rời khỏi phòng`);
+                    }
+                }
+
+                // Notify remaining players
+                if (room.players.some(p => p.connected) || room.spectators.length > 0) {
+                    broadcastToRoom(room, SERVER_EVENTS.PLAYER_LEFT, {
+                        players: room.getGameState().players,
+                        spectators: room.getGameState().spectators,
+                        chatMessages: room.getGameState().chatMessages
+                    });
+                }
+
+                // Clean up empty rooms
+                if (!room.hasConnectedHumans() && room.spectators.length === 0 && !room.isPendingTournamentGame()) {
+                    setTimeout(() => withRoom(roomId, current => {
+                        if (current && 
+                            !current.hasConnectedHumans() && 
+                            current.spectators.length === 0) {
+                            current.removed = true;
+                            console.log(`Room ${roomId} removed due to inactivity.`);
+                        }
+                        broadcastRoomList();
+                    }), 2000);
+                } else {
+                    broadcastRoomList();
+                }
+            }
+        } catch (error) {
+            console.error(`Error leaving room:`, error);
+        }
+    }));
+
+    // Matchmaking: wait for an opponent of similar rating
+    handle(CLIENT_EVENTS.JOIN_QUEUE, ({ playerName: requestedName, playerPieceShape }) => {
+        if (players.has(socket.id)) {
+            socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                success: false,
+                message: 'Hãy rời phòng hiện tại trước khi tìm trận.',
+                type: 'warning'
+            });
+            return;
+        }
+        if (matchQueue.has(socket.id)) {
+            emitQueueUpdate(matchQueue.get(socket.id));
+            return;
+        }
+
+        const identity = resolvePlayerIdentity(socket, requestedName);
+        if (!identity.success) {
+            socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                success: false,
+                message: identity.message,
+                type: 'error'
+            });
+            return;
+        }
+        const { playerName, account } = identity;
+
+        // One queue entry per account, whichever tab it came from
+        if (account && Array.from(matchQueue.values()).some(entry => entry.account === account)) {
+            socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                success: false,
+                message: 'Tài khoản này đang tìm trận ở một cửa sổ khác.',
+                type: 'warning'
+            });
+            return;
+        }
+
+        enqueue({
+            socketId: socket.id,
+            playerName,
+            account,
+            address: socket.data.address,
+            rating: getQueueRating(playerName),
+            pieceShape: playerPieceShape || null,
+            joinedAt: Date.now()
+        })
+            .then(() => {
+                console.log(`${playerName} joined the matchmaking queue`);
+                return pairQueuedPlayers();
+            })
+            .catch(error => console.error('Error pairing queued players:', error));
+    });
+
+    handle(CLIENT_EVENTS.LEAVE_QUEUE, async () => {
+        if (matchQueue.has(socket.id)) {
+            await dequeue(socket.id).catch(error => console.error('Error leaving the matchmaking queue:', error));
+        }
+        socket.emit(SERVER_EVENTS.QUEUE_UPDATE, { inQueue: false, queueSize: matchQueue.size });
+    });
+
+    // Handle reconnect attempt
+    // Reclaiming a seat requires the rejoin token issued for it
+    handle(CLIENT_EVENTS.RECONNECT_ATTEMPT, ({ roomId, rejoinToken }) => withRoom(roomId, room => {
+        try {
+            if (!room) {
+                socket.emit(SERVER_EVENTS.RECONNECT_RESULT, {
+                    success: false,
+                    message: 'Phòng không tồn tại.'
+                });
+                return;
+            }
+
+            const player = room.findSeatByRejoinToken(rejoinToken);
+            if (player) {
+                const playerName = player.name;
+
+                // The token holder wins over a stale socket the server still
+                // thinks is connected (e.g. before its ping timeout fired)
+                if (player.connected && player.id !== socket.id) {
+                    players.delete(player.id);
+                    io.in(player.id).socketsLeave(roomId);
+                }
+
+                const newToken = room.reclaimSeat(player, socket.id);
+                room.recordAddress(socket.id, socket.data.address);
+                clearAbandonTimer(room, player);
+                players.set(socket.id, { 
+                    roomId, 
+                    playerName, 
+                    account: player.account,
+                    isHost: player.isHost,
+                    isSpectator: false 
+                });
+                socket.join(roomId);
+                
+                room.addSystemMessage(`${playerName} đã kết nối lại`);
+                console.log(`Player ${playerName} reconnected to room ${roomId}`);
+                
+                broadcastToRoom(room, SERVER_EVENTS.PLAYER_RECONNECTED, {
+                    players: room.getGameState().players,
+                    chatMessages: room.getGameState().chatMessages
+                });
+                
+                socket.emit(SERVER_EVENTS.RECONNECT_RESULT, {
+                    success: true,
+                    gameState: room.getGameState(),
+                    playerColor: player.color,
+                    rejoinToken: newToken
+                });
+            } else {
+                socket.emit(SERVER_EVENTS.RECONNECT_RESULT, {
+                    success: false,
+                    message: 'Không thể kết nối lại. Vui lòng thử tạo/tham gia phòng mới.'
+                });
+            }
+        } catch (error) {
+            console.error(`Error reconnecting to room ${roomId}:`, error);
+            socket.emit(SERVER_EVENTS.RECONNECT_RESULT, {
+                success: false,
+                message: 'Đã xảy ra lỗi khi kết nối lại.'
+            });
+        }
+    }));
+
+    // Handle get room list
+    handle(CLIENT_EVENTS.GET_ROOM_LIST, async () => {
+        try {
+            socket.emit(SERVER_EVENTS.UPDATE_ROOM_LIST, await getRoomList());
+        } catch (error) {
+            console.error('Error getting room list:', error);
+        }
+    });
+
+    // Handle stats request (online count and top of the leaderboard)
+    handle(CLIENT_EVENTS.GET_STATS, async () => {
+        try {
+            const sockets = await io.fetchSockets();
+            socket.emit(SERVER_EVENTS.UPDATE_STATS, {
+                totalOnlinePlayers: sockets.length,
+                leaderboard: getTopRatings(10)
+            });
+        } catch (error) {
+            console.error('Error getting stats:', error);
+        }
+    });
+
+    // Handle get room info (for direct links)
+    handle(CLIENT_EVENTS.GET_ROOM_INFO, async ({ roomId }) => {
+        const room = await loadRoom(roomId);
+        if (room) {
+            socket.emit(SERVER_EVENTS.ROOM_INFO, {
+                success: true,
+                roomExists: true,
+                roomData: {
+                    id: room.id,
+                    name: room.roomName,
+                    boardSize: room.boardSize,
+                    variant: room.variant,
+                    players: room.players.filter(p => p.connected).length,
+                    maxPlayers: 2,
+                    gameStarted: room.gameStarted,
+                    gameOver: room.gameOver,
+                    canJoin: room.players.filter(p => p.connected).length < 2,
+                    visibility: room.visibility,
+                    hasPassword: !!room.passwordHash
+                }
+            });
+        } else {
+            socket.emit(SERVER_EVENTS.ROOM_INFO, {
+                success: false,
+                roomExists: false,
+                message: 'Phòng không tồn tại.'
+            });
+        }
+    });
+
+    // Handle disconnect
+    socket.on('disconnect', () => withRoom(players.get(socket.id)?.roomId, room => {
+        console.log('User disconnected:', socket.id);
+        const playerInfo = players.get(socket.id);
+        if (playerInfo) {
+            const { roomId, playerName } = playerInfo;
+            players.delete(socket.id);
+            if (room) {
+                const removeResult = room.removePlayer(socket.id);
+                if (removeResult.player?.abandonDeadline) {
+                    const seconds = Math.round(ABANDON_GRACE_PERIOD / 1000);
+                    room.addSystemMessage(`${playerName} đã mất kết nối, sẽ bị xử thua nếu không quay lại trong ${seconds} giây`);
+                } else {
+                    room.addSystemMessage(`${playerName} đã mất kết nối`);
+                }
+                if (removeResult.player) {
+                    cancelRematch(room);
+                    scheduleAbandonTimer(room, removeResult.player);
+                }
+                
+                // Notify other players about disconnection
+                broadcastToRoom(room, SERVER_EVENTS.PLAYER_DISCONNECTED, {
+                    players: room.getGameState().players,
+                    chatMessages: room.getGameState().chatMessages
+                });
+                
+                broadcastRoomList();
+            }
+        }
+    }));
+
+    // Handle start game manually (for host)
+    handle(CLIENT_EVENTS.START_GAME, ({ roomId }) => withRoom(roomId, room => {
+        try {
+            const playerInfo = players.get(socket.id);
+            
+            if (!room || !playerInfo || !playerInfo.isHost) {
+                socket.emit(SERVER_EVENTS.START_GAME_ERROR, {
+                    success: false,
+                    message: 'Chỉ chủ phòng mới có thể bắt đầu trò chơi.'
+                });
+                return;
+            }
+
+            if (room.players.filter(p => p.connected).length < 2) {
+                socket.emit(SERVER_EVENTS.START_GAME_ERROR, {
+                    success: false,
+                    message: 'Cần ít nhất 2 người chơi để bắt đầu.'
+                });
+                return;
+            }
+
+            if (room.startGame()) {
+                room.addSystemMessage('Chủ phòng đã bắt đầu trò chơi!');
+                broadcastToRoom(room, SERVER_EVENTS.GAME_STARTED, {
+                    success: true,
+                    gameState: room.getGameState()
+                });
+                broadcastRoomList();
+                scheduleAIMove(room);
+            } else {
+                socket.emit(SERVER_EVENTS.START_GAME_ERROR, {
+                    success: false,
+                    message: 'Không thể bắt đầu trò chơi.'
+                });
+            }
+        } catch (error) {
+            console.error(`Error starting game in room ${roomId}:`, error);
+            socket.emit(SERVER_EVENTS.START_GAME_ERROR, {
+                success: false,
+                message: 'Đã xảy ra lỗi khi bắt đầu trò chơi.'
+            });
+        }
+    }));
+
+    // Handle restart game (for completed games)
+    handle(CLIENT_EVENTS.RESTART_GAME, ({ roomId }) => withRoom(roomId, room => {
+        try {
+            const playerInfo = players.get(socket.id);
+            
+            if (!room || !playerInfo || !playerInfo.isHost) {
+                socket.emit(SERVER_EVENTS.RESTART_GAME_ERROR, {
+                    success: false,
+                    message: 'Chỉ chủ phòng mới có thể khởi động lại trò chơi.'
+                });
+                return;
+            }
+
+            if (!room.gameOver) {
+                socket.emit(SERVER_EVENTS.RESTART_GAME_ERROR, {
+                    success: false,
+                    message: 'Trò chơi chưa kết thúc.'
+                });
+                return;
+            }
+
+            // The result of a tournament game is final
+            if (room.tournament) {
+                socket.emit(SERVER_EVENTS.RESTART_GAME_ERROR, {
+                    success: false,
+                    message: 'Ván đấu giải không thể chơi lại.'
+                });
+                return;
+            }
+
+            // Reset game state
+            room.resetBoard();
+            room.rematchOffer = null;
+            
+            room.addSystemMessage('Trò chơi đã được khởi động lại');
+            
+            broadcastToRoom(room, SERVER_EVENTS.GAME_RESTARTED, {
+                success: true,
+                gameState: room.getGameState()
+            });
+            
+            broadcastRoomList();
+        } catch (error) {
+            console.error(`Error restarting game in room ${roomId}:`, error);
+            socket.emit(SERVER_EVENTS.RESTART_GAME_ERROR, {
+                success: false,
+                message: 'Đã xảy ra lỗi khi khởi động lại trò chơi.'
+            });
+        }
+    }));
+
+    // Seat of this socket if it plays in a game that is still running;
+    // otherwise tells the client why and returns null
+    function getActiveSeat(room, roomId) {
+        const seat = getSeat(room, roomId);
+        const message = !seat ? 'Chỉ người chơi trong phòng mới có thể làm việc này.'
+            : !room.gameStarted || room.gameOver ? 'Trò chơi chưa bắt đầu hoặc đã kết thúc.'
+            : null;
+        if (message) {
+            socket.emit(SERVER_EVENTS.ROOM_ERROR, { success: false, message, type: 'error' });
+            return null;
+        }
+        return seat;
+    }
+
+    // The pending offer of the given type made by the opponent, if any
+    function getOpponentOffer(room, seat, type) {
+        const offer = room.pendingOffer;
+        if (!offer || offer.type !== type || offer.from === seat.name) {
+            socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                success: false,
+                message: type === 'draw' ? 'Không có lời đề nghị hòa nào.' : 'Không có yêu cầu đi lại nào.',
+                type: 'warning'
+            });
+            return null;
+        }
+        return offer;
+    }
+
+    // Handle resignation
+    handle(CLIENT_EVENTS.RESIGN, ({ roomId }) => withRoom(roomId, room => {
+        try {
+            const seat = getActiveSeat(room, roomId);
+            if (!seat) return;
+
+            const opponentColor = seat.color === 1 ? 2 : 1;
+            finishGame(room, opponentColor, 'resignation', `${seat.name} đã xin thua`);
+            broadcastRoomList();
+        } catch (error) {
+            console.error(`Error resigning in room ${roomId}:`, error);
+        }
+    }));
+
+    // Handle draw offer
+    handle(CLIENT_EVENTS.OFFER_DRAW, ({ roomId }) => withRoom(roomId, room => {
+        try {
+            const seat = getActiveSeat(room, roomId);
+            if (!seat) return;
+
+            if (room.pendingOffer) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Đang có một lời đề nghị chờ trả lời.',
+                    type: 'warning'
+                });
+                return;
+            }
+
+            room.addSystemMessage(`${seat.name} đề nghị hòa`);
+            const opponent = room.players.find(p => p !== seat);
+            if (opponent && opponent.isAI) {
+                // The engine plays every game out
+                room.addSystemMessage(`${opponent.name} đã từ chối hòa`);
+                broadcastToRoom(room, SERVER_EVENTS.DRAW_DECLINED, {
+                    by: opponent.name,
+                    gameState: room.getGameState()
+                });
+                return;
+            }
+
+            room.pendingOffer = { type: 'draw', from: seat.name, at: Date.now() };
+            broadcastToRoom(room, SERVER_EVENTS.DRAW_OFFERED, {
+                from: seat.name,
+                gameState: room.getGameState()
+            });
+        } catch (error) {
+            console.error(`Error offering draw in room ${roomId}:`, error);
+        }
+    }));
+
+    // Handle answer to the opponent's draw offer
+    handle(CLIENT_EVENTS.RESPOND_DRAW, ({ roomId, accept }) => withRoom(roomId, room => {
+        try {
+            const seat = getActiveSeat(room, roomId);
+            if (!seat || !getOpponentOffer(room, seat, 'draw')) return;
+
+            room.pendingOffer = null;
+            if (accept) {
+                finishGame(room, 0, 'draw_agreement', 'Hai bên đồng ý hòa');
+                broadcastRoomList();
+                return;
+            }
+
+            room.addSystemMessage(`${seat.name} đã từ chối hòa`);
+            broadcastToRoom(room, SERVER_EVENTS.DRAW_DECLINED, {
+                by: seat.name,
+                gameState: room.getGameState()
+            });
+        } catch (error) {
+            console.error(`Error answering draw offer in room ${roomId}:`, error);
+        }
+    }));
+
+    // Handle undo request (take back your own last move)
+    handle(CLIENT_EVENTS.REQUEST_UNDO, ({ roomId }) => withRoom(roomId, room => {
+        try {
+            const seat = getActiveSeat(room, roomId);
+            if (!seat) return;
+
+            if (room.pendingOffer) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Đang có một lời đề nghị chờ trả lời.',
+                    type: 'warning'
+                });
+                return;
+            }
+
+            const opponent = room.players.find(p => p !== seat);
+            const lastMove = room.moveHistory[room.moveHistory.length - 1];
+            // Against the engine its replies are taken back too
+            const canUndo = opponent && opponent.isAI
+                ? room.moveHistory.some(move => move.player === seat.color)
+                : lastMove && lastMove.player === seat.color;
+            if (!canUndo) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Bạn chỉ có thể xin đi lại nước vừa đi của mình.',
+                    type: 'warning'
+                });
+                return;
+            }
+
+            room.addSystemMessage(`${seat.name} xin đi lại`);
+            if (opponent.isAI) {
+                undoMoves(room, seat, opponent);
+                return;
+            }
+
+            room.pendingOffer = { type: 'undo', from: seat.name, at: Date.now() };
+            broadcastToRoom(room, SERVER_EVENTS.UNDO_REQUESTED, {
+                from: seat.name,
+                gameState: room.getGameState()
+            });
+        } catch (error) {
+            console.error(`Error requesting undo in room ${roomId}:`, error);
+        }
+    }));
+
+    // Handle answer to the opponent's undo request
+    handle(CLIENT_EVENTS.RESPOND_UNDO, ({ roomId, accept }) => withRoom(roomId, room => {
+        try {
+            const seat = getActiveSeat(room, roomId);
+            if (!seat || !getOpponentOffer(room, seat, 'undo')) return;
+
+            const requester = room.players.find(p => p.name === room.pendingOffer.from);
+            room.pendingOffer = null;
+            if (accept && requester) {
+                undoMoves(room, requester, seat);
+                return;
+            }
+
+            room.addSystemMessage(`${seat.name} không đồng ý cho đi lại`);
+            broadcastToRoom(room, SERVER_EVENTS.UNDO_DECLINED, {
+                by: seat.name,
+                gameState: room.getGameState()
+            });
+        } catch (error) {
+            console.error(`Error answering undo request in room ${roomId}:`, error);
+        }
+    }));
+
+    // Handle rematch offer (either player, once the game is over)
+    handle(CLIENT_EVENTS.REQUEST_REMATCH, ({ roomId }) => withRoom(roomId, room => {
+        try {
+            const seat = getSeat(room, roomId);
+            if (!seat) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Chỉ người chơi trong phòng mới có thể đề nghị tái đấu.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            if (!room.gameOver) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Trò chơi chưa kết thúc.',
+                    type: 'warning'
+                });
+                return;
+            }
+
+            if (room.tournament) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Ván đấu giải không thể tái đấu.',
+                    type: 'warning'
+                });
+                return;
+            }
+
+            const opponent = room.players.find(p => p !== seat);
+            if (!opponent || !opponent.connected) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Đối thủ đã rời phòng.',
+                    type: 'error'
+                });
+                return;
+            }
+
+            if (room.rematchOffer) {
+                if (room.rematchOffer.from === seat.name) {
+                    socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                        success: false,
+                        message: 'Bạn đã gửi lời mời tái đấu, hãy chờ đối thủ trả lời.',
+                        type: 'warning'
+                    });
+                    return;
+                }
+                // Both sides asked: that is an agreement
+                startRematch(room);
+                return;
+            }
+
+            // The engine never says no
+            if (opponent.isAI) {
+                startRematch(room);
+                return;
+            }
+
+            room.rematchOffer = { from: seat.name, at: Date.now() };
+            room.addSystemMessage(`${seat.name} muốn tái đấu`);
+            broadcastToRoom(room, SERVER_EVENTS.REMATCH_OFFERED, {
+                from: seat.name,
+                gameState: room.getGameState()
+            });
+        } catch (error) {
+            console.error(`Error requesting rematch in room ${roomId}:`, error);
+        }
+    }));
+
+    // Handle accepting the opponent's rematch offer
+    handle(CLIENT_EVENTS.ACCEPT_REMATCH, ({ roomId }) => withRoom(roomId, room => {
+        try {
+            const seat = getSeat(room, roomId);
+            if (!seat || !room.rematchOffer || room.rematchOffer.from === seat.name) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Không có lời mời tái đấu nào.',
+                    type: 'warning'
+                });
+                return;
+            }
+            startRematch(room);
+        } catch (error) {
+            console.error(`Error accepting rematch in room ${roomId}:`, error);
+        }
+    }));
+
+    // Handle declining the opponent's rematch offer
+    handle(CLIENT_EVENTS.DECLINE_REMATCH, ({ roomId }) => withRoom(roomId, room => {
+        try {
+            const seat = getSeat(room, roomId);
+            if (!seat || !room.rematchOffer || room.rematchOffer.from === seat.name) {
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, {
+                    success: false,
+                    message: 'Không có lời mời tái đấu nào.',
+                    type: 'warning'
+                });
+                return;
+            }
+
+            room.rematchOffer = null;
+            room.addSystemMessage(`${seat.name} đã từ chối tái đấu`);
+            broadcastToRoom(room, SERVER_EVENTS.REMATCH_DECLINED, {
+                by: seat.name,
+                gameState: room.getGameState()
+            });
+        } catch (error) {
+            console.error(`Error declining rematch in room ${roomId}:`, error);
+        }
+    }));
+});
+
+// =====================================
+// API Endpoints
+// =====================================
+
+function setSessionCookie(req, res, token) {
+    res.cookie(AUTH_CONFIG.sessionCookie, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        maxAge: AUTH_CONFIG.sessionTtl
+    });
+}
+
+function getPublicProfile(user) {
+    return {
+        username: user.username,
+        createdAt: user.createdAt
+    };
+}
+
+// Register a new account
+app.post('/api/auth/register', async (req, res) => {
+    if (!routeLimiters.get('auth').take(getRequestAddress(req))) {
+        return res.status(429).json({
+            success: false,
+            message: 'Quá nhiều lần đăng ký hoặc đăng nhập. Vui lòng chờ một chút.'
+        });
+    }
+    try {
+        const { username, password } = req.body || {};
+        const validation = validateCredentials(username, password);
+        if (!validation.success) {
+            return res.status(400).json({
+                success: false,
+                message: validation.reason
+            });
+        }
+
+        // The name is checked once the password is hashed, under the name's
+        // lock: another registration for it may have finished meanwhile, on
+        // this instance or another one
+        const userId = normalizeUsername(username);
+        const passwordHash = await hashPassword(password);
+        const user = await roomStore.withLock(`user:${userId}`, async () => {
+            if (users.has(userId) || await roomStore.loadRecord('users', userId)) return null;
+            const created = {
+                id: userId,
+                username: username.trim(),
+                passwordHash,
+                createdAt: Date.now()
+            };
+            users.set(userId, created);
+            await persistRecord('users', userId, created);
+            return created;
+        });
+        if (!user) {
+            return res.status(409).json({
+                success: false,
+                message: 'Tên đăng nhập đã tồn tại'
+            });
+        }
+
+        const token = createSession(user);
+        setSessionCookie(req, res, token);
+        res.status(201).json({
+            success: true,
+            user: getPublicProfile(user),
+            token
+        });
+    } catch (error) {
+        console.error('Error registering user:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi đăng ký tài khoản'
+        });
+    }
+});
+
+// Log in with username and password
+app.post('/api/auth/login', async (req, res) => {
+    if (!routeLimiters.get('auth').take(getRequestAddress(req))) {
+        return res.status(429).json({
+            success: false,
+            message: 'Quá nhiều lần đăng ký hoặc đăng nhập. Vui lòng chờ một chút.'
+        });
+    }
+    try {
+        const { username, password } = req.body || {};
+        const user = typeof username === 'string' ? users.get(normalizeUsername(username)) : null;
+        const valid = user && typeof password === 'string' && await verifyPassword(password, user.passwordHash);
+        if (!valid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Sai tên đăng nhập hoặc mật khẩu'
+            });
+        }
+
+        const token = createSession(user);
+        setSessionCookie(req, res, token);
+        res.json({
+            success: true,
+            user: getPublicProfile(user),
+            token
+        });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi đăng nhập'
+        });
+    }
+});
+
+// End the current session
+app.post('/api/auth/logout', (req, res) => {
+    const token = getRequestToken(req);
+    if (token && sessions.delete(hashToken(token))) {
+        removeRecord('sessions', hashToken(token));
+    }
+    res.clearCookie(AUTH_CONFIG.sessionCookie);
+    res.json({ success: true });
+});
+
+// Current account with its stats and rating
+app.get('/api/auth/me', (req, res) => {
+    const user = getSessionUser(getRequestToken(req));
+    if (!user) {
+        return res.status(401).json({
+            success: false,
+            message: 'Chưa đăng nhập'
+        });
+    }
+
+    const leaderInfo = leaderboard.get(user.username);
+    res.json({
+        success: true,
+        user: getPublicProfile(user),
+        stats: gameStats.get(user.username) || null,
+        rating: leaderInfo ? leaderInfo.rating : createRatingEntry(user.username).rating
+    });
+});
+
+// Get active rooms list
+app.get('/api/rooms', async (req, res) => {
+    try {
+        const roomList = await getRoomList();
+        res.json({
+            success: true,
+            rooms: roomList,
+            total: roomList.length
+        });
+    } catch (error) {
+        console.error('Error getting room list:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy danh sách phòng'
+        });
+    }
+});
+
+// Online games in progress that can be watched
+app.get('/api/live-games', async (req, res) => {
+    try {
+        const games = await getLiveGames();
+        res.json({
+            success: true,
+            games,
+            total: games.length
+        });
+    } catch (error) {
+        console.error('Error getting live games:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy danh sách trận đang diễn ra'
+        });
+    }
+});
+
+// Get specific room state (as spectators see it, so a broadcast delay holds).
+// Protected rooms only show themselves to the people inside.
+app.get('/api/room/:roomId', async (req, res) => {
+    try {
+        const room = await loadRoom(req.params.roomId);
+        if (room && room.isProtected()) {
+            res.status(403).json({
+                success: false,
+                message: 'Phòng riêng tư'
+            });
+        } else if (room) {
+            res.json({
+                success: true,
+                room: room.getSpectatorState()
+            });
+        } else {
+            res.status(404).json({
+                success: false,
+                message: 'Phòng không tồn tại'
+            });
+        }
+    } catch (error) {
+        console.error(`Error getting room ${req.params.roomId}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy thông tin phòng'
+        });
+    }
+});
+
+// Get leaderboard data
+app.get('/api/leaderboard', (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 20;
+        const leaderData = getTopRatings(Math.min(limit, 100)); // Max 100 entries
+        
+        res.json({
+            success: true,
+            leaderboard: leaderData,
+            total: leaderboard.size
+        });
+    } catch (error) {
+        console.error('Error getting leaderboard:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy bảng xếp hạng'
+        });
+    }
+});
+
+// Get player stats
+app.get('/api/stats/:playerName', (req, res) => {
+    try {
+        const playerName = decodeURIComponent(req.params.playerName);
+        const stats = gameStats.get(playerName);
+        const leaderInfo = leaderboard.get(playerName);
+        
+        if (stats || leaderInfo) {
+            res.json({
+                success: true,
+                player: {
+                    name: playerName,
+                    stats: stats || {
+                        name: playerName,
+                        totalGames: 0,
+                        wins: 0,
+                        losses: 0,
+                        ties: 0,
+                        pointsScored: 0,
+                        pointsConceded: 0
+                    },
+                    rating: leaderInfo ? {
+                        rating: leaderInfo.rating,
+                        wins: leaderInfo.wins,
+                        losses: leaderInfo.losses,
+                        draws: leaderInfo.draws,
+                        gamesPlayed: leaderInfo.gamesPlayed,
+                        provisional: leaderInfo.provisional
+                    } : {
+                        rating: createRatingEntry(playerName).rating,
+                        wins: 0,
+                        losses: 0,
+                        draws: 0,
+                        gamesPlayed: 0,
+                        provisional: true
+                    },
+                    // Rating-over-time series, oldest first
+                    ratingHistory: leaderInfo ? leaderInfo.history.map(point => ({
+                        timestamp: point.timestamp,
+                        rating: point.rating,
+                        change: point.change,
+                        result: point.result,
+                        opponent: point.opponent,
+                        gameId: point.gameId
+                    })) : []
+                }
+            });
+        } else {
+            res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy thống kê người chơi'
+            });
+        }
+    } catch (error) {
+        console.error(`Error getting stats for ${req.params.playerName}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy thống kê người chơi'
+        });
+    }
+});
+
+// Get archived games, newest first
+app.get('/api/games', (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = parseInt(req.query.offset) || 0;
+        const games = Array.from(gameArchive.values())
+            .sort((a, b) => b.endedAt - a.endedAt);
+
+        res.json({
+            success: true,
+            games: games.slice(offset, offset + limit).map(summarizeGame),
+            total: games.length
+        });
+    } catch (error) {
+        console.error('Error getting game list:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy danh sách ván đấu'
+        });
+    }
+});
+
+// Get full record of an archived game (for replays)
+app.get('/api/games/:id', (req, res) => {
+    try {
+        const record = gameArchive.get(req.params.id);
+        if (record) {
+            res.json({
+                success: true,
+                game: record
+            });
+        } else {
+            res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy ván đấu'
+            });
+        }
+    } catch (error) {
+        console.error(`Error getting game ${req.params.id}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy thông tin ván đấu'
+        });
+    }
+});
+
+// Download an archived game as a move transcript (?format=transcript, e.g.
+// "f5d6c3...") or as GGF text with headers (?format=ggf, the default)
+app.get('/api/games/:id/export', (req, res) => {
+    try {
+        const record = gameArchive.get(req.params.id);
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy ván đấu'
+            });
+        }
+        const format = req.query.format || 'ggf';
+        if (!NOTATION_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Định dạng không hợp lệ (transcript hoặc ggf)'
+            });
+        }
+        res.attachment(`othello-${record.id.slice(0, 8)}.${format === 'ggf' ? 'ggf' : 'txt'}`);
+        res.type('text/plain; charset=utf-8');
+        res.send(exportGame(record, format));
+    } catch (error) {
+        console.error(`Error exporting game ${req.params.id}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi xuất ván đấu'
+        });
+    }
+});
+
+// Import a game from a move transcript or GGF text. Body: { text, boardSize,
+// variant }; the last two only matter for transcripts. The game is archived
+// and can then be replayed, analysed and reviewed by its id.
+app.post('/api/games/import', (req, res) => {
+    if (!routeLimiters.get('import').take(getRequestAddress(req))) {
+        return res.status(429).json({
+            success: false,
+            message: 'Bạn nhập ván đấu quá nhanh. Vui lòng chờ một chút.'
+        });
+    }
+    try {
+        const { text, boardSize = DEFAULT_BOARD_SIZE, variant = DEFAULT_VARIANT } = req.body || {};
+        const result = importGame(text, { boardSize: parseInt(boardSize), variant });
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.reason
+            });
+        }
+
+        const record = archiveImportedGame(result.game);
+        res.status(201).json({
+            success: true,
+            gameId: record.id,
+            game: summarizeGame(record)
+        });
+    } catch (error) {
+        console.error('Error importing game:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi nhập ván đấu'
+        });
+    }
+});
+
+// Get the move-by-move review of an archived game (see lib/review.js). A game
+// not reviewed yet is queued and answered with 202 { pending: true }; ask
+// again a little later.
+app.get('/api/games/:id/review', (req, res) => {
+    try {
+        const record = gameArchive.get(req.params.id);
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy ván đấu'
+            });
+        }
+        if (record.review) {
+            return res.json({
+                success: true,
+                review: record.review
+            });
+        }
+        if (!reviewQueue.includes(record.id) && !routeLimiters.get('review').take(getRequestAddress(req))) {
+            return res.status(429).json({
+                success: false,
+                message: 'Bạn yêu cầu phân tích quá nhanh. Vui lòng chờ một chút.'
+            });
+        }
+        if (!queueReview(record)) {
+            return res.status(503).json({
+                success: false,
+                message: 'Máy chủ đang bận phân tích các ván khác. Vui lòng thử lại sau.'
+            });
+        }
+        res.status(202).json({
+            success: true,
+            pending: true
+        });
+    } catch (error) {
+        console.error(`Error getting review of game ${req.params.id}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy phân tích ván đấu'
+        });
+    }
+});
+
+// Get archived games of a player, newest first
+app.get('/api/players/:name/games', (req, res) => {
+    try {
+        const playerName = decodeURIComponent(req.params.name);
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        // Imported games carry whatever names their file gave: anyone could
+        // add games to someone else's history, so they are left out
+        const games = Array.from(gameArchive.values())
+            .filter(record => !record.imported && record.players.some(p => p.name === playerName))
+            .sort((a, b) => b.endedAt - a.endedAt);
+
+        res.json({
+            success: true,
+            games: games.slice(0, limit).map(summarizeGame),
+            total: games.length
+        });
+    } catch (error) {
+        console.error(`Error getting games for ${req.params.name}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy danh sách ván đấu của người chơi'
+        });
+    }
+});
+
+// Ranked candidate moves and an evaluation for a position (see
+// lib/analysis.js). Body: { board, color, variant } with `color` the side to
+// move, or { gameId, moveNumber } for the position of an archived game after
+// that many moves (the final position when moveNumber is left out).
+app.post('/api/analyze', async (req, res) => {
+    if (!routeLimiters.get('analyze').take(getRequestAddress(req))) {
+        return res.status(429).json({
+            success: false,
+            message: 'Bạn yêu cầu phân tích quá nhanh. Vui lòng chờ một chút.'
+        });
+    }
+    try {
+        const { board, color, variant = DEFAULT_VARIANT, gameId, moveNumber } = req.body || {};
+        let position;
+        if (gameId !== undefined) {
+            const record = typeof gameId === 'string' ? gameArchive.get(gameId) : null;
+            if (!record) {
+                return res.status(404).json({
                     success: false,
-                    message: 'Chỉ chủ phòng mới có thể bắt đầu trò chơi.'
+                    message: 'Không tìm thấy ván đấu'
                 });
-                return;
             }
-
-            if (room.players.filter(p => p.connected).length < 2) {
-                socket.emit('startGameError', {
+            const at = positionAtMove(record, moveNumber === undefined ? record.moves.length : moveNumber);
+            if (!at) {
+                return res.status(400).json({
                     success: false,
-                    message: 'Cần ít nhất 2 người chơi để bắt đầu.'
+                    message: 'Số nước đi không hợp lệ'
                 });
-                return;
             }
-
-            if (room.startGame()) {
-                room.addSystemMessage('Chủ phòng đã bắt đầu trò chơi!');
-                io.to(roomId).emit('gameStarted', {
-                    success: true,
-                    gameState: room.getGameState()
-                });
-                io.emit('updateRoomList', getRoomList());
-            } else {
-                socket.emit('startGameError', {
+            position = { ...at, variant: record.variant || DEFAULT_VARIANT };
+        } else {
+            if (!isValidBoard(board)) {
+                return res.status(400).json({
                     success: false,
-                    message: 'Không thể bắt đầu trò chơi.'
+                    message: 'Bàn cờ không hợp lệ'
                 });
             }
-        } catch (error) {
-            console.error(`Error starting game in room ${roomId}:`, error);
-            socket.emit('startGameError', {
-                success: false,
-                message: 'Đã xảy ra lỗi khi bắt đầu trò chơi.'
-            });
-        }
-    });
-
-    // Handle restart game (for completed games)
-    socket.on('restartGame', ({ roomId }) => {
-        try {
-            const room = rooms.get(roomId);
-            const playerInfo = players.get(socket.id);
-            
-            if (!room || !playerInfo || !playerInfo.isHost) {
-                socket.emit('restartGameError', {
+            if (color !== 1 && color !== 2) {
+                return res.status(400).json({
                     success: false,
-                    message: 'Chỉ chủ phòng mới có thể khởi động lại trò chơi.'
+                    message: 'Lượt đi không hợp lệ (1 = Đen, 2 = Trắng)'
                 });
-                return;
             }
-
-            if (!room.gameOver) {
-                socket.emit('restartGameError', {
+            if (!isValidVariant(variant)) {
+                return res.status(400).json({
                     success: false,
-                    message: 'Trò chơi chưa kết thúc.'
+                    message: 'Biến thể không hợp lệ'
                 });
-                return;
             }
-
-            // Reset game state
-            room.initializeBoard();
-            room.currentPlayer = 1;
-            room.gameStarted = false;
-            room.gameOver = false;
-            room.winner = null;
-            room.moveHistory = [];
-            room.lastActivity = Date.now();
-            
-            room.addSystemMessage('Trò chơi đã được khởi động lại');
-            
-            io.to(roomId).emit('gameRestarted', {
-                success: true,
-                gameState: room.getGameState()
-            });
-            
-            io.emit('updateRoomList', getRoomList());
-        } catch (error) {
-            console.error(`Error restarting game in room ${roomId}:`, error);
-            socket.emit('restartGameError', {
-                success: false,
-                message: 'Đã xảy ra lỗi khi khởi động lại trò chơi.'
-            });
+            position = { board, color, variant };
         }
-    });
+
+        res.json({
+            success: true,
+            analysis: await enginePool.run('analyzePosition', position)
+        });
+    } catch (error) {
+        console.error('Error analyzing position:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi phân tích thế cờ'
+        });
+    }
 });
 
-// =====================================
-// API Endpoints
-// =====================================
+// Moderation log: reported chat messages, reviewed by the accounts listed
+// in ADMIN_USERS. Returns the admin account or answers the request itself.
+function requireAdmin(req, res) {
+    const user = getSessionUser(getRequestToken(req));
+    if (!isAdmin(user)) {
+        res.status(user ? 403 : 401).json({
+            success: false,
+            message: user ? 'Bạn không có quyền truy cập' : 'Chưa đăng nhập'
+        });
+        return null;
+    }
+    return user;
+}
 
-// Get active rooms list
-app.get('/api/rooms', (req, res) => {
+// List reports, newest first (?status=open|resolved|all, default open)
+app.get('/api/admin/reports', (req, res) => {
+    if (!requireAdmin(req, res)) return;
     try {
-        const roomList = getRoomList();
+        const status = req.query.status || 'open';
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const matching = Array.from(reports.values())
+            .filter(report => status === 'all' || report.status === status)
+            .sort((a, b) => b.createdAt - a.createdAt);
+
         res.json({
             success: true,
-            rooms: roomList,
-            total: roomList.length
+            reports: matching.slice(0, limit),
+            total: matching.length
         });
     } catch (error) {
-        console.error('Error getting room list:', error);
+        console.error('Error getting reports:', error);
         res.status(500).json({
             success: false,
-            message: 'Lỗi khi lấy danh sách phòng'
+            message: 'Lỗi khi lấy danh sách báo cáo'
         });
     }
 });
 
-// Get specific room state
-app.get('/api/room/:roomId', (req, res) => {
+// Mark a report as handled
+app.post('/api/admin/reports/:id/resolve', (req, res) => {
+    const admin = requireAdmin(req, res);
+    if (!admin) return;
     try {
-        const room = rooms.get(req.params.roomId);
-        if (room) {
-            res.json({
-                success: true,
-                room: room.getGameState()
+        const report = reports.get(req.params.id);
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy báo cáo'
             });
-        } else {
-            res.status(404).json({
+        }
+
+        report.status = 'resolved';
+        report.resolvedAt = Date.now();
+        report.resolvedBy = admin.username;
+        persistRecord('reports', report.id, report);
+        res.json({
+            success: true,
+            report
+        });
+    } catch (error) {
+        console.error('Error resolving report:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi cập nhật báo cáo'
+        });
+    }
+});
+
+// Logged-in account of the request, or a 401 response
+function requireUser(req, res) {
+    const user = getSessionUser(getRequestToken(req));
+    if (!user) {
+        res.status(401).json({
+            success: false,
+            message: 'Chưa đăng nhập'
+        });
+        return null;
+    }
+    return user;
+}
+
+function findTournament(req, res) {
+    const tournament = tournaments.get(req.params.id);
+    if (!tournament) {
+        res.status(404).json({
+            success: false,
+            message: 'Không tìm thấy giải đấu'
+        });
+        return null;
+    }
+    return tournament;
+}
+
+// List tournaments, newest first (?status=registration|running|finished)
+app.get('/api/tournaments', (req, res) => {
+    const status = req.query.status;
+    const list = Array.from(tournaments.values())
+        .filter(tournament => !status || tournament.status === status)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(summarizeTournament);
+    res.json({
+        success: true,
+        tournaments: list
+    });
+});
+
+// Create a tournament. Body: { name, format: 'round-robin' | 'swiss',
+// rounds (Swiss only), boardSize, variant, timeControl }
+app.post('/api/tournaments', (req, res) => {
+    const user = requireUser(req, res);
+    if (!user) return;
+    try {
+        const { name, format, rounds, boardSize, variant, timeControl, spectatorDelay } = req.body || {};
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > TOURNAMENT_CONFIG.maxNameLength) {
+            return res.status(400).json({
                 success: false,
-                message: 'Phòng không tồn tại'
+                message: 'Tên giải đấu không hợp lệ'
+            });
+        }
+        if (!TOURNAMENT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Thể thức phải là round-robin hoặc swiss'
+            });
+        }
+        if (rounds !== undefined && rounds !== null &&
+            (!Number.isInteger(rounds) || rounds < 1 || rounds > TOURNAMENT_CONFIG.maxRounds)) {
+            return res.status(400).json({
+                success: false,
+                message: `Số vòng phải từ 1 đến ${TOURNAMENT_CONFIG.maxRounds}`
+            });
+        }
+        const settings = {
+            boardSize: boardSize || DEFAULT_BOARD_SIZE,
+            variant: variant || DEFAULT_VARIANT,
+            timeControl: timeControl || null,
+            // Spectators of tournament games lag behind so nobody can relay
+            // the engine's advice to a player in time
+            spectatorDelay: spectatorDelay ?? TOURNAMENT_SPECTATOR_DELAY
+        };
+        if (!checkGameSettings(settings)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cấu hình ván đấu không hợp lệ'
             });
         }
+
+        const tournament = createTournament({
+            name: name.trim(),
+            format,
+            rounds: format === 'swiss' ? rounds || null : null,
+            settings,
+            createdBy: user.username
+        });
+        tournaments.set(tournament.id, tournament);
+        persistRecord('tournaments', tournament.id, tournament);
+        res.status(201).json({
+            success: true,
+            tournament
+        });
     } catch (error) {
-        console.error(`Error getting room ${req.params.roomId}:`, error);
+        console.error('Error creating tournament:', error);
         res.status(500).json({
             success: false,
-            message: 'Lỗi khi lấy thông tin phòng'
+            message: 'Lỗi khi tạo giải đấu'
         });
     }
 });
 
-// Get leaderboard data
-app.get('/api/leaderboard', (req, res) => {
+// Full tournament: players and every round's pairings with their rooms
+app.get('/api/tournaments/:id', (req, res) => {
+    const tournament = findTournament(req, res);
+    if (!tournament) return;
+    res.json({
+        success: true,
+        tournament
+    });
+});
+
+app.get('/api/tournaments/:id/standings', (req, res) => {
+    const tournament = findTournament(req, res);
+    if (!tournament) return;
+    res.json({
+        success: true,
+        status: tournament.status,
+        round: tournament.rounds.length,
+        totalRounds: tournament.totalRounds,
+        standings: computeStandings(tournament)
+    });
+});
+
+// Register / unregister the logged-in account while registration is open
+app.post('/api/tournaments/:id/register', async (req, res) => {
+    const user = requireUser(req, res);
+    if (!user) return;
+    const tournament = findTournament(req, res);
+    if (!tournament) return;
+
     try {
-        const limit = parseInt(req.query.limit) || 20;
-        const leaderData = Array.from(leaderboard.values())
-            .sort((a, b) => b.rating - a.rating)
-            .slice(0, Math.min(limit, 100)); // Max 100 entries
-        
+        const result = await updateTournament(tournament.id, current => registerPlayer(current, {
+            name: user.username,
+            account: user.id,
+            rating: getQueueRating(user.username)
+        }));
+        if (!result.success) {
+            return res.status(409).json({
+                success: false,
+                message: result.reason
+            });
+        }
         res.json({
             success: true,
-            leaderboard: leaderData,
-            total: leaderboard.size
+            tournament: summarizeTournament(tournaments.get(tournament.id))
         });
     } catch (error) {
-        console.error('Error getting leaderboard:', error);
+        console.error('Error registering for tournament:', error);
         res.status(500).json({
             success: false,
-            message: 'Lỗi khi lấy bảng xếp hạng'
+            message: 'Lỗi khi đăng ký giải đấu'
         });
     }
 });
 
-// Get player stats
-app.get('/api/stats/:playerName', (req, res) => {
+app.delete('/api/tournaments/:id/register', async (req, res) => {
+    const user = requireUser(req, res);
+    if (!user) return;
+    const tournament = findTournament(req, res);
+    if (!tournament) return;
+
     try {
-        const playerName = decodeURIComponent(req.params.playerName);
-        const stats = gameStats.get(playerName);
-        const leaderInfo = leaderboard.get(playerName);
-        
-        if (stats || leaderInfo) {
-            res.json({
-                success: true,
-                player: {
-                    name: playerName,
-                    stats: stats || {
-                        name: playerName,
-                        totalGames: 0,
-                        wins: 0,
-                        losses: 0,
-                        ties: 0,
-                        pointsScored: 0,
-                        pointsConceded: 0
-                    },
-                    rating: leaderInfo ? {
-                        rating: leaderInfo.rating,
-                        wins: leaderInfo.wins,
-                        losses: leaderInfo.losses
-                    } : {
-                        rating: 1000,
-                        wins: 0,
-                        losses: 0
-                    }
-                }
+        const result = await updateTournament(tournament.id, current => unregisterPlayer(current, user.id));
+        if (!result.success) {
+            return res.status(409).json({
+                success: false,
+                message: result.reason
             });
-        } else {
-            res.status(404).json({
+        }
+        res.json({
+            success: true,
+            tournament: summarizeTournament(tournaments.get(tournament.id))
+        });
+    } catch (error) {
+        console.error('Error unregistering from tournament:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi hủy đăng ký giải đấu'
+        });
+    }
+});
+
+// Close registration and open the rooms of round 1 (organizer or admin)
+app.post('/api/tournaments/:id/start', async (req, res) => {
+    const user = requireUser(req, res);
+    if (!user) return;
+    const tournament = findTournament(req, res);
+    if (!tournament) return;
+    if (tournament.createdBy !== user.username && !isAdmin(user)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Chỉ người tạo giải mới có thể bắt đầu'
+        });
+    }
+
+    try {
+        const result = await updateTournament(tournament.id, async current => {
+            const started = startTournament(current);
+            if (started.success) {
+                await createTournamentRooms(current, started.round);
+            }
+            return started;
+        });
+        if (!result.success) {
+            return res.status(409).json({
                 success: false,
-                message: 'Không tìm thấy thống kê người chơi'
+                message: result.reason
             });
         }
+        res.json({
+            success: true,
+            tournament: tournaments.get(tournament.id)
+        });
     } catch (error) {
-        console.error(`Error getting stats for ${req.params.playerName}:`, error);
+        console.error('Error starting tournament:', error);
         res.status(500).json({
             success: false,
-            message: 'Lỗi khi lấy thống kê người chơi'
+            message: 'Lỗi khi bắt đầu giải đấu'
         });
     }
 });
 
 // Get server statistics
-app.get('/api/server-stats', (req, res) => {
+app.get('/api/server-stats', async (req, res) => {
     try {
-        const activeRooms = Array.from(rooms.values());
+        const activeRooms = await loadAllRooms();
         const onlineRooms = activeRooms.filter(r => r.gameMode === 'online');
         const activeGames = onlineRooms.filter(r => r.gameStarted && !r.gameOver);
         const totalPlayers = onlineRooms.reduce((sum, room) => 
@@ -1168,7 +4590,9 @@ app.get('/api/server-stats', (req, res) => {
                 totalPlayers: totalPlayers,
                 registeredPlayers: leaderboard.size,
                 totalGamesPlayed: Array.from(gameStats.values())
-                    .reduce((sum, stats) => sum + stats.totalGames, 0)
+                    .reduce((sum, stats) => sum + stats.totalGames, 0),
+                // Matchmaking across all instances; averageWait in ms
+                matchmaking: getQueueStats()
             }
         });
     } catch (error) {
@@ -1195,70 +4619,182 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Handle room direct links
+// Handle room direct links. Invite links (?invite=...) are checked here so a
+// forged or expired one never reaches the join screen; whether it is still
+// unused is only known when it is redeemed in joinRoom / spectateRoom.
 app.get('/room/:roomId', (req, res) => {
+    const { roomId } = req.params;
+    const { invite } = req.query;
+    if (!/^[A-Za-z0-9]+$/.test(roomId)) {
+        return res.redirect('/');
+    }
+    if (invite !== undefined && !inviteSigner.verify(roomId, invite)) {
+        return res.redirect(`/?room=${roomId}&inviteError=1`);
+    }
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
 // Clean up inactive rooms and disconnected players
-setInterval(() => {
+setInterval(async () => {
     const now = Date.now();
     const INACTIVE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
     const DISCONNECT_TIMEOUT = 5 * 60 * 1000; // 5 minutes for disconnected players
     let cleanedRooms = 0;
 
-    for (const [roomId, room] of rooms.entries()) {
-        let shouldRemoveRoom = false;
+    const snapshots = await roomStore.list().catch(error => {
+        console.error('Error listing rooms for cleanup:', error);
+        return [];
+    });
+    for (const { id: roomId } of snapshots) {
+        await withRoom(roomId, room => {
+            if (!room) return;
+            let shouldRemoveRoom = false;
+
+            // Rejoin tokens of players gone longer than the timeout expire
+            room.players.forEach(player => {
+                if (!player.connected && player.disconnectedAt && (now - player.disconnectedAt) > DISCONNECT_TIMEOUT) {
+                    player.rejoinTokenHash = null;
+                }
+            });
+
+            // Remove disconnected players after timeout
+            // Players still inside their grace period keep their seat, and
+            // so do players of tournament games that are not decided yet
+            room.players = room.players.filter(player => {
+                if (!player.connected && (now - room.lastActivity) > DISCONNECT_TIMEOUT &&
+                    !(player.abandonDeadline > now) && !room.isPendingTournamentGame()) {
+                    console.log(`Removing disconnected player ${player.name} from room ${roomId}`);
+                    return false;
+                }
+                return true;
+            });
 
-        // Remove disconnected players after timeout
-        room.players = room.players.filter(player => {
-            if (!player.connected && (now - room.lastActivity) > DISCONNECT_TIMEOUT) {
-                console.log(`Removing disconnected player ${player.name} from room ${roomId}`);
-                return false;
+            // Check if room should be removed
+            if (now - room.lastActivity > INACTIVE_TIMEOUT && !room.isPendingTournamentGame()) {
+                if (!room.hasConnectedHumans() && room.spectators.length === 0) {
+                    shouldRemoveRoom = true;
+                }
             }
-            return true;
-        });
 
-        // Check if room should be removed
-        if (now - room.lastActivity > INACTIVE_TIMEOUT) {
-            if (room.players.every(p => !p.connected) && room.spectators.length === 0) {
+            // Also remove empty rooms that have been inactive for shorter time
+            if (room.players.every(p => p.isAI) && room.spectators.length === 0) {
                 shouldRemoveRoom = true;
             }
-        }
-
-        // Also remove empty rooms that have been inactive for shorter time
-        if (room.players.length === 0 && room.spectators.length === 0) {
-            shouldRemoveRoom = true;
-        }
 
-        if (shouldRemoveRoom) {
-            rooms.delete(roomId);
-            cleanedRooms++;
-            console.log(`Cleaned up inactive room: ${roomId}`);
-        }
+            if (shouldRemoveRoom) {
+                room.removed = true;
+                cleanedRooms++;
+                console.log(`Cleaned up inactive room: ${roomId}`);
+            }
+        });
     }
 
     // Clean up orphaned players
     for (const [socketId, playerInfo] of players.entries()) {
-        if (!rooms.has(playerInfo.roomId)) {
+        if (!(await roomStore.load(playerInfo.roomId).catch(() => true))) {
             players.delete(socketId);
         }
     }
 
+    pruneRateLimits();
+
+    // Drop expired sessions
+    for (const [tokenHash, session] of sessions.entries()) {
+        if (session.expiresAt <= now) {
+            sessions.delete(tokenHash);
+            removeRecord('sessions', tokenHash);
+        }
+    }
+
     if (cleanedRooms > 0) {
-        io.emit('updateRoomList', getRoomList());
+        broadcastRoomList();
         console.log(`Cleanup completed. Removed ${cleanedRooms} inactive rooms.`);
     }
 }, 5 * 60 * 1000); // Run every 5 minutes
 
+// Forfeit tournament pairings nobody (or only one player) turned up for
+setInterval(() => {
+    checkTournamentNoShows();
+}, TOURNAMENT_NO_SHOW_CHECK_INTERVAL);
+
+// Engine moves and abandon forfeits are timers of the instance that set
+// them. With a shared room store that instance may have stopped, so every
+// instance picks up the games whose timer is overdue. A timer firing on two
+// instances is harmless: both check the room again under its lock.
+const TIMER_RECOVERY_INTERVAL = 15 * 1000;
+const TIMER_OVERDUE_AFTER = 15 * 1000; // Well past the slowest engine move
+setInterval(async () => {
+    if (!roomStore.shared) return;
+    const now = Date.now();
+    const rooms = await loadAllRooms().catch(error => {
+        console.error('Error listing rooms for timer recovery:', error);
+        return [];
+    });
+    rooms.forEach(room => {
+        if (!room.gameStarted || room.gameOver) return;
+        if (now - room.lastActivity > TIMER_OVERDUE_AFTER) {
+            scheduleAIMove(room);
+        }
+        room.players.forEach(player => {
+            if (!player.connected && player.abandonDeadline && now - player.abandonDeadline > TIMER_OVERDUE_AFTER &&
+                !abandonTimers.has(`${room.id}:${player.color}`)) {
+                scheduleAbandonTimer(room, player);
+            }
+        });
+    });
+}, TIMER_RECOVERY_INTERVAL);
+
+// Clock sync and flag fall detection. Each instance looks after the rooms
+// its own sockets are in and only syncs those sockets.
+setInterval(async () => {
+    const localRoomIds = new Set(Array.from(players.values(), info => info.roomId));
+    for (const roomId of localRoomIds) {
+        try {
+            const room = await loadRoom(roomId);
+            if (!room || !room.clocks || !room.gameStarted || room.gameOver) continue;
+
+            if (room.getRemainingTime(room.currentPlayer) > 0) {
+                broadcastToRoom(room, SERVER_EVENTS.CLOCK_SYNC, { roomId, clocks: room.getClockState() }, { local: true });
+                continue;
+            }
+
+            // Check again under the lock: another instance may have ended it
+            await withRoom(roomId, current => {
+                if (!current || !current.clocks || !current.gameStarted || current.gameOver) return;
+                const flagged = current.currentPlayer;
+                if (current.getRemainingTime(flagged) > 0) return;
+
+                const winner = flagged === 1 ? 2 : 1;
+                const loserName = current.players.find(p => p.color === flagged)?.name || 'Người chơi';
+                console.log(`Flag fell for ${loserName} in room ${roomId}`);
+                finishGame(current, winner, 'timeout', `${loserName} đã hết thời gian`);
+                broadcastRoomList();
+            });
+        } catch (error) {
+            console.error(`Error checking clocks in room ${roomId}:`, error);
+        }
+    }
+}, CLOCK_SYNC_INTERVAL);
+
+// Matchmaking: widen search windows and pair waiting players
+setInterval(() => {
+    if (matchQueue.size === 0) return;
+    pairQueuedPlayers().catch(error => console.error('Error pairing queued players:', error));
+}, MATCHMAKING_CONFIG.pairInterval);
+
+// Periodic room snapshots so a crash loses at most one interval of play
+setInterval(snapshotRooms, ROOM_SNAPSHOT_INTERVAL);
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully...');
     
-    // Save data before shutdown
+    // Snapshot live rooms and flush pending writes before shutdown
     try {
-        await saveLeaderboard();
-        await saveStats();
+        await snapshotRooms();
+        await storage.close();
+        await roomStore.close();
+        await enginePool.close();
         console.log('Data saved successfully.');
     } catch (error) {
         console.error('Error saving data during shutdown:', error);
@@ -1275,8 +4811,10 @@ process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully...');
     
     try {
-        await saveLeaderboard();
-        await saveStats();
+        await snapshotRooms();
+        await storage.close();
+        await roomStore.close();
+        await enginePool.close();
         console.log('Data saved successfully.');
     } catch (error) {
         console.error('Error saving data during shutdown:', error);
@@ -1292,8 +4830,17 @@ process.on('SIGINT', async () => {
 // Server Start
 // =====================================
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`🚀 Othello Server running on port ${PORT}`);
-    console.log(`📊 Server started at ${new Date().toISOString()}`);
-    initializeDataDirectory();
-});
+// Restore data (and rooms from the last snapshot) before accepting
+// connections so returning players find their rooms
+initializeCluster()
+    .then(initializeDataDirectory)
+    .then(() => {
+        server.listen(PORT, () => {
+            console.log(`🚀 Othello Server running on port ${server.address().port}`);
+            console.log(`📊 Server started at ${new Date().toISOString()}`);
+        });
+    })
+    .catch(error => {
+        console.error('Failed to start server:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,261 @@
+// ==================================
+// BITBOARD.JS - Move generation, flips and counting on bitboards
+// ==================================
+// The move engine behind shared/rules.js. Loaded with require() on the server
+// and served to the browser as /shared/bitboard.js (exposed there as
+// window.OthelloBitboard). Boards come in as rows of cells, as GameRoom and
+// the client keep them.
+//
+// A bitboard is a Uint32Array with square (r, c) at bit r * size + c: two
+// words for the standard 8x8 board, more for the larger variants (up to
+// 16x16), all on the same code path. A position has one bitboard per side
+// plus one for the empty squares. Holes are in none of them, so no line of
+// discs can run through a hole.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OthelloBitboard = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Per board size: masks, the eight one-square shifts and scratch space
+    const geometryCache = new Map();
+
+    function maskOf(words, size, includes) {
+        const mask = new Uint32Array(words);
+        for (let i = 0; i < size * size; i++) {
+            if (includes(i % size)) mask[i >>> 5] |= 1 << (i & 31);
+        }
+        return mask;
+    }
+
+    function getGeometry(size) {
+        let geometry = geometryCache.get(size);
+        if (geometry) return geometry;
+
+        const words = Math.ceil(size * size / 32);
+        const full = maskOf(words, size, () => true);
+        // Shifting sideways wraps discs onto the neighbouring row; these masks
+        // drop whatever landed in the column it wrapped into
+        const notFirstColumn = maskOf(words, size, column => column !== 0);
+        const notLastColumn = maskOf(words, size, column => column !== size - 1);
+
+        geometry = {
+            size,
+            words,
+            directions: [
+                { bits: size, left: false, mask: full }, // north
+                { bits: size, left: true, mask: full }, // south
+                { bits: 1, left: true, mask: notFirstColumn }, // east
+                { bits: 1, left: false, mask: notLastColumn }, // west
+                { bits: size - 1, left: false, mask: notFirstColumn }, // north-east
+                { bits: size + 1, left: false, mask: notLastColumn }, // north-west
+                { bits: size + 1, left: true, mask: notFirstColumn }, // south-east
+                { bits: size - 1, left: true, mask: notLastColumn } // south-west
+            ],
+            frontier: new Uint32Array(words),
+            line: new Uint32Array(words)
+        };
+        geometryCache.set(size, geometry);
+        return geometry;
+    }
+
+    // out = one step of `src` in `direction`. Works in place (out === src).
+    function shiftInto(out, src, { bits, left, mask }, words) {
+        if (left) {
+            for (let w = words - 1; w > 0; w--) {
+                out[w] = ((src[w] << bits) | (src[w - 1] >>> (32 - bits))) & mask[w];
+            }
+            out[0] = (src[0] << bits) & mask[0];
+        } else {
+            for (let w = 0; w < words - 1; w++) {
+                out[w] = ((src[w] >>> bits) | (src[w + 1] << (32 - bits))) & mask[w];
+            }
+            out[words - 1] = (src[words - 1] >>> bits) & mask[words - 1];
+        }
+    }
+
+    // Rows of cells -> { size, black, white, empty }
+    function fromBoard(board) {
+        const size = board.length;
+        const { words } = getGeometry(size);
+        const black = new Uint32Array(words);
+        const white = new Uint32Array(words);
+        const empty = new Uint32Array(words);
+        let i = 0;
+        for (let r = 0; r < size; r++) {
+            const row = board[r];
+            for (let c = 0; c < size; c++, i++) {
+                const cell = row[c];
+                const bit = 1 << (i & 31);
+                if (cell === 0) empty[i >>> 5] |= bit;
+                else if (cell === 1) black[i >>> 5] |= bit;
+                else if (cell === 2) white[i >>> 5] |= bit;
+            }
+        }
+        return { size, black, white, empty };
+    }
+
+    // Every empty square where `color` captures at least one line
+    function moveMask(position, color) {
+        const { words, directions, frontier, line } = getGeometry(position.size);
+        const own = color === 1 ? position.black : position.white;
+        const opponent = color === 1 ? position.white : position.black;
+        const moves = new Uint32Array(words);
+
+        for (const direction of directions) {
+            // Opponent discs reachable from one of ours in this direction...
+            shiftInto(frontier, own, direction, words);
+            let growing = 0;
+            for (let w = 0; w < words; w++) {
+                frontier[w] &= opponent[w];
+                line[w] = frontier[w];
+                growing |= frontier[w];
+            }
+            while (growing) {
+                shiftInto(frontier, frontier, direction, words);
+                growing = 0;
+                for (let w = 0; w < words; w++) {
+                    frontier[w] &= opponent[w];
+                    line[w] |= frontier[w];
+                    growing |= frontier[w];
+                }
+            }
+            // ...and the empty square just past them
+            shiftInto(line, line, direction, words);
+            for (let w = 0; w < words; w++) {
+                moves[w] |= line[w] & position.empty[w];
+            }
+        }
+        return moves;
+    }
+
+    // The discs `color` flips by playing on square `index` (r * size + c)
+    function flipMask(position, color, index) {
+        const { words, directions, frontier, line } = getGeometry(position.size);
+        const own = color === 1 ? position.black : position.white;
+        const opponent = color === 1 ? position.white : position.black;
+        const flips = new Uint32Array(words);
+
+        for (const direction of directions) {
+            frontier.fill(0);
+            frontier[index >>> 5] = 1 << (index & 31);
+            line.fill(0);
+            // Walk over opponent discs; the line counts if one of ours ends it
+            for (;;) {
+                shiftInto(frontier, frontier, direction, words);
+                let onOpponent = 0;
+                let onOwn = 0;
+                for (let w = 0; w < words; w++) {
+                    onOpponent |= frontier[w] & opponent[w];
+                    onOwn |= frontier[w] & own[w];
+                }
+                if (onOwn) {
+                    for (let w = 0; w < words; w++) flips[w] |= line[w];
+                    break;
+                }
+                if (!onOpponent) break;
+                for (let w = 0; w < words; w++) line[w] |= frontier[w];
+            }
+        }
+        return flips;
+    }
+
+    // Play `color` on square `index`, flipping `flips` (from flipMask), in
+    // place. Every change is an XOR, so applying the same move again takes it
+    // back; the engine searches this way without copying boards.
+    function toggleMove(position, color, index, flips) {
+        const own = color === 1 ? position.black : position.white;
+        const opponent = color === 1 ? position.white : position.black;
+        const bit = 1 << (index & 31);
+        own[index >>> 5] ^= bit;
+        position.empty[index >>> 5] ^= bit;
+        for (let w = 0; w < flips.length; w++) {
+            own[w] ^= flips[w];
+            opponent[w] ^= flips[w];
+        }
+    }
+
+    function popcount(bitboard) {
+        let count = 0;
+        for (let w = 0; w < bitboard.length; w++) {
+            let x = bitboard[w];
+            x -= (x >>> 1) & 0x55555555;
+            x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+            count += (((x + (x >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+        }
+        return count;
+    }
+
+    function isEmpty(bitboard) {
+        for (let w = 0; w < bitboard.length; w++) {
+            if (bitboard[w]) return false;
+        }
+        return true;
+    }
+
+    // Set bits -> square indices (r * size + c), ascending
+    function toIndices(bitboard) {
+        const indices = [];
+        for (let w = 0; w < bitboard.length; w++) {
+            let word = bitboard[w];
+            while (word) {
+                const lowest = word & -word;
+                indices.push(w * 32 + 31 - Math.clz32(lowest));
+                word ^= lowest;
+            }
+        }
+        return indices;
+    }
+
+    // Set bits -> [{ r, c }] in row-major order
+    function toSquares(bitboard, size) {
+        return toIndices(bitboard).map(index => ({ r: Math.floor(index / size), c: index % size }));
+    }
+
+    // Entry points on rows of cells, as GameRoom stores them
+
+    function getValidMoves(board, color) {
+        const position = fromBoard(board);
+        return toSquares(moveMask(position, color), position.size);
+    }
+
+    function isValidMove(board, r, c, color) {
+        const size = board.length;
+        if (r < 0 || r >= size || c < 0 || c >= size || board[r][c] !== 0) return false;
+        return !isEmpty(flipMask(fromBoard(board), color, r * size + c));
+    }
+
+    // Place a disc for `color` and flip what it captures, in place. Returns the
+    // flipped squares.
+    function playMove(board, r, c, color) {
+        const position = fromBoard(board);
+        const flipped = toSquares(flipMask(position, color, r * position.size + c), position.size);
+        board[r][c] = color;
+        flipped.forEach(square => {
+            board[square.r][square.c] = color;
+        });
+        return flipped;
+    }
+
+    function countDiscs(board) {
+        const position = fromBoard(board);
+        return { 1: popcount(position.black), 2: popcount(position.white) };
+    }
+
+    return {
+        countDiscs,
+        flipMask,
+        fromBoard,
+        getGeometry,
+        getValidMoves,
+        isEmpty,
+        isValidMove,
+        moveMask,
+        playMove,
+        popcount,
+        toIndices,
+        toSquares,
+        toggleMove
+    };
+});
@@ -0,0 +1,300 @@
+// ==================================
+// PROTOCOL.JS - Socket.IO message schema shared by client and server
+// ==================================
+// Loaded with require() by server.js and served to the browser as
+// /shared/protocol.js (exposed there as window.OthelloProtocol). Bump
+// PROTOCOL_VERSION whenever an event name or payload shape changes: the
+// server refuses connections from clients built for another version.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OthelloProtocol = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const PROTOCOL_VERSION = 10;
+
+    // Client -> server
+    const CLIENT_EVENTS = {
+        CREATE_ROOM: 'createRoom',
+        JOIN_ROOM: 'joinRoom',
+        SPECTATE_ROOM: 'spectateRoom',
+        RECONNECT_ATTEMPT: 'reconnectAttempt',
+        LEAVE_ROOM: 'leaveRoom',
+        JOIN_QUEUE: 'joinQueue',
+        LEAVE_QUEUE: 'leaveQueue',
+        MAKE_MOVE: 'makeMove',
+        RESIGN: 'resign',
+        OFFER_DRAW: 'offerDraw',
+        RESPOND_DRAW: 'respondDraw',
+        REQUEST_UNDO: 'requestUndo',
+        RESPOND_UNDO: 'respondUndo',
+        ADD_AI_PLAYER: 'addAIPlayer',
+        START_GAME: 'startGame',
+        RESTART_GAME: 'restartGame',
+        REQUEST_REMATCH: 'requestRematch',
+        ACCEPT_REMATCH: 'acceptRematch',
+        DECLINE_REMATCH: 'declineRematch',
+        CHAT_MESSAGE: 'chatMessage',
+        REPORT_MESSAGE: 'reportMessage',
+        MUTE_SPECTATOR: 'muteSpectator',
+        SET_SPECTATOR_CHAT: 'setSpectatorChat',
+        CREATE_INVITE: 'createInvite',
+        KICK_PARTICIPANT: 'kickParticipant',
+        GET_ROOM_LIST: 'getRoomList',
+        GET_ROOM_INFO: 'getRoomInfo',
+        GET_LIVE_GAMES: 'getLiveGames',
+        REQUEST_ANALYSIS: 'requestAnalysis',
+        REQUEST_HINT: 'requestHint',
+        REQUEST_REVIEW: 'requestReview',
+        GET_STATS: 'getStats'
+    };
+
+    // Server -> client
+    const SERVER_EVENTS = {
+        PROTOCOL_ERROR: 'protocolError',
+        ROOM_CREATED: 'roomCreated',
+        ROOM_JOINED: 'roomJoined',
+        ROOM_ERROR: 'roomError',
+        ROOM_INFO: 'roomInfo',
+        RECONNECT_RESULT: 'reconnectResult',
+        PLAYER_JOINED: 'playerJoined',
+        PLAYER_LEFT: 'playerLeft',
+        PLAYER_DISCONNECTED: 'playerDisconnected',
+        PLAYER_RECONNECTED: 'playerReconnected',
+        SPECTATOR_JOINED: 'spectatorJoined',
+        QUEUE_UPDATE: 'queueUpdate',
+        MATCH_FOUND: 'matchFound',
+        TOURNAMENT_PAIRING: 'tournamentPairing',
+        GAME_STARTED: 'gameStarted',
+        START_GAME_ERROR: 'startGameError',
+        GAME_RESTARTED: 'gameRestarted',
+        RESTART_GAME_ERROR: 'restartGameError',
+        REMATCH_OFFERED: 'rematchOffered',
+        REMATCH_DECLINED: 'rematchDeclined',
+        REMATCH_CANCELLED: 'rematchCancelled',
+        BOARD_UPDATE: 'boardUpdate',
+        TURN_UPDATE: 'turnUpdate',
+        MOVE_ERROR: 'moveError',
+        DRAW_OFFERED: 'drawOffered',
+        DRAW_DECLINED: 'drawDeclined',
+        UNDO_REQUESTED: 'undoRequested',
+        UNDO_DECLINED: 'undoDeclined',
+        MOVE_UNDONE: 'moveUndone',
+        GAME_ENDED: 'gameEnded',
+        CLOCK_SYNC: 'clockSync',
+        NEW_CHAT_MESSAGE: 'newChatMessage',
+        MODERATION_UPDATE: 'moderationUpdate',
+        REPORT_RESULT: 'reportResult',
+        INVITE_CREATED: 'inviteCreated',
+        KICKED: 'kicked',
+        UPDATE_ROOM_LIST: 'updateRoomList',
+        LIVE_GAMES: 'liveGames',
+        ANALYSIS_UPDATE: 'analysisUpdate',
+        HINT_RESULT: 'hintResult',
+        GAME_REVIEW: 'gameReview',
+        UPDATE_STATS: 'updateStats'
+    };
+
+    // `code` of protocolError payloads and of handshake connect_errors
+    const ERROR_CODES = {
+        PROTOCOL_MISMATCH: 'PROTOCOL_MISMATCH',
+        INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+        RATE_LIMITED: 'RATE_LIMITED',
+        TOO_MANY_CONNECTIONS: 'TOO_MANY_CONNECTIONS'
+    };
+
+    // Field specs: type is 'string' | 'integer' | 'boolean' | 'object', or a
+    // list of those. Optional fields may be missing or null. Strings with
+    // `trim` are trimmed before the length and pattern checks. Fields that
+    // are not declared are dropped from the validated payload.
+    const roomId = { type: 'string', trim: true, maxLength: 16, pattern: /^[A-Za-z0-9]+$/ };
+    // Letters (with Vietnamese diacritics), digits, spaces and _ . -
+    const playerName = { type: 'string', trim: true, maxLength: 20, pattern: /^[\p{L}\p{M}\p{N} _.-]+$/u };
+    const roomName = { type: 'string', trim: true, maxLength: 40, pattern: /^[\p{L}\p{M}\p{N} _.,!?#()-]*$/u };
+    // Any printable text on one line; emoji are fine, control characters are not
+    const chatText = { type: 'string', trim: true, maxLength: 200, pattern: /^[^\p{Cc}]+$/u };
+    // A single emoji (possibly a ZWJ sequence), no text
+    const pieceShape = { type: 'string', maxLength: 8, pattern: /^[^\p{L}\p{N}\p{Cc}\s]+$/u };
+    const token = { type: 'string', maxLength: 128, pattern: /^[A-Za-z0-9_-]+$/ };
+    // Room password: any single line of text
+    const roomPassword = { type: 'string', maxLength: 64, pattern: /^[^\p{Cc}]+$/u };
+    // Signed invite from a /room/:roomId?invite=... link
+    const invite = { type: 'string', maxLength: 200, pattern: /^[A-Za-z0-9_.-]+$/ };
+    const optional = spec => Object.assign({}, spec, { optional: true });
+
+    const PAYLOAD_SCHEMAS = {
+        [CLIENT_EVENTS.CREATE_ROOM]: {
+            playerName: optional(playerName),
+            roomName: optional(roomName),
+            playerPieceShape: optional(pieceShape),
+            aiLevel: optional({ type: 'string', maxLength: 16 }),
+            timeControl: optional({ type: ['string', 'object'], maxLength: 16 }),
+            boardSize: optional({ type: 'integer', min: 4, max: 16 }),
+            variant: optional({ type: 'string', maxLength: 20 }),
+            // Milliseconds; the server enforces the upper limit
+            spectatorDelay: optional({ type: 'integer', min: 0 }),
+            visibility: optional({ type: 'string', maxLength: 16 }),
+            password: optional(roomPassword)
+        },
+        [CLIENT_EVENTS.JOIN_ROOM]: {
+            roomId,
+            playerName: optional(playerName),
+            playerPieceShape: optional(pieceShape),
+            rejoinToken: optional(token),
+            password: optional(roomPassword),
+            invite: optional(invite)
+        },
+        [CLIENT_EVENTS.SPECTATE_ROOM]: {
+            roomId,
+            playerName: optional(playerName),
+            password: optional(roomPassword),
+            invite: optional(invite)
+        },
+        [CLIENT_EVENTS.RECONNECT_ATTEMPT]: {
+            roomId,
+            rejoinToken: token
+        },
+        [CLIENT_EVENTS.LEAVE_ROOM]: {
+            roomId: optional(roomId)
+        },
+        [CLIENT_EVENTS.JOIN_QUEUE]: {
+            playerName: optional(playerName),
+            playerPieceShape: optional(pieceShape)
+        },
+        [CLIENT_EVENTS.LEAVE_QUEUE]: {},
+        [CLIENT_EVENTS.MAKE_MOVE]: {
+            roomId,
+            r: { type: 'integer', min: 0, max: 15 },
+            c: { type: 'integer', min: 0, max: 15 }
+        },
+        [CLIENT_EVENTS.RESIGN]: { roomId },
+        [CLIENT_EVENTS.OFFER_DRAW]: { roomId },
+        [CLIENT_EVENTS.RESPOND_DRAW]: {
+            roomId,
+            accept: { type: 'boolean' }
+        },
+        [CLIENT_EVENTS.REQUEST_UNDO]: { roomId },
+        [CLIENT_EVENTS.RESPOND_UNDO]: {
+            roomId,
+            accept: { type: 'boolean' }
+        },
+        [CLIENT_EVENTS.ADD_AI_PLAYER]: {
+            roomId,
+            level: { type: 'string', maxLength: 16 }
+        },
+        [CLIENT_EVENTS.START_GAME]: { roomId },
+        [CLIENT_EVENTS.RESTART_GAME]: { roomId },
+        [CLIENT_EVENTS.REQUEST_REMATCH]: { roomId },
+        [CLIENT_EVENTS.ACCEPT_REMATCH]: { roomId },
+        [CLIENT_EVENTS.DECLINE_REMATCH]: { roomId },
+        [CLIENT_EVENTS.CHAT_MESSAGE]: {
+            roomId,
+            message: chatText
+        },
+        [CLIENT_EVENTS.REPORT_MESSAGE]: {
+            roomId,
+            messageId: { type: 'string', maxLength: 64 },
+            reason: optional({ type: 'string', trim: true, maxLength: 200, pattern: /^[^\p{Cc}]*$/u })
+        },
+        [CLIENT_EVENTS.MUTE_SPECTATOR]: {
+            roomId,
+            spectatorName: playerName,
+            muted: { type: 'boolean' }
+        },
+        [CLIENT_EVENTS.SET_SPECTATOR_CHAT]: {
+            roomId,
+            enabled: { type: 'boolean' }
+        },
+        [CLIENT_EVENTS.CREATE_INVITE]: { roomId },
+        [CLIENT_EVENTS.KICK_PARTICIPANT]: {
+            roomId,
+            name: playerName,
+            ban: optional({ type: 'boolean' })
+        },
+        [CLIENT_EVENTS.GET_ROOM_LIST]: {},
+        [CLIENT_EVENTS.GET_ROOM_INFO]: { roomId },
+        [CLIENT_EVENTS.GET_LIVE_GAMES]: {},
+        [CLIENT_EVENTS.REQUEST_ANALYSIS]: { roomId },
+        [CLIENT_EVENTS.REQUEST_HINT]: { roomId },
+        [CLIENT_EVENTS.REQUEST_REVIEW]: {
+            gameId: { type: 'string', maxLength: 64 }
+        },
+        [CLIENT_EVENTS.GET_STATS]: {}
+    };
+
+    function checkType(value, type) {
+        switch (type) {
+            case 'string': return typeof value === 'string';
+            case 'integer': return Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default: return false;
+        }
+    }
+
+    function validateField(name, value, spec) {
+        if (value === undefined || value === null) {
+            return spec.optional ? null : `${name} is required`;
+        }
+        const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+        if (!types.some(type => checkType(value, type))) {
+            return `${name} must be ${types.join(' or ')}`;
+        }
+        if (typeof value === 'string') {
+            if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+                return `${name} is too long`;
+            }
+            if (spec.pattern && !spec.pattern.test(value)) {
+                return `${name} has an invalid format`;
+            }
+        }
+        if (typeof value === 'number') {
+            if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+                return `${name} is out of range`;
+            }
+        }
+        return null;
+    }
+
+    // Check a client payload against its schema. Returns
+    // { success: true, value } with only the declared fields, or
+    // { success: false, reason }.
+    function validatePayload(event, payload) {
+        const schema = PAYLOAD_SCHEMAS[event];
+        if (!schema) {
+            return { success: false, reason: `Unknown event ${event}` };
+        }
+        if (payload === undefined || payload === null) {
+            payload = {};
+        }
+        if (!checkType(payload, 'object')) {
+            return { success: false, reason: 'Payload must be an object' };
+        }
+
+        const value = {};
+        for (const [name, spec] of Object.entries(schema)) {
+            let fieldValue = payload[name];
+            if (spec.trim && typeof fieldValue === 'string') {
+                fieldValue = fieldValue.trim();
+            }
+            const error = validateField(name, fieldValue, spec);
+            if (error) {
+                return { success: false, reason: error };
+            }
+            if (fieldValue !== undefined && fieldValue !== null) {
+                value[name] = fieldValue;
+            }
+        }
+        return { success: true, value };
+    }
+
+    return {
+        PROTOCOL_VERSION,
+        CLIENT_EVENTS,
+        SERVER_EVENTS,
+        ERROR_CODES,
+        PAYLOAD_SCHEMAS,
+        validatePayload
+    };
+});
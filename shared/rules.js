@@ -0,0 +1,101 @@
+// ==================================
+// RULES.JS - Othello rules shared by client and server
+// ==================================
+// Loaded with require() by server.js and served to the browser as
+// /shared/rules.js (exposed there as window.OthelloRules, after
+// /shared/bitboard.js). No sockets, no DOM: GameRoom and the local game in
+// the client both play through these functions, so they cannot disagree
+// about a move, a pass or a result.
+//
+// A board is rows of cells holding 0 (empty), 1 (black), 2 (white) or HOLE,
+// a blocked square nobody can play on and no line of discs can run through.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./bitboard'));
+    } else {
+        root.OthelloRules = factory(root.OthelloBitboard);
+    }
+})(typeof self !== 'undefined' ? self : this, function (bitboard) {
+    const HOLE = -1;
+
+    function opponentOf(color) {
+        return color === 1 ? 2 : 1;
+    }
+
+    // Empty board with the four centre discs, Black to move
+    function createStartingBoard(size) {
+        const board = Array(size).fill(0).map(() => Array(size).fill(0));
+        const mid = size / 2;
+        board[mid - 1][mid - 1] = 2; // White
+        board[mid - 1][mid] = 1; // Black
+        board[mid][mid - 1] = 1; // Black
+        board[mid][mid] = 2; // White
+        return board;
+    }
+
+    function getValidMoves(board, color) {
+        return bitboard.getValidMoves(board, color);
+    }
+
+    function isValidMove(board, r, c, color) {
+        return bitboard.isValidMove(board, r, c, color);
+    }
+
+    function hasValidMove(board, color) {
+        return !bitboard.isEmpty(bitboard.moveMask(bitboard.fromBoard(board), color));
+    }
+
+    // Place a disc and flip every line it captures, in place. Returns the
+    // flipped squares; the caller checks the move is legal first.
+    function playMove(board, r, c, color) {
+        return bitboard.playMove(board, r, c, color);
+    }
+
+    function countDiscs(board) {
+        return bitboard.countDiscs(board);
+    }
+
+    // Who plays when `color` is due to move: `color` if it has a legal move,
+    // otherwise the opponent (`color` passes). The game is over once neither
+    // side can move - a full board included.
+    function resolveTurn(board, color) {
+        const position = bitboard.fromBoard(board);
+        const canMove = side => !bitboard.isEmpty(bitboard.moveMask(position, side));
+        if (canMove(color)) {
+            return { player: color, passed: false, gameOver: false };
+        }
+        if (canMove(opponentOf(color))) {
+            return { player: opponentOf(color), passed: true, gameOver: false };
+        }
+        return { player: null, passed: false, gameOver: true };
+    }
+
+    function isGameOver(board) {
+        return resolveTurn(board, 1).gameOver;
+    }
+
+    // 1 or 2 for the winning color, 0 for a draw. Empty squares count for
+    // nobody. With fewestDiscsWins (anti-Othello) the smaller count wins.
+    function determineWinner(scores, { fewestDiscsWins = false } = {}) {
+        if (scores[1] === scores[2]) return 0;
+        const blackHasMore = scores[1] > scores[2];
+        if (fewestDiscsWins) {
+            return blackHasMore ? 2 : 1;
+        }
+        return blackHasMore ? 1 : 2;
+    }
+
+    return {
+        HOLE,
+        countDiscs,
+        createStartingBoard,
+        determineWinner,
+        getValidMoves,
+        hasValidMove,
+        isGameOver,
+        isValidMove,
+        opponentOf,
+        playMove,
+        resolveTurn
+    };
+});
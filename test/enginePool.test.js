@@ -0,0 +1,73 @@
+// ==================================
+// ENGINEPOOL.TEST.JS - Unit tests for lib/enginePool.js
+// ==================================
+// Chạy: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../shared/rules');
+const { createEnginePool } = require('../lib/enginePool');
+const { reviewGame } = require('../lib/review');
+
+test('engine tasks run on the workers', async t => {
+    const pool = createEnginePool(1);
+    t.after(() => pool.close());
+    const board = rules.createStartingBoard(8);
+
+    const move = await pool.run('chooseMove', { level: 'easy', board, variant: 'standard', color: 1 });
+    assert.ok(rules.isValidMove(board, move.r, move.c, 1));
+
+    const analysis = await pool.run('analyzePosition', { board, color: 1, variant: 'standard' });
+    assert.equal(analysis.sideToMove, 1);
+    assert.equal(analysis.moves.length, 4);
+
+    const spectator = await pool.run('analyze', { level: 'medium', board, variant: 'standard', color: 2 });
+    assert.ok(spectator.evaluation >= -1 && spectator.evaluation <= 1);
+});
+
+test('queued tasks all get their own answer', async t => {
+    const pool = createEnginePool(2);
+    t.after(() => pool.close());
+    const board = rules.createStartingBoard(6);
+
+    const answers = await Promise.all([1, 2, 1, 2, 1].map((color, i) =>
+        pool.run('analyzePosition', { board, color, variant: 'standard' }, { urgent: i === 4 })));
+    answers.forEach((analysis, i) => assert.equal(analysis.sideToMove, [1, 2, 1, 2, 1][i]));
+});
+
+test('a failing task is rejected and the worker keeps serving', async t => {
+    const pool = createEnginePool(1);
+    t.after(() => pool.close());
+
+    await assert.rejects(pool.run('nothing', {}), /Unknown engine task: nothing/);
+    const board = rules.createStartingBoard(8);
+    const move = await pool.run('chooseMove', { level: 'easy', board, variant: 'standard', color: 1 });
+    assert.ok(rules.isValidMove(board, move.r, move.c, 1));
+});
+
+test('a review can search on the workers', async t => {
+    const pool = createEnginePool(1);
+    t.after(() => pool.close());
+    const record = {
+        id: 'test',
+        boardSize: 6,
+        variant: 'standard',
+        moves: [
+            { player: 1, position: { r: 1, c: 2 }, flippedPieces: [{ r: 2, c: 2 }] },
+            { player: 2, position: { r: 1, c: 1 }, flippedPieces: [{ r: 2, c: 2 }] }
+        ]
+    };
+    const searched = [];
+    const review = await reviewGame(record, (board, variant, color) => {
+        searched.push(color);
+        return pool.run('rankPosition', { board, variant, color });
+    });
+    assert.deepEqual(searched, [1, 2]);
+    assert.equal(review.moves.length, 2);
+    assert.deepEqual(review.moves.map(m => [m.r, m.c]), [[1, 2], [1, 1]]);
+});
+
+test('a closed pool refuses new tasks', async () => {
+    const pool = createEnginePool(1);
+    await pool.close();
+    await assert.rejects(pool.run('chooseMove', {}), /closed/);
+});
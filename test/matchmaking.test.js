@@ -0,0 +1,57 @@
+// ==================================
+// MATCHMAKING.TEST.JS - Unit tests for lib/matchmaking.js
+// ==================================
+// Chạy: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MATCHMAKING_CONFIG, findMatches, searchWindow } = require('../lib/matchmaking');
+
+const { initialWindow, widenPerSecond, maxWindow } = MATCHMAKING_CONFIG;
+
+function entry(name, rating, joinedAt = 0) {
+    return { socketId: name, playerName: name, rating, joinedAt };
+}
+
+test('the window widens with waiting time up to the limit', () => {
+    const player = entry('An', 1000, 0);
+    assert.equal(searchWindow(player, 0), initialWindow);
+    assert.equal(searchWindow(player, 5000), initialWindow + 5 * widenPerSecond);
+    assert.equal(searchWindow(player, 10 * 60 * 1000), maxWindow);
+    // A clock behind joinedAt never narrows the window
+    assert.equal(searchWindow(player, -5000), initialWindow);
+});
+
+test('players too far apart are paired once both windows have widened', () => {
+    const gap = initialWindow + 5 * widenPerSecond;
+    const a = entry('An', 1000, 0);
+    const b = entry('Bình', 1000 + gap, 0);
+    assert.deepEqual(findMatches([a, b], 0), []);
+    assert.deepEqual(findMatches([a, b], 4000), []);
+    assert.deepEqual(findMatches([a, b], 5000), [[a, b]]);
+});
+
+test('a newcomer is not pulled into a long wait\'s wide window', () => {
+    const veteran = entry('An', 1000, 0);
+    const newcomer = entry('Bình', 1000 + initialWindow + 1, 60000);
+    assert.deepEqual(findMatches([veteran, newcomer], 60000), []);
+});
+
+test('the longest waiting player takes the closest rating', () => {
+    const first = entry('An', 1000, 0);
+    const far = entry('Bình', 1080, 1000);
+    const near = entry('Châu', 1020, 2000);
+    const matches = findMatches([near, far, first], 2000);
+    assert.deepEqual(matches, [[first, near]]);
+});
+
+test('a player is never paired with themselves', () => {
+    const alone = entry('An', 1000, 0);
+    assert.deepEqual(findMatches([alone], 60000), []);
+    // Even if the same entry is listed twice
+    assert.deepEqual(findMatches([alone, alone], 60000), []);
+
+    const other = entry('Bình', 1000, 0);
+    const matches = findMatches([alone, other, alone], 60000);
+    assert.equal(matches.length, 1);
+    matches.forEach(([a, b]) => assert.notEqual(a, b));
+});
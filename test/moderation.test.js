@@ -0,0 +1,40 @@
+// ==================================
+// MODERATION.TEST.JS - Unit tests for lib/moderation.js
+// ==================================
+// Chạy: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createReport, createWordFilter } = require('../lib/moderation');
+
+test('listed words are masked whole', () => {
+    const filter = createWordFilter(['ass', 'bad word']);
+    assert.deepEqual(filter.clean('a bad word here'), { text: 'a ******** here', flagged: true });
+    assert.deepEqual(filter.clean('first class'), { text: 'first class', flagged: false });
+});
+
+test('reports carry what was typed, not the masked text', () => {
+    const room = {
+        id: 'ROOM01',
+        roomName: 'Phòng',
+        chatMessages: [
+            { id: '1', sender: 'An', message: 'chào ***', originalMessage: 'chào ngu', timestamp: 1, type: 'message' },
+            { id: '2', sender: 'Bình', message: 'hả?', timestamp: 2, type: 'message' },
+            { id: '3', sender: 'An', message: '*** quá', originalMessage: 'ngu quá', timestamp: 3, type: 'message' }
+        ]
+    };
+    const report = createReport(room, room.chatMessages[2], { playerName: 'Bình' }, 'xúc phạm');
+
+    assert.equal(report.message.message, 'ngu quá');
+    assert.equal(report.message.shownMessage, '*** quá');
+    assert.deepEqual(report.context.map(m => m.message), ['chào ngu', 'hả?']);
+    assert.equal(report.reportedBy, 'Bình');
+    assert.equal(report.status, 'open');
+});
+
+test('a message the filter left alone has no separate shown text', () => {
+    const room = { id: 'ROOM01', roomName: 'Phòng', chatMessages: [{ id: '1', sender: 'An', message: 'gg', timestamp: 1, type: 'message' }] };
+    const report = createReport(room, room.chatMessages[0], { playerName: 'Bình' });
+    assert.equal(report.message.message, 'gg');
+    assert.equal(report.message.shownMessage, null);
+    assert.equal(report.reason, null);
+});
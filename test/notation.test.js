@@ -0,0 +1,113 @@
+// ==================================
+// NOTATION.TEST.JS - Unit tests for lib/notation.js
+// ==================================
+// Chạy: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../shared/rules');
+const { createStartingBoard } = require('../lib/variants');
+const { exportGame, importGame } = require('../lib/notation');
+
+// An archived record of a game played out from `startingBoard`, picking
+// moves by a fixed rule so the game is the same every run
+function playRecord(startingBoard, variant = 'standard', step = 5) {
+    const board = startingBoard.map(row => row.slice());
+    const moves = [];
+    let turn = rules.resolveTurn(board, 1);
+    while (!turn.gameOver) {
+        const options = rules.getValidMoves(board, turn.player);
+        const { r, c } = options[(moves.length * step) % options.length];
+        const flippedPieces = rules.playMove(board, r, c, turn.player);
+        moves.push({ player: turn.player, position: { r, c }, flippedPieces });
+        turn = rules.resolveTurn(board, rules.opponentOf(turn.player));
+    }
+    const finalScores = rules.countDiscs(board);
+    return {
+        id: 'test',
+        boardSize: board.length,
+        variant,
+        players: [{ name: 'An', color: 1 }, { name: 'Bình', color: 2 }],
+        startingBoard,
+        moves,
+        finalScores,
+        winner: rules.determineWinner(finalScores, { fewestDiscsWins: variant === 'anti' }),
+        reason: 'completed',
+        ratingChanges: { An: { before: 1520 }, Bình: { before: 1480 } },
+        startedAt: Date.UTC(2026, 9, 19, 8, 5, 3),
+        endedAt: Date.UTC(2026, 9, 19, 8, 20, 0)
+    };
+}
+
+test('the standard opening reads as a transcript', () => {
+    const { success, game } = importGame('f5d6c3d3c4');
+    assert.equal(success, true);
+    assert.deepEqual(game.moves.map(m => [m.player, m.position.r, m.position.c]), [
+        [1, 4, 5], [2, 5, 3], [1, 2, 2], [2, 2, 3], [1, 3, 2]
+    ]);
+    assert.equal(game.reason, 'unfinished');
+    assert.equal(game.winner, null);
+});
+
+test('a transcript round trip keeps every move and flip', () => {
+    const record = playRecord(createStartingBoard(8, 'standard'));
+    const transcript = exportGame(record, 'transcript');
+    assert.match(transcript, /^([a-h][1-8])+\n$/);
+
+    const { game } = importGame(transcript);
+    assert.deepEqual(game.moves, record.moves);
+    assert.deepEqual(game.finalScores, record.finalScores);
+    assert.equal(game.winner, record.winner);
+    assert.equal(game.reason, 'completed');
+});
+
+test('GGF carries the headers and the starting board', () => {
+    const record = playRecord(createStartingBoard(10, 'standard'), 'anti');
+    const ggf = exportGame(record, 'ggf');
+    assert.match(ggf, /^\(;GM\[Othello\]/);
+    assert.match(ggf, /DT\[2026\.10\.19_08:05:03\.UTC\]PB\[An\]PW\[Bình\]RB\[1520\]RW\[1480\]TY\[10a\]/);
+
+    const { game } = importGame(ggf);
+    assert.equal(game.format, 'ggf');
+    assert.equal(game.boardSize, 10);
+    assert.equal(game.variant, 'anti');
+    assert.deepEqual(game.players, { 1: 'An', 2: 'Bình' });
+    assert.deepEqual(game.ratings, { 1: 1520, 2: 1480 });
+    assert.equal(game.date, record.startedAt);
+    assert.deepEqual(game.moves, record.moves);
+    assert.equal(game.winner, record.winner);
+});
+
+test('GGF writes passes and holes', () => {
+    // Find a 6x6 holes game with a pass in it
+    let record = null;
+    for (let step = 1; !record; step++) {
+        const candidate = playRecord(createStartingBoard(6, 'holes'), 'holes', step);
+        if (candidate.moves.some((m, i) => i > 0 && m.player === candidate.moves[i - 1].player)) {
+            record = candidate;
+        }
+    }
+    const ggf = exportGame(record, 'ggf');
+    assert.match(ggf, /\[PA\]/);
+    assert.match(ggf, /BO\[6 [-*O#]{36} \*\]/);
+
+    const { game } = importGame(ggf);
+    assert.equal(game.variant, 'holes');
+    assert.deepEqual(game.startingBoard, record.startingBoard);
+    assert.deepEqual(game.moves, record.moves);
+});
+
+test('an early result is read from RE', () => {
+    const { game } = importGame('(;GM[Othello]TY[8]RE[-10:r]B[F5]W[F6];)');
+    assert.equal(game.winner, 2);
+    assert.equal(game.reason, 'resignation');
+});
+
+test('bad input is refused with a reason', () => {
+    assert.equal(importGame('').success, false);
+    assert.match(importGame('f5f5').reason, /Nước 2/);
+    assert.match(importGame('f5 z9').reason, /z9/);
+    assert.match(importGame('f5', { boardSize: 7 }).reason, /Kích thước/);
+    assert.match(importGame('f5', { variant: 'holes' }).reason, /GGF/);
+    assert.match(importGame('(;GM[Othello]B[F5]B[F6];)').reason, /lượt/);
+    assert.match(importGame('(;GM[Chess]B[E4];)').reason, /Othello/);
+});
@@ -0,0 +1,76 @@
+// ==================================
+// PROTOCOL.TEST.JS - Socket-level checks of server.js against shared/protocol.js
+// ==================================
+// Chạy: npm test
+// Starts the real server on a free port with a throwaway data directory.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { io } = require('socket.io-client');
+const { CLIENT_EVENTS, ERROR_CODES, PROTOCOL_VERSION, SERVER_EVENTS } = require('../shared/protocol');
+
+function startServer() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'othello-test-'));
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            PORT: '0',
+            DATA_DIR: dataDir,
+            REDIS_URL: '',
+            STORAGE_DRIVER: 'json',
+            RATE_LIMIT_SOCKET_BURST: '1000',
+            RATE_LIMIT_IP_BURST: '1000',
+            RATE_LIMIT_MAX_STRIKES: '1000'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const stop = () => {
+        child.kill();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+    return new Promise((resolve, reject) => {
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = /running on port (\d+)/.exec(output);
+            if (match) resolve({ port: Number(match[1]), stop });
+        });
+        child.stderr.on('data', chunk => { output += chunk; });
+        child.on('exit', code => reject(new Error(`Server exited (${code}):\n${output}`)));
+    });
+}
+
+test('every client event has a handler on the server', async t => {
+    const { port, stop } = await startServer();
+    t.after(stop);
+
+    const socket = io(`http://localhost:${port}`, {
+        auth: { protocolVersion: PROTOCOL_VERSION },
+        reconnection: false,
+        forceNew: true
+    });
+    t.after(() => socket.close());
+    await new Promise((resolve, reject) => {
+        socket.once('connect', resolve);
+        socket.once('connect_error', reject);
+    });
+
+    // A malformed payload is refused by the handler's schema check, so each
+    // registered event answers with INVALID_PAYLOAD. An event without a
+    // handler never answers.
+    const answered = new Set();
+    socket.on(SERVER_EVENTS.PROTOCOL_ERROR, ({ event, code }) => {
+        if (code === ERROR_CODES.INVALID_PAYLOAD) answered.add(event);
+    });
+    const events = Object.values(CLIENT_EVENTS);
+    events.forEach(event => socket.emit(event, 'not an object'));
+
+    const deadline = Date.now() + 5000;
+    while (answered.size < events.length && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.deepEqual(events.filter(event => !answered.has(event)), []);
+});
@@ -0,0 +1,73 @@
+// ==================================
+// RATELIMIT.TEST.JS - Unit tests for lib/rateLimit.js
+// ==================================
+// Chạy: npm test
+// Every call passes its own `now`, so nothing depends on the real clock.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RATE_LIMIT_CONFIG, RateLimiter, TokenBucket } = require('../lib/rateLimit');
+
+test('a bucket allows its burst and then refuses', () => {
+    const bucket = new TokenBucket({ capacity: 3, refillPerSecond: 1 }, 0);
+    assert.equal(bucket.take(1, 0), true);
+    assert.equal(bucket.take(1, 0), true);
+    assert.equal(bucket.take(1, 0), true);
+    assert.equal(bucket.take(1, 0), false);
+});
+
+test('a bucket refills with time, up to its capacity', () => {
+    const bucket = new TokenBucket({ capacity: 2, refillPerSecond: 1 / 2 }, 0);
+    assert.equal(bucket.take(2, 0), true);
+    assert.equal(bucket.take(1, 1000), false);
+    assert.equal(bucket.take(1, 2000), true);
+
+    bucket.refill(60000);
+    assert.equal(bucket.tokens, 2);
+    assert.equal(bucket.take(3, 60000), false);
+    // A refused take costs nothing
+    assert.equal(bucket.take(2, 60000), true);
+});
+
+test('a clock going backwards does not drain or fill a bucket', () => {
+    const bucket = new TokenBucket({ capacity: 4, refillPerSecond: 1 }, 5000);
+    bucket.take(2, 5000);
+    bucket.refill(1000);
+    assert.equal(bucket.tokens, 2);
+});
+
+test('a limiter keeps one bucket per key', () => {
+    const limiter = new RateLimiter({ capacity: 1, refillPerSecond: 1 });
+    assert.equal(limiter.take('a', 1, 0), true);
+    assert.equal(limiter.take('a', 1, 0), false);
+    assert.equal(limiter.take('b', 1, 0), true);
+    assert.equal(limiter.take('a', 1, 1000), true);
+
+    limiter.remove('b');
+    assert.equal(limiter.buckets.has('b'), false);
+    assert.equal(limiter.take('b', 1, 1000), true);
+});
+
+test('prune drops only buckets idle for longer than the limit', () => {
+    const limiter = new RateLimiter({ capacity: 5, refillPerSecond: 1 });
+    limiter.take('old', 1, 0);
+    limiter.take('recent', 1, 0);
+    limiter.take('recent', 1, 7000);
+
+    limiter.prune(5000, 10000);
+    assert.deepEqual([...limiter.buckets.keys()], ['recent']);
+    // Exactly `idleMs` old is kept
+    limiter.prune(3000, 10000);
+    assert.deepEqual([...limiter.buckets.keys()], ['recent']);
+    limiter.prune(3000, 10001);
+    assert.equal(limiter.buckets.size, 0);
+});
+
+test('login attempts from one address are limited to a few a minute', () => {
+    const limiter = new RateLimiter(RATE_LIMIT_CONFIG.http.auth);
+    for (let i = 0; i < 5; i++) {
+        assert.equal(limiter.take('1.2.3.4', 1, 0), true);
+    }
+    assert.equal(limiter.take('1.2.3.4', 1, 0), false);
+    assert.equal(limiter.take('5.6.7.8', 1, 0), true);
+    assert.equal(limiter.take('1.2.3.4', 1, 60000), true);
+});
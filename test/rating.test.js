@@ -0,0 +1,88 @@
+// ==================================
+// RATING.TEST.JS - Unit tests for lib/rating.js
+// ==================================
+// Chạy: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    RATING_CONFIG, applyGameResult, createRatingEntry, expectedScore, migrateRatingEntry
+} = require('../lib/rating');
+
+// An entry past the provisional period
+function settled(name, rating) {
+    return { ...createRatingEntry(name), rating, gamesPlayed: RATING_CONFIG.provisionalGames, provisional: false };
+}
+
+test('expected scores', () => {
+    assert.equal(expectedScore(1500, 1500), 0.5);
+    // 400 points apart is 10:1
+    assert.ok(Math.abs(expectedScore(1900, 1500) - 10 / 11) < 1e-12);
+    assert.ok(Math.abs(expectedScore(1200, 1500) + expectedScore(1500, 1200) - 1) < 1e-12);
+});
+
+test('new players start provisional at the initial rating', () => {
+    const entry = createRatingEntry('An');
+    assert.equal(entry.rating, RATING_CONFIG.initialRating);
+    assert.equal(entry.provisional, true);
+    assert.equal(entry.gamesPlayed, 0);
+});
+
+test('a win between equals moves both by half the K-factor', () => {
+    const a = settled('An', 1500);
+    const b = settled('Bình', 1500);
+    const changes = applyGameResult(a, b, 1, { gameId: 'g1', timestamp: 42 });
+
+    const half = Math.round(RATING_CONFIG.kFactor / 2);
+    assert.deepEqual(changes, {
+        An: { before: 1500, after: 1500 + half, change: half },
+        Bình: { before: 1500, after: 1500 - half, change: -half }
+    });
+    assert.equal(a.wins, 1);
+    assert.equal(b.losses, 1);
+    assert.deepEqual(a.history[0], {
+        rating: 1500 + half, change: half, result: 'win', opponent: 'Bình', opponentRating: 1500, gameId: 'g1', timestamp: 42
+    });
+});
+
+test('a draw moves the lower rated player up', () => {
+    const strong = settled('An', 1700);
+    const weak = settled('Bình', 1300);
+    const changes = applyGameResult(strong, weak, 0.5);
+    assert.ok(changes.An.change < 0);
+    assert.equal(changes.Bình.change, -changes.An.change);
+    assert.equal(strong.draws, 1);
+    assert.equal(weak.draws, 1);
+});
+
+test('provisional players use the larger K-factor until their games are played', () => {
+    const rookie = createRatingEntry('An');
+    const veteran = settled('Bình', RATING_CONFIG.initialRating);
+    const changes = applyGameResult(rookie, veteran, 1);
+    assert.equal(changes.An.change, Math.round(RATING_CONFIG.provisionalKFactor / 2));
+    assert.equal(changes.Bình.change, -Math.round(RATING_CONFIG.kFactor / 2));
+
+    for (let game = 1; game < RATING_CONFIG.provisionalGames; game++) {
+        assert.equal(rookie.provisional, true);
+        applyGameResult(rookie, settled('Khách', rookie.rating), 0.5);
+    }
+    assert.equal(rookie.gamesPlayed, RATING_CONFIG.provisionalGames);
+    assert.equal(rookie.provisional, false);
+});
+
+test('the history keeps only the latest games', () => {
+    const a = settled('An', 1500);
+    for (let game = 0; game < RATING_CONFIG.maxHistory + 5; game++) {
+        applyGameResult(a, settled('Bình', 1500), game % 2, { gameId: `g${game}` });
+    }
+    assert.equal(a.history.length, RATING_CONFIG.maxHistory);
+    assert.equal(a.history[a.history.length - 1].gameId, `g${RATING_CONFIG.maxHistory + 4}`);
+});
+
+test('entries from the old system are migrated', () => {
+    const migrated = migrateRatingEntry({ name: 'An', rating: 1115, wins: 8, losses: 3 });
+    assert.equal(migrated.rating, 1115);
+    assert.equal(migrated.draws, 0);
+    assert.equal(migrated.gamesPlayed, 11);
+    assert.equal(migrated.provisional, 11 < RATING_CONFIG.provisionalGames);
+    assert.deepEqual(migrated.history, []);
+});
@@ -0,0 +1,72 @@
+// ==================================
+// REVIEW.TEST.JS - Unit tests for lib/review.js
+// ==================================
+// Chạy: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../shared/rules');
+const { CLASSIFICATIONS, classifyMove, reviewGame } = require('../lib/review');
+
+// A 6x6 game played out, always taking the first legal move
+function playGame() {
+    const board = rules.createStartingBoard(6);
+    const moves = [];
+    let turn = rules.resolveTurn(board, 1);
+    while (!turn.gameOver) {
+        const { r, c } = rules.getValidMoves(board, turn.player)[0];
+        const flippedPieces = rules.playMove(board, r, c, turn.player);
+        moves.push({ player: turn.player, position: { r, c }, flippedPieces });
+        turn = rules.resolveTurn(board, rules.opponentOf(turn.player));
+    }
+    return { id: 'test', boardSize: 6, variant: 'standard', moves };
+}
+
+test('moves are classified by the winning chances they give away', () => {
+    assert.equal(classifyMove(0.3, true), 'best');
+    assert.equal(classifyMove(0, false), 'good');
+    assert.equal(classifyMove(0.08, false), 'inaccuracy');
+    assert.equal(classifyMove(0.15, false), 'mistake');
+    assert.equal(classifyMove(0.5, false), 'blunder');
+});
+
+test('a review covers every move of the game', async () => {
+    const record = playGame();
+    const review = await reviewGame(record);
+
+    assert.equal(review.moves.length, record.moves.length);
+    assert.equal(review.evaluations.length, record.moves.length + 1);
+    assert.ok(review.evaluations.every(evaluation => evaluation >= -1 && evaluation <= 1));
+    review.moves.forEach((move, i) => {
+        assert.equal(move.number, i + 1);
+        assert.equal(move.player, record.moves[i].player);
+        assert.ok(CLASSIFICATIONS.includes(move.classification));
+        if (move.forced) assert.equal(move.classification, 'best');
+    });
+
+    [1, 2].forEach(color => {
+        const total = Object.values(review.counts[color]).reduce((sum, n) => sum + n, 0);
+        assert.equal(total, record.moves.filter(m => m.player === color).length);
+        assert.ok(review.accuracy[color] >= 0 && review.accuracy[color] <= 100);
+    });
+});
+
+test('an illegal move in the record is refused', async () => {
+    const record = playGame();
+    record.moves[0] = { player: 1, position: { r: 0, c: 0 }, flippedPieces: [] };
+    await assert.rejects(reviewGame(record), /not legal/);
+});
+
+test('a move by a side that has to pass is refused', async () => {
+    // White's only disc is boxed in: White has no legal move at all
+    const startingBoard = Array(8).fill(0).map(() => Array(8).fill(0));
+    startingBoard[0][0] = startingBoard[0][1] = startingBoard[0][2] = startingBoard[1][0] = 1;
+    startingBoard[1][1] = 2;
+    const record = {
+        id: 'pass',
+        boardSize: 8,
+        variant: 'standard',
+        startingBoard,
+        moves: [{ player: 2, position: { r: 2, c: 2 }, flippedPieces: [] }]
+    };
+    await assert.rejects(reviewGame(record), /Move 1 of game pass is not legal/);
+});
@@ -0,0 +1,79 @@
+// ==================================
+// ROOMACCESS.TEST.JS - Unit tests for lib/roomAccess.js
+// ==================================
+// Chạy: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROOM_ACCESS_CONFIG, createInviteSigner, isBanned } = require('../lib/roomAccess');
+
+const signer = createInviteSigner('test-secret');
+
+test('a fresh invite verifies for its room', () => {
+    const { token, nonce, expiresAt } = signer.sign('ROOM01', 1000);
+    assert.equal(expiresAt, 1000 + ROOM_ACCESS_CONFIG.inviteTtl);
+    assert.deepEqual(signer.verify('ROOM01', token, 2000), { nonce, expiresAt });
+});
+
+test('each invite gets its own nonce', () => {
+    assert.notEqual(signer.sign('ROOM01', 0).nonce, signer.sign('ROOM01', 0).nonce);
+});
+
+test('an invite is refused for another room', () => {
+    const { token } = signer.sign('ROOM01', 0);
+    assert.equal(signer.verify('ROOM02', token, 0), null);
+});
+
+test('an invite is refused from its expiry on', () => {
+    const { token, expiresAt } = signer.sign('ROOM01', 0);
+    assert.notEqual(signer.verify('ROOM01', token, expiresAt - 1), null);
+    assert.equal(signer.verify('ROOM01', token, expiresAt), null);
+});
+
+test('tampered invites are refused', () => {
+    const { token } = signer.sign('ROOM01', 0);
+    const [nonce, expiry, signature] = token.split('.');
+
+    // A later expiry with the old signature
+    const extended = (parseInt(expiry, 36) + 60 * 60 * 1000).toString(36);
+    assert.equal(signer.verify('ROOM01', `${nonce}.${extended}.${signature}`, 0), null);
+    // Another nonce with the old signature
+    assert.equal(signer.verify('ROOM01', `x${nonce.slice(1)}.${expiry}.${signature}`, 0), null);
+    // A changed or truncated signature
+    const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+    assert.equal(signer.verify('ROOM01', `${nonce}.${expiry}.${flipped}`, 0), null);
+    assert.equal(signer.verify('ROOM01', `${nonce}.${expiry}.${signature.slice(1)}`, 0), null);
+    // Signed with another secret
+    const forged = createInviteSigner('other-secret').sign('ROOM01', 0).token;
+    assert.equal(signer.verify('ROOM01', forged, 0), null);
+});
+
+test('malformed invites are refused', () => {
+    [undefined, 42, '', 'abc', 'a.b', '..', 'a.zzzzzzzzzzzzzzzzzzzz.c'].forEach(token => {
+        assert.equal(signer.verify('ROOM01', token, 0), null);
+    });
+});
+
+test('a ban covers the account, the name and the address', () => {
+    const bans = [
+        { name: 'An', account: 'an', address: '1.1.1.1' },
+        { name: 'Khách', account: null, address: '2.2.2.2' }
+    ];
+    // The account is banned under any name, from anywhere
+    assert.equal(isBanned(bans, { name: 'Tên khác', account: 'an', address: '9.9.9.9' }), true);
+    // ...and cannot come back as a guest under its name
+    assert.equal(isBanned(bans, { name: 'AN', account: null, address: '9.9.9.9' }), true);
+    // A banned guest cannot come back under another name from the same address
+    assert.equal(isBanned(bans, { name: 'Người mới', account: null, address: '2.2.2.2' }), true);
+    // A guest ban matches the name, ignoring case
+    assert.equal(isBanned(bans, { name: 'KHÁCH', account: null, address: '9.9.9.9' }), true);
+    assert.equal(isBanned(bans, { name: 'Bình', account: 'binh', address: '9.9.9.9' }), false);
+    assert.equal(isBanned([], { name: 'An', account: 'an', address: '1.1.1.1' }), false);
+});
+
+test('bans without an address still match by account and name', () => {
+    // Rooms saved before addresses were recorded
+    const bans = [{ name: 'An', account: 'an' }, { name: 'Khách', account: null }];
+    assert.equal(isBanned(bans, { name: 'Bình', account: 'an' }), true);
+    assert.equal(isBanned(bans, { name: 'khách', account: null }), true);
+    assert.equal(isBanned(bans, { name: 'Bình', account: null, address: '1.1.1.1' }), false);
+});
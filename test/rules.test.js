@@ -0,0 +1,259 @@
+// ==================================
+// RULES.TEST.JS - Unit tests for shared/rules.js
+// ==================================
+// Chạy: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../shared/rules');
+const bitboard = require('../shared/bitboard');
+
+const CELLS = { '.': 0, B: 1, W: 2, '#': rules.HOLE };
+
+// One row per line, one cell per character: . empty, B black, W white, # hole
+function parseBoard(text) {
+    return text.trim().split('\n').map(line => [...line.trim()].map(cell => CELLS[cell]));
+}
+
+const key = squares => squares.map(({ r, c }) => `${r},${c}`).sort();
+
+const DIRECTIONS = {
+    north: [-1, 0],
+    south: [1, 0],
+    east: [0, 1],
+    west: [0, -1],
+    'north-east': [-1, 1],
+    'north-west': [-1, -1],
+    'south-east': [1, 1],
+    'south-west': [1, -1]
+};
+
+test('the starting position gives Black the four standard moves', () => {
+    const board = rules.createStartingBoard(8);
+    assert.deepEqual(key(rules.getValidMoves(board, 1)), ['2,3', '3,2', '4,5', '5,4']);
+    assert.deepEqual(key(rules.getValidMoves(board, 2)), ['2,4', '3,5', '4,2', '5,3']);
+    assert.deepEqual(rules.countDiscs(board), { 1: 2, 2: 2 });
+    assert.deepEqual(rules.resolveTurn(board, 1), { player: 1, passed: false, gameOver: false });
+});
+
+test('flips', async t => {
+    for (const [name, [dr, dc]] of Object.entries(DIRECTIONS)) {
+        await t.test(`a line of two to the ${name}`, () => {
+            const board = Array(8).fill(0).map(() => Array(8).fill(0));
+            const [r, c] = [3, 4];
+            board[r + dr][c + dc] = 2;
+            board[r + 2 * dr][c + 2 * dc] = 2;
+            board[r + 3 * dr][c + 3 * dc] = 1;
+
+            assert.equal(rules.isValidMove(board, r, c, 1), true);
+            assert.deepEqual(key(rules.getValidMoves(board, 1)), [`${r},${c}`]);
+            const flipped = rules.playMove(board, r, c, 1);
+            assert.deepEqual(key(flipped), key([
+                { r: r + dr, c: c + dc },
+                { r: r + 2 * dr, c: c + 2 * dc }
+            ]));
+            assert.deepEqual(rules.countDiscs(board), { 1: 4, 2: 0 });
+        });
+    }
+
+    await t.test('all eight directions at once', () => {
+        const board = parseBoard(`
+            ........
+            .B.B.B..
+            ..WWW...
+            .BW.WB..
+            ..WWW...
+            .B.B.B..
+            ........
+            ........
+        `);
+        const flipped = rules.playMove(board, 3, 3, 1);
+        assert.equal(flipped.length, 8);
+        assert.deepEqual(rules.countDiscs(board), { 1: 17, 2: 0 });
+    });
+
+    await t.test('only closed lines flip', () => {
+        const board = parseBoard(`
+            ........
+            ........
+            ...W....
+            .WW.WWB.
+            ...W....
+            ...B....
+            ........
+            ........
+        `);
+        const flipped = rules.playMove(board, 3, 3, 1);
+        // East and south are closed by Black; north and west run out into
+        // empty squares
+        assert.deepEqual(key(flipped), ['3,4', '3,5', '4,3']);
+        assert.equal(board[3][1], 2);
+        assert.equal(board[2][3], 2);
+    });
+
+    await t.test('a hole ends a line', () => {
+        const board = parseBoard(`
+            ......
+            .W#B..
+            ......
+            ......
+            ......
+            ......
+        `);
+        assert.equal(rules.isValidMove(board, 1, 0, 1), false);
+    });
+
+    await t.test('lines do not wrap around the edge of the board', () => {
+        // Read as one long row, W at the end of row 0 sits between the empty
+        // square before it and the B starting row 1
+        const board = parseBoard(`
+            .......W
+            B.......
+            ........
+            ........
+            ........
+            ........
+            ........
+            .......B
+        `);
+        board[7][6] = 2;
+        assert.equal(rules.isValidMove(board, 0, 6, 1), false);
+        assert.equal(rules.isValidMove(board, 7, 5, 1), true);
+        assert.deepEqual(key(rules.getValidMoves(board, 1)), ['7,5']);
+    });
+
+    await t.test('larger boards flip across the whole board', () => {
+        const board = Array(12).fill(0).map(() => Array(12).fill(0));
+        for (let r = 1; r < 11; r++) board[r][r] = 2;
+        board[11][11] = 1;
+        const flipped = rules.playMove(board, 0, 0, 1);
+        assert.equal(flipped.length, 10);
+        assert.deepEqual(rules.countDiscs(board), { 1: 12, 2: 0 });
+    });
+});
+
+test('illegal moves', () => {
+    const board = rules.createStartingBoard(8);
+    assert.equal(rules.isValidMove(board, 3, 3, 1), false, 'occupied square');
+    assert.equal(rules.isValidMove(board, 0, 0, 1), false, 'captures nothing');
+    assert.equal(rules.isValidMove(board, -1, 3, 1), false, 'off the board');
+    assert.equal(rules.isValidMove(board, 3, 8, 1), false, 'off the board');
+});
+
+test('passes', async t => {
+    await t.test('a player without moves passes and the opponent plays again', () => {
+        // White has a single disc, boxed in: Black can take it, White can
+        // take nothing
+        const board = parseBoard(`
+            BBB.....
+            BW......
+            ........
+            ........
+            ........
+            ........
+            ........
+            ........
+        `);
+        assert.equal(rules.hasValidMove(board, 2), false);
+        assert.equal(rules.hasValidMove(board, 1), true);
+        assert.deepEqual(rules.resolveTurn(board, 2), { player: 1, passed: true, gameOver: false });
+        assert.deepEqual(rules.resolveTurn(board, 1), { player: 1, passed: false, gameOver: false });
+        assert.equal(rules.isGameOver(board), false);
+    });
+
+    await t.test('the game ends when neither side can move', () => {
+        // Both players pass with empty squares left
+        const board = parseBoard(`
+            BB......
+            BB......
+            ........
+            ........
+            ........
+            ........
+            ......WW
+            ......WW
+        `);
+        assert.deepEqual(rules.resolveTurn(board, 1), { player: null, passed: false, gameOver: true });
+        assert.deepEqual(rules.resolveTurn(board, 2), { player: null, passed: false, gameOver: true });
+        assert.equal(rules.isGameOver(board), true);
+    });
+
+    await t.test('a full board ends the game', () => {
+        const board = Array(6).fill(0).map((_, r) => Array(6).fill(r < 3 ? 1 : 2));
+        assert.equal(rules.isGameOver(board), true);
+    });
+
+    await t.test('a game played out ends where neither side can move', () => {
+        const board = rules.createStartingBoard(8);
+        let turn = rules.resolveTurn(board, 1);
+        let moves = 0;
+        while (!turn.gameOver) {
+            const options = rules.getValidMoves(board, turn.player);
+            assert.ok(options.length > 0);
+            const { r, c } = options[(moves * 7) % options.length];
+            rules.playMove(board, r, c, turn.player);
+            turn = rules.resolveTurn(board, rules.opponentOf(turn.player));
+            moves++;
+        }
+        assert.ok(moves <= 60);
+        assert.deepEqual(rules.getValidMoves(board, 1), []);
+        assert.deepEqual(rules.getValidMoves(board, 2), []);
+    });
+});
+
+test('scoring', async t => {
+    await t.test('more discs wins', () => {
+        assert.equal(rules.determineWinner({ 1: 40, 2: 24 }), 1);
+        assert.equal(rules.determineWinner({ 1: 10, 2: 12 }), 2);
+    });
+
+    await t.test('equal counts are a tie, whatever is left empty', () => {
+        assert.equal(rules.determineWinner({ 1: 32, 2: 32 }), 0);
+        assert.equal(rules.determineWinner({ 1: 4, 2: 4 }), 0);
+        assert.equal(rules.determineWinner({ 1: 5, 2: 5 }, { fewestDiscsWins: true }), 0);
+    });
+
+    await t.test('fewest discs wins in anti-Othello', () => {
+        assert.equal(rules.determineWinner({ 1: 40, 2: 24 }, { fewestDiscsWins: true }), 2);
+        assert.equal(rules.determineWinner({ 1: 10, 2: 12 }, { fewestDiscsWins: true }), 1);
+    });
+
+    await t.test('holes count for nobody', () => {
+        const board = parseBoard(`
+            #BW...
+            ......
+            ..WB..
+            ..BW..
+            ......
+            ...BW#
+        `);
+        assert.deepEqual(rules.countDiscs(board), { 1: 4, 2: 4 });
+        assert.equal(rules.determineWinner(rules.countDiscs(board)), 0);
+    });
+});
+
+test('a move toggled on a bitboard position is taken back by toggling it again', () => {
+    const board = parseBoard(`
+        ..........
+        ..........
+        ..........
+        ...WB.....
+        ....WW....
+        ....WB....
+        ..........
+        ..........
+        ..........
+        .........#
+    `);
+    const position = bitboard.fromBoard(board);
+    const before = bitboard.fromBoard(board);
+    const index = 6 * 10 + 4;
+    const flips = bitboard.flipMask(position, 1, index);
+
+    bitboard.toggleMove(position, 1, index, flips);
+    const played = board.map(row => row.slice());
+    rules.playMove(played, 6, 4, 1);
+    assert.deepEqual(position, bitboard.fromBoard(played));
+
+    bitboard.toggleMove(position, 1, index, flips);
+    assert.deepEqual(position, before);
+});
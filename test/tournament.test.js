@@ -0,0 +1,95 @@
+// ==================================
+// TOURNAMENT.TEST.JS - Unit tests for lib/tournament.js
+// ==================================
+// Chạy: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DOUBLE_FORFEIT, TOURNAMENT_CONFIG, advanceTournament, computeStandings, createTournament,
+    recordResult, registerPlayer, startTournament
+} = require('../lib/tournament');
+
+function tournamentOf(format, count) {
+    const tournament = createTournament({ name: 'Giải thử', format, createdBy: 'admin' });
+    for (let i = 1; i <= count; i++) {
+        registerPlayer(tournament, { name: `P${i}`, account: `p${i}`, rating: 2000 - i });
+    }
+    return tournament;
+}
+
+// Every player appears exactly once in a round
+function assertEveryoneOnce(tournament, round) {
+    const names = round.pairings.flatMap(p => [p.black, p.white]).filter(name => name !== null);
+    assert.deepEqual([...names].sort(), tournament.players.map(p => p.name).sort());
+}
+
+test('a round robin meets everyone once', () => {
+    const tournament = tournamentOf('round-robin', 5);
+    let { round } = startTournament(tournament);
+    while (round) {
+        assertEveryoneOnce(tournament, round);
+        round.pairings.forEach(p => recordResult(tournament, round.number, p.id, p.winner ?? 1));
+        round = advanceTournament(tournament);
+    }
+    assert.equal(tournament.status, 'finished');
+
+    const games = new Set();
+    tournament.rounds.forEach(r => r.pairings.forEach(p => {
+        if (p.white !== null) games.add([p.black, p.white].sort().join('-'));
+    }));
+    assert.equal(games.size, 5 * 4 / 2);
+});
+
+test('swiss avoids rematches while it can', () => {
+    const tournament = tournamentOf('swiss', 8);
+    tournament.requestedRounds = 3;
+    let { round } = startTournament(tournament);
+    const met = new Set();
+    while (round) {
+        assertEveryoneOnce(tournament, round);
+        round.pairings.forEach(p => {
+            const key = [p.black, p.white].sort().join('-');
+            assert.equal(met.has(key), false);
+            met.add(key);
+            recordResult(tournament, round.number, p.id, p.black < p.white ? 1 : 2);
+        });
+        round = advanceTournament(tournament);
+    }
+});
+
+test('swiss pairing of a large field gives up on rematch-free pairings in bounded time', () => {
+    const count = TOURNAMENT_CONFIG.maxPlayers;
+    const tournament = tournamentOf('swiss', count);
+    startTournament(tournament);
+    // The three lowest ranked players have met everyone but each other: no
+    // rematch-free pairing exists, and plain backtracking would try every
+    // pairing of the rest before finding out
+    const last = tournament.players.slice(-3).map(p => p.name);
+    const pairings = [];
+    tournament.players.slice(0, -3).forEach(player => last.forEach(name => {
+        pairings.push({ id: `x-${pairings.length}`, black: player.name, white: name, roomId: null, winner: 1 });
+    }));
+    tournament.rounds = [{ number: 1, pairings }];
+    tournament.totalRounds = 2;
+
+    const startedAt = Date.now();
+    const round = advanceTournament(tournament);
+    assert.ok(Date.now() - startedAt < 2000);
+    assertEveryoneOnce(tournament, round);
+    // Only one pairing has to be a rematch
+    const rematches = round.pairings.filter(p => last.includes(p.black) !== last.includes(p.white));
+    assert.equal(rematches.length, 1);
+});
+
+test('a double forfeit is a loss for both', () => {
+    const tournament = tournamentOf('round-robin', 2);
+    const { round } = startTournament(tournament);
+    assert.equal(recordResult(tournament, round.number, round.pairings[0].id, DOUBLE_FORFEIT), true);
+    assert.equal(advanceTournament(tournament), null);
+    assert.equal(tournament.status, 'finished');
+
+    computeStandings(tournament).forEach(entry => {
+        assert.equal(entry.points, 0);
+        assert.equal(entry.losses, 1);
+    });
+});